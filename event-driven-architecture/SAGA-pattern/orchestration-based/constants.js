@@ -1,3 +1,5 @@
+const orderSaga = require("./definitions/orderSaga");
+
 // =========================================================
 // --- SAGA STATE AND EVENT CONSTANTS ---
 // Centralized constants for all states and events in the SAGA pattern.
@@ -10,36 +12,23 @@
 // - Refactoring safety: Rename states/events in one place
 // - Better maintainability: Single source of truth
 // - Reusability: Can be imported by any file that needs state/event names
+//
+// The single source of truth is the saga definition: the constants are
+// DERIVED from it, so they can never drift apart from the state machine.
 
 // --- DATA STRUCTURE: STATES ---
 // Object mapping state names to their string values
-// Structure: { STATE_NAME: "state_name_string", ... }
-// Returns: Object
-const STATES = {
-  CREATED: "CREATED",
-  RESERVING_STOCK: "RESERVING_STOCK",
-  STOCK_RESERVED: "STOCK_RESERVED",
-  PAID: "PAID",
-  SHIPPED: "SHIPPED",
-  ROLLING_BACK_STOCK: "ROLLING_BACK_STOCK",
-  FAILED: "FAILED",
-  COMPLETED: "COMPLETED",
-};
+// Structure: { STATE_NAME: "STATE_NAME", ... }
+// e.g. { CREATED, RESERVING_STOCK, STOCK_RESERVED, PAID, SHIPPED,
+//        ROLLING_BACK_STOCK, FAILED, COMPLETED }
+const STATES = orderSaga.states;
 
 // --- DATA STRUCTURE: EVENTS ---
 // Object mapping event names to their string values
-// Structure: { EVENT_NAME: "event_name_string", ... }
-// Returns: Object
-const EVENTS = {
-  START: "START",
-  INVENTORY_OK: "INVENTORY_OK",
-  INVENTORY_FAIL: "INVENTORY_FAIL",
-  PAYMENT_OK: "PAYMENT_OK",
-  PAYMENT_FAIL: "PAYMENT_FAIL",
-  SHIPPING_OK: "SHIPPING_OK",
-  FINALIZE_OK: "FINALIZE_OK",
-  ROLLBACK_DONE: "ROLLBACK_DONE",
-};
+// Structure: { EVENT_NAME: "EVENT_NAME", ... }
+// e.g. { START, INVENTORY_OK, INVENTORY_FAIL, PAYMENT_OK, PAYMENT_FAIL,
+//        SHIPPING_OK, FINALIZE_OK, ROLLBACK_DONE }
+const EVENTS = orderSaga.events;
 
 module.exports = {
   STATES,
@@ -0,0 +1,135 @@
+const db = require("../infrastructure/MockDatabase");
+const {
+  InventoryService,
+  PaymentService,
+  ShippingService,
+} = require("../services/Services");
+const { defineSaga } = require("../saga/defineSaga");
+
+// =========================================================
+// --- ORDER SAGA DEFINITION ---
+// The whole order workflow, in one place. The states, events and
+// transitions (see the state diagram in the README) are derived from it
+// and checked when this module is loaded.
+// =========================================================
+
+module.exports = defineSaga({
+  name: "Order",
+
+  // Orders are persisted in the Order Bounded Context of the database.
+  store: {
+    get: (orderId) => db.getOrder(orderId),
+    setStatus: (orderId, status) => db.updateOrderStatus(orderId, status),
+    setAttempt: (orderId, callName, attempt) =>
+      db.updateOrderAttempt(orderId, callName, attempt),
+    setTimer: (orderId, name, timer) =>
+      db.updateOrderTimer(orderId, name, timer),
+    appendHistory: (orderId, entry) => db.appendOrderHistory(orderId, entry),
+    getHistory: (orderId) => db.getOrderHistory(orderId),
+    listHistories: async () =>
+      (await db.getAllOrderHistories()).map(({ orderId, history }) => ({
+        sagaId: orderId,
+        history,
+      })),
+    // Used by the recovery worker
+    findStale: async (updatedBefore) =>
+      (await db.findStaleOrders(updatedBefore)).map((order) => ({
+        sagaId: order.orderId,
+        status: order.status,
+        updatedAt: order.updatedAt,
+      })),
+    findDue: async (now) =>
+      (await db.findDueTimers(now)).map((due) => ({
+        sagaId: due.orderId,
+        status: due.status,
+        updatedAt: due.updatedAt,
+        timer: due.timer,
+      })),
+    acquireLease: (orderId, owner, ttlMs) =>
+      db.acquireLease(orderId, owner, ttlMs),
+    releaseLease: (orderId, owner) => db.releaseLease(orderId, owner),
+  },
+  toContext: (order) => ({ itemId: order.itemId, amount: order.amount }),
+
+  initialState: "CREATED",
+  startEvent: "START",
+  completedState: "COMPLETED",
+  failedState: "FAILED",
+
+  // Not finished 30s after START: abort, unless the payment went through
+  deadline: { ms: 30000, event: "DEADLINE_EXCEEDED" },
+
+  steps: [
+    {
+      name: "reserveStock",
+      state: "RESERVING_STOCK",
+      action: (context, call) =>
+        InventoryService.reserve(context.itemId, call.idempotencyKey),
+      successEvent: "INVENTORY_OK",
+      failureEvent: "INVENTORY_FAIL",
+      timeout: { ms: 2000, event: "INVENTORY_TIMEOUT" },
+      // A reservation that lands after the timeout must not lock the stock
+      cancel: {
+        action: (context, call) =>
+          InventoryService.cancelReservation(
+            context.itemId,
+            call.idempotencyKey
+          ),
+        retry: { maxAttempts: 3, delayMs: 200 },
+      },
+      // Undone when the payment (a later step) fails
+      compensation: {
+        state: "ROLLING_BACK_STOCK",
+        action: (context, call) =>
+          InventoryService.release(context.itemId, call.idempotencyKey),
+        doneEvent: "ROLLBACK_DONE",
+      },
+    },
+    {
+      // --- CONCEPT: PIVOT TRANSACTION ---
+      // Point of no return: a failure here rolls back the stock, a
+      // failure after it is retried until it succeeds.
+      name: "charge",
+      state: "STOCK_RESERVED",
+      pivot: true,
+      action: (context, call) =>
+        PaymentService.charge(call.sagaId, context.amount, call.idempotencyKey),
+      successEvent: "PAYMENT_OK",
+      failureEvent: "PAYMENT_FAIL",
+      // A hung payment provider must not block the stock forever
+      timeout: { ms: 2000, event: "PAYMENT_TIMEOUT" },
+      // ...and a charge that lands after the timeout is voided
+      cancel: {
+        action: (context, call) =>
+          PaymentService.cancel(
+            call.sagaId,
+            context.amount,
+            call.idempotencyKey
+          ),
+        retry: { maxAttempts: 3, delayMs: 200 },
+      },
+    },
+    {
+      // --- CONCEPT: POST-PIVOT BEHAVIOR ---
+      // No failureEvent (there is no SHIPPING_FAIL): the customer has
+      // paid, so we retry until the carrier accepts (forward recovery).
+      name: "ship",
+      state: "PAID",
+      action: (context, call) =>
+        ShippingService.ship(call.sagaId, call.idempotencyKey),
+      successEvent: "SHIPPING_OK",
+      retry: { maxAttempts: Infinity, delayMs: 500 },
+      // Post-pivot: a timeout re-runs the step (SHIPPING_TIMEOUT -> PAID)
+      timeout: { ms: 3000, event: "SHIPPING_TIMEOUT" },
+    },
+    {
+      // Post-saga cleanup: turn the semantic lock into a real deduction
+      name: "finalizeStock",
+      state: "SHIPPED",
+      action: (context, call) =>
+        InventoryService.finalize(context.itemId, call.idempotencyKey),
+      successEvent: "FINALIZE_OK",
+      retry: { maxAttempts: Infinity, delayMs: 500, backoffFactor: 2 },
+    },
+  ],
+});
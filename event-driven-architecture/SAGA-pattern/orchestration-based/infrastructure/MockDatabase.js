@@ -1,3 +1,5 @@
+const { BusinessError } = require("../services/errors");
+
 class MockDatabase {
   constructor() {
     // --- DATA STRUCTURE: INVENTORY MAP ---
@@ -6,9 +8,110 @@ class MockDatabase {
     this.inventory = new Map();
 
     // --- DATA STRUCTURE: ORDERS MAP ---
-    // Map<OrderId, { status: string, itemId: string, amount: number }>
-    // Stores order information including current state, item, and amount
+    // Map<OrderId, { status: string, itemId: string, amount: number,
+    //                attempts: { [callName]: number },
+    //                timers: { [name]: { event, dueAt } },
+    //                updatedAt: number, lease: { owner, expiresAt } | null }>
+    // Stores order information including current state, item, and amount.
+    // attempts builds the idempotency keys of the service calls.
+    // timers are the durable step timeouts and deadline of the saga.
+    // updatedAt and lease are used by the recovery worker (zombie sagas).
     this.orders = new Map();
+
+    // --- DATA STRUCTURE: IDEMPOTENCY RECORDS ---
+    // Map<IdempotencyKey, { ok: boolean, result?: any, error?: string,
+    //                       cancelled?: true }
+    //                   | { pending: true, expiresAt: number }>
+    // Outcome of every service call that succeeded or failed for a
+    // business reason, by key, so that a repeated call (same key) replays
+    // it instead of running twice. A call still running has a pending
+    // record instead.
+    this.idempotencyRecords = new Map();
+
+    // --- DATA STRUCTURE: ORDER HISTORY ---
+    // Map<OrderId, Array<Entry>> - Append-only execution history of each
+    // order's saga, oldest first. Entry is either
+    // { type: "transition", from, to, event, payload, error, at } or
+    // { type: "attempt_failed", state, call, attempt, error, at }
+    this.orderHistory = new Map();
+  }
+
+  // =========================================================
+  // --- IDEMPOTENCY STORE ---
+  // Shared by the services here. In production each service keeps its own
+  // table, in the SAME transaction as its business change (otherwise a
+  // crash between the two breaks the guarantee).
+  // =========================================================
+
+  /**
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|undefined>} The stored outcome, if any
+   */
+  async getIdempotencyRecord(key) {
+    return this.idempotencyRecords.get(key);
+  }
+
+  /**
+   * Claims an idempotency key for a call about to run (pending record).
+   *
+   * @description Atomic compare-and-set, like acquireLease(): succeeds if
+   * the key is unused, or if its pending record expired (the service died
+   * mid-call).
+   *
+   * @param {string} key - Idempotency key
+   * @param {number} ttlMs - How long the claim lasts
+   * @returns {Promise<boolean>} True if the caller may run the call
+   */
+  async claimIdempotencyKey(key, ttlMs) {
+    const now = Date.now();
+    const record = this.idempotencyRecords.get(key);
+    if (record && !(record.pending && record.expiresAt <= now)) return false;
+
+    this.idempotencyRecords.set(key, { pending: true, expiresAt: now + ttlMs });
+    return true;
+  }
+
+  /**
+   * Stores the outcome of a call, unless its key was cancelled meanwhile.
+   *
+   * @param {string} key - Idempotency key
+   * @param {{ok: boolean, result?: any, error?: string}} outcome
+   * @returns {Promise<boolean>} False if the key was cancelled
+   */
+  async saveIdempotencyRecord(key, outcome) {
+    const record = this.idempotencyRecords.get(key);
+    if (record && record.cancelled) return false;
+
+    this.idempotencyRecords.set(key, outcome);
+    return true;
+  }
+
+  /**
+   * Drops the pending record of a call that failed transiently, so the
+   * key can be run again.
+   *
+   * @param {string} key - Idempotency key
+   * @returns {Promise<void>}
+   */
+  async releaseIdempotencyKey(key) {
+    const record = this.idempotencyRecords.get(key);
+    if (record && record.pending) this.idempotencyRecords.delete(key);
+  }
+
+  /**
+   * Marks an unused or pending key as cancelled. The outcome of a finished
+   * call is left as is.
+   *
+   * @param {string} key - Idempotency key
+   * @param {string} error - Outcome replayed to a late call
+   * @returns {Promise<Object|undefined>} The record before the cancellation
+   */
+  async cancelIdempotencyRecord(key, error) {
+    const record = this.idempotencyRecords.get(key);
+    if (!record || record.pending) {
+      this.idempotencyRecords.set(key, { ok: false, error, cancelled: true });
+    }
+    return record;
   }
 
   // =========================================================
@@ -45,13 +148,15 @@ class MockDatabase {
    *
    * @param {string} itemId - The ID of the item to reserve
    * @returns {Promise<void>}
-   * @throws {Error} If item is not found or out of stock
+   * @throws {BusinessError} If item is not found or out of stock
    */
   async reserveStock(itemId) {
     const item = this.inventory.get(itemId);
 
-    if (!item) throw new Error(`Item ${itemId} not found`);
-    if (item.qty - item.lockedQty <= 0) throw new Error("Out of Stock");
+    if (!item) throw new BusinessError(`Item ${itemId} not found`);
+    if (item.qty - item.lockedQty <= 0) {
+      throw new BusinessError("Out of Stock");
+    }
 
     item.lockedQty++;
     console.log(
@@ -87,12 +192,12 @@ class MockDatabase {
    *
    * @param {string} itemId - The ID of the item to finalize
    * @returns {Promise<void>}
-   * @throws {Error} If item is not found
+   * @throws {BusinessError} If item is not found
    */
   async confirmStockDeduction(itemId) {
     const item = this.inventory.get(itemId);
 
-    if (!item) throw new Error(`Item ${itemId} not found`);
+    if (!item) throw new BusinessError(`Item ${itemId} not found`);
 
     // Finalize: Convert the "Semantic Lock" into a real permanent deduction
     item.qty--;
@@ -121,6 +226,10 @@ class MockDatabase {
       status: "CREATED",
       itemId,
       amount,
+      attempts: {},
+      timers: {},
+      updatedAt: Date.now(),
+      lease: null,
     });
 
     console.log(`   [DB] Order ${orderId} Persisted (Status: CREATED)`);
@@ -138,20 +247,174 @@ class MockDatabase {
     if (!order) return; // Or throw error
 
     order.status = status;
+    order.updatedAt = Date.now();
     console.log(`   [DB] Order ${orderId} State Updated -> ${status}`);
   }
 
+  /**
+   * Records the current attempt of one of the order's service calls.
+   *
+   * @description Persisted BEFORE the call, so that a resumed saga reuses
+   * the same idempotency key.
+   *
+   * @param {string} orderId - The ID of the order
+   * @param {string} callName - e.g. "charge", "undo-reserveStock"
+   * @param {number} attempt - The attempt about to be made
+   * @returns {Promise<void>}
+   */
+  async updateOrderAttempt(orderId, callName, attempt) {
+    const order = this.orders.get(orderId);
+    if (!order) return;
+
+    order.attempts[callName] = attempt;
+    order.updatedAt = Date.now(); // A retrying saga is alive, not a zombie
+  }
+
+  /**
+   * Sets (or clears) one of the order's durable timers.
+   *
+   * @param {string} orderId - The ID of the order
+   * @param {string} name - Timer name (a state, or "deadline")
+   * @param {{event: string, dueAt: number}|null} timer - null clears it
+   * @returns {Promise<void>}
+   */
+  async updateOrderTimer(orderId, name, timer) {
+    const order = this.orders.get(orderId);
+    if (!order) return;
+
+    if (timer) order.timers[name] = { ...timer };
+    else delete order.timers[name];
+  }
+
   /**
    * Retrieves an order from the database.
    *
    * @description Used by Orchestrator to hydrate state after crash recovery.
    *
    * @param {string} orderId - The ID of the order to retrieve
-   * @returns {Promise<Object|undefined>} Order object: { status: string, itemId: string, amount: number }
+   * @returns {Promise<Object|undefined>} Order object: { status: string, itemId: string, amount: number, attempts: Object, ... }
    */
   async getOrder(orderId) {
     return this.orders.get(orderId);
   }
+
+  // --- CONCEPT: APPEND-ONLY HISTORY ---
+  // 'status' is overwritten at every transition. The history keeps every
+  // transition instead: entries are only ever ADDED, never changed.
+
+  /**
+   * Appends an entry to the execution history of an order's saga.
+   *
+   * @param {string} orderId - The ID of the order
+   * @param {Object} entry - e.g. { type: "transition", from, to, event, payload, error, at }
+   * @returns {Promise<void>}
+   */
+  async appendOrderHistory(orderId, entry) {
+    if (!this.orderHistory.has(orderId)) this.orderHistory.set(orderId, []);
+    this.orderHistory.get(orderId).push(Object.freeze({ ...entry }));
+  }
+
+  /**
+   * @param {string} orderId - The ID of the order
+   * @returns {Promise<Array<Object>>} Its history, oldest entry first
+   */
+  async getOrderHistory(orderId) {
+    return [...(this.orderHistory.get(orderId) || [])];
+  }
+
+  /**
+   * @returns {Promise<Array<{orderId: string, history: Array<Object>}>>}
+   * The history of every order
+   */
+  async getAllOrderHistories() {
+    return [...this.orderHistory.entries()].map(([orderId, history]) => ({
+      orderId,
+      history: [...history],
+    }));
+  }
+
+  /**
+   * Lists the orders whose state has not changed since a given time.
+   *
+   * @description Used by the recovery worker to find "Zombie Sagas": orders
+   * whose orchestrator crashed mid-way and left them in an intermediate state.
+   *
+   * @param {number} updatedBefore - Timestamp (ms)
+   * @returns {Promise<Array<{orderId: string, status: string, updatedAt: number}>>}
+   */
+  async findStaleOrders(updatedBefore) {
+    return [...this.orders.entries()]
+      .filter(([, order]) => order.updatedAt < updatedBefore)
+      .map(([orderId, { status, updatedAt }]) => ({
+        orderId,
+        status,
+        updatedAt,
+      }));
+  }
+
+  /**
+   * Lists the timers that are due, one entry per timer.
+   *
+   * @description Used by the recovery worker: a durable timer only fires
+   * when someone runs the saga, however recently it moved.
+   *
+   * @param {number} now - Timestamp (ms)
+   * @returns {Promise<Array<{orderId: string, status: string, updatedAt: number, timer: string}>>}
+   */
+  async findDueTimers(now) {
+    return [...this.orders.entries()].flatMap(([orderId, order]) =>
+      Object.entries(order.timers)
+        .filter(([, { dueAt }]) => dueAt <= now)
+        .map(([timer]) => ({
+          orderId,
+          status: order.status,
+          updatedAt: order.updatedAt,
+          timer,
+        }))
+    );
+  }
+
+  // --- CONCEPT: LEASE (Distributed Lock with Expiry) ---
+  // Two recovery workers may find the same zombie order. Only the one
+  // holding the lease resumes it. A lease EXPIRES, so a worker that crashes
+  // while holding it doesn't block the order forever.
+  // In SQL this is ONE atomic statement (compare-and-set):
+  //   UPDATE orders SET lease_owner = $owner, lease_expires = now() + $ttl
+  //   WHERE id = $id AND (lease_owner IS NULL OR lease_expires < now())
+
+  /**
+   * Tries to take the lease on an order.
+   *
+   * @param {string} orderId - The ID of the order
+   * @param {string} owner - Who takes the lease (e.g. a worker ID)
+   * @param {number} ttlMs - How long the lease lasts
+   * @returns {Promise<boolean>} True if the lease was acquired
+   */
+  async acquireLease(orderId, owner, ttlMs) {
+    const order = this.orders.get(orderId);
+    if (!order) return false;
+
+    const now = Date.now();
+    const { lease } = order;
+    if (lease && lease.owner !== owner && lease.expiresAt > now) return false;
+
+    order.lease = { owner, expiresAt: now + ttlMs };
+    return true;
+  }
+
+  /**
+   * Releases a lease, if it is still held by the given owner.
+   *
+   * @param {string} orderId - The ID of the order
+   * @param {string} owner - Who holds the lease
+   * @returns {Promise<void>}
+   */
+  async releaseLease(orderId, owner) {
+    const order = this.orders.get(orderId);
+    if (order && order.lease && order.lease.owner === owner) {
+      order.lease = null;
+    }
+  }
 }
 
 module.exports = new MockDatabase();
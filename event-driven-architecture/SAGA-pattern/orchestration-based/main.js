@@ -1,5 +1,10 @@
 const db = require("./infrastructure/MockDatabase");
 const OrderOrchestrator = require("./OrderOrchestrator");
+const SagaOrchestrator = require("./saga/SagaOrchestrator");
+const SagaRecoveryWorker = require("./saga/SagaRecoveryWorker");
+const SagaHistory = require("./saga/SagaHistory");
+const { PaymentService, ShippingService } = require("./services/Services");
+const orderSaga = require("./definitions/orderSaga");
 const { STATES, EVENTS } = require("./constants");
 
 // =========================================================
@@ -14,6 +19,21 @@ const TEST_ITEM_ID = "item-101";
 const TEST_ITEM_QUANTITY = 10;
 const TEST_ORDER_AMOUNT = 50;
 
+// --- RECOVERY DEMO CONSTANTS ---
+// Short on purpose: in production, minutes rather than milliseconds
+const RECOVERY_STALE_AFTER_MS = 300;
+const RECOVERY_INTERVAL_MS = 400;
+const RECOVERY_DEMO_DURATION_MS = 2500;
+
+// --- TIMEOUT DEMO CONSTANTS ---
+// Longer than the 2s payment timeout of the order saga
+const SLOW_PAYMENT_MS = 2500;
+
+// --- HISTORY DEMO CONSTANTS ---
+const HISTORY_EXTRA_ORDERS = 4;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 async function main() {
   console.log("--- BOOTSTRAPPING ORCHESTRATION SAGA ---");
 
@@ -24,33 +44,21 @@ async function main() {
   /**
    * Creates and runs an order through the saga workflow.
    *
-   * @description Unified function that works for both new orders and crash recovery.
-   * The orchestrator automatically determines what to do based on the current state.
+   * @description The orchestrator automatically determines what to do based
+   * on the current state (CREATED for a new order, the persisted state for
+   * an existing one).
    *
    * @param {string} id - Order ID
-   * @param {string} [initialState=STATES.CREATED] - The state to start from (for crash recovery simulation).
-   *                                                If not provided, defaults to CREATED (new order)
    * @returns {Promise<void>}
    */
-  async function createAndRunOrder(id, initialState = STATES.CREATED) {
-    if (initialState === STATES.CREATED) {
-      console.log(`\n\n=== STARTING NEW ORDER: ${id} ===`);
-    } else {
-      console.log(
-        `\n\n=== RESUMING ORDER FROM CRASH: ${id} (State: ${initialState}) ===`
-      );
-    }
-
+  async function createAndRunOrder(id) {
     // 1. Check if order exists, create only if it doesn't
     const existingOrder = await db.getOrder(id);
     if (!existingOrder) {
-      // Order doesn't exist, create it
+      console.log(`\n\n=== STARTING NEW ORDER: ${id} ===`);
       await db.initOrder(id, TEST_ITEM_ID, TEST_ORDER_AMOUNT);
-      // If simulating crash recovery, set the state to the recovery state
-      if (initialState !== STATES.CREATED) {
-        await db.updateOrderStatus(id, initialState);
-      }
     } else {
+      console.log(`\n\n=== RESUMING ORDER AFTER RESTART: ${id} ===`);
       console.log(
         `ℹ️ Order ${id} already exists, using existing state: ${existingOrder.status}`
       );
@@ -60,39 +68,178 @@ async function main() {
     const saga = new OrderOrchestrator(id);
 
     // 3. Hydrate (Load from DB)
-    // Load the persisted state from database (CREATED for new orders, or recovery state)
     await saga.init();
 
     // 4. Execute
     // Single method that handles everything:
-    // - If CREATED: Executes doStart() which triggers START event
+    // - If CREATED: Triggers the START event
     // - If any other state: Executes the action for that state
     // - If terminal: Does nothing
     // The orchestrator automatically continues the workflow until completion
     await saga.execute();
   }
 
+  /**
+   * Simulates a server crash in the middle of a saga.
+   *
+   * @description The order is persisted in an intermediate state, and then
+   * nobody drives it anymore: a "Zombie Saga". The crash happens right after
+   * the payment request reached the Payment Service: when the saga is
+   * resumed, the charge is sent AGAIN, with the same idempotency key.
+   *
+   * @param {string} id - Order ID
+   * @param {string} state - The state the orchestrator crashed in
+   * @returns {Promise<void>}
+   */
+  async function simulateCrashedOrder(id, state) {
+    console.log(
+      `\n\n=== SERVER CRASHES DURING ORDER: ${id} (State: ${state}) ===`
+    );
+    await db.initOrder(id, TEST_ITEM_ID, TEST_ORDER_AMOUNT);
+    await db.reserveStock(TEST_ITEM_ID); // RESERVING_STOCK had completed
+    await db.updateOrderStatus(id, state);
+
+    // What the orchestrator did before crashing: persist the attempt, send
+    // the charge (its outcome never made it back)
+    await db.updateOrderAttempt(id, "charge", 1);
+    const key = SagaOrchestrator.idempotencyKey(id, "charge", 1);
+    await PaymentService.charge(id, TEST_ORDER_AMOUNT, key).catch(() => {});
+    console.log("💥 Server crashed! Nobody is driving this order anymore.");
+  }
+
   // =========================================================
   // --- EXAMPLE 1: NORMAL FLOW (Starting from Beginning) ---
   // =========================================================
   console.log("\n--- EXAMPLE 1: Normal Flow from START ---");
   // Run Order - Normal flow from the beginning (CREATED state)
-  // The orchestrator will automatically execute doStart() which triggers the workflow
   // This order will go through the complete workflow:
   // CREATED -> RESERVING_STOCK -> STOCK_RESERVED -> PAID -> SHIPPED -> COMPLETED
   // (or fail at payment and trigger compensation)
   await createAndRunOrder("ord_1");
 
   // =========================================================
-  // --- EXAMPLE 2: CRASH RECOVERY (Resuming from Middle) ---
+  // --- EXAMPLE 2: CRASH RECOVERY (Zombie Saga Sweeper) ---
   // =========================================================
   console.log(
-    "\n\n--- EXAMPLE 2: Crash Recovery - Resuming from STOCK_RESERVED ---"
+    "\n\n--- EXAMPLE 2: Crash Recovery - Recovery Workers find the Zombie ---"
+  );
+  // Simulate: Server crashed during payment processing.
+  // The order is stuck in "STOCK_RESERVED" and nobody will call execute().
+  await simulateCrashedOrder("ord_crash_1", STATES.STOCK_RESERVED);
+
+  // The server is down for a while...
+  await sleep(RECOVERY_STALE_AFTER_MS + 100);
+
+  // ...then two servers restart, each with its own recovery worker.
+  // Both find the zombie on their startup sweep, but only the one that
+  // gets the lease resumes it (the other skips it).
+  const workers = ["worker-A", "worker-B"].map(
+    (workerId) =>
+      new SagaRecoveryWorker(orderSaga, {
+        workerId,
+        staleAfterMs: RECOVERY_STALE_AFTER_MS,
+        intervalMs: RECOVERY_INTERVAL_MS,
+      })
   );
-  // Simulate: Server crashed during payment processing
-  // When it restarts, the order is in "STOCK_RESERVED" state
-  // The orchestrator will automatically execute doPayment() for this state
-  await createAndRunOrder("ord_crash_1", STATES.STOCK_RESERVED);
+  workers.forEach((worker) => worker.start());
+
+  // Let a few periodic sweeps run (nothing left to recover)
+  await sleep(RECOVERY_DEMO_DURATION_MS);
+  workers.forEach((worker) => worker.stop());
+
+  console.log(
+    `\nℹ️ Order ord_crash_1 final state: ${
+      (await db.getOrder("ord_crash_1")).status
+    }`
+  );
+  for (const worker of workers) {
+    console.log(
+      `📊 [Recovery ${worker.workerId}] Metrics:`,
+      worker.getMetrics()
+    );
+  }
+
+  // =========================================================
+  // --- EXAMPLE 3: TIMEOUTS (Durable Timers) ---
+  // =========================================================
+  console.log("\n\n--- EXAMPLE 3: Timeouts ---");
+  const neverAnswers = () => new Promise(() => {});
+
+  // 3a. Pre-pivot: the payment provider is slower than the timeout.
+  // PAYMENT_TIMEOUT fires, the charge is cancelled and the stock is
+  // released (compensation), instead of staying locked forever. The charge
+  // that reaches the provider late is refused: the customer isn't charged
+  // for a failed order.
+  const charge = PaymentService.charge;
+  PaymentService.charge = async (...args) => {
+    await sleep(SLOW_PAYMENT_MS);
+    return charge(...args);
+  };
+  await createAndRunOrder("ord_timeout_1");
+  PaymentService.charge = charge;
+  await sleep(SLOW_PAYMENT_MS); // Let the late charge arrive
+
+  // 3b. Post-pivot: the carrier hangs once. SHIPPING_TIMEOUT re-runs the
+  // step (same idempotency key), because the customer has already paid.
+  const ship = ShippingService.ship;
+  ShippingService.ship = () => {
+    ShippingService.ship = ship;
+    return neverAnswers();
+  };
+  await createAndRunOrder("ord_timeout_2");
+
+  // 3c. Durable timer: the server crashed while the payment provider was
+  // hanging, and stayed down longer than the payment timeout. The timer
+  // was persisted with the order, so on restart it fires right away: the
+  // payment isn't even retried.
+  console.log("\n\n=== SERVER CRASHES DURING ORDER: ord_timeout_3 ===");
+  await db.initOrder("ord_timeout_3", TEST_ITEM_ID, TEST_ORDER_AMOUNT);
+  await db.reserveStock(TEST_ITEM_ID);
+  await db.updateOrderStatus("ord_timeout_3", STATES.STOCK_RESERVED);
+  await db.updateOrderTimer("ord_timeout_3", STATES.STOCK_RESERVED, {
+    event: EVENTS.PAYMENT_TIMEOUT,
+    dueAt: Date.now() - 1,
+  });
+  await createAndRunOrder("ord_timeout_3");
+
+  // =========================================================
+  // --- EXAMPLE 4: EXECUTION HISTORY (Timeline & Stats) ---
+  // =========================================================
+  console.log("\n\n--- EXAMPLE 4: Execution History ---");
+  // A few more orders, so the stats have something to aggregate
+  for (let i = 2; i < 2 + HISTORY_EXTRA_ORDERS; i++) {
+    await createAndRunOrder(`ord_${i}`);
+  }
+
+  const history = new SagaHistory(orderSaga);
+  for (const orderId of ["ord_1", "ord_timeout_1", "ord_timeout_2"]) {
+    const timeline = await history.getTimeline(orderId);
+    const total =
+      timeline.totalMs === null ? "running" : `${timeline.totalMs}ms`;
+    console.log(`\n🕓 Timeline of ${orderId} (${timeline.state}, ${total})`);
+    for (const entry of timeline.entries) {
+      if (entry.type === "attempt_failed") {
+        console.log(
+          `   ⚠️ ${entry.call} attempt ${entry.attempt} failed: ${entry.error}`
+        );
+        continue;
+      }
+      const took = entry.durationMs === null ? "?" : `${entry.durationMs}ms`;
+      const error = entry.error ? ` ❌ ${entry.error}` : "";
+      console.log(
+        `   ${entry.from} -> ${entry.to} (${entry.event}) after ${took}${error}`
+      );
+    }
+  }
+
+  console.log("\n📊 Step stats (all orders):");
+  for (const row of await history.getStats()) {
+    const avg = row.avgDurationMs === null ? "-" : `${row.avgDurationMs}ms`;
+    const rate = `${Math.round(row.failureRate * 100)}%`;
+    console.log(
+      `   ${row.call}: ${row.runs} run(s), avg ${avg}, failure rate ${rate} (${row.timeouts} timeout(s)), ${row.failedAttempts} failed attempt(s)`
+    );
+  }
 }
 
 main().catch(console.error);
@@ -0,0 +1,157 @@
+const { SagaNotFoundError } = require("./SagaOrchestrator");
+
+// =========================================================
+// --- SAGA HISTORY (Query API) ---
+// Read side of the append-only execution history written by
+// SagaOrchestrator: what happened to ONE saga (timeline), and how each
+// step behaves across ALL sagas (stats).
+// =========================================================
+
+// --- CONCEPT: DERIVED DURATIONS ---
+// The history only stores WHEN each transition happened. The time spent in
+// a state is the gap between the transition that entered it and the one
+// that left it, so it's computed here instead of being stored twice.
+// (The very first state has no entering transition: its duration is null.)
+//
+// The store of the definition must provide:
+//   getHistory(sagaId) -> [entry]
+//   listHistories() -> [{ sagaId, history: [entry] }]
+
+class SagaHistory {
+  /**
+   * @param {Object} saga - A compiled definition (see defineSaga)
+   */
+  constructor(saga) {
+    if (typeof saga.store.listHistories !== "function") {
+      throw new Error(`Saga store of "${saga.name}" has no listHistories()`);
+    }
+    this.saga = saga;
+  }
+
+  /**
+   * Returns the timeline of one saga.
+   *
+   * @param {string} sagaId - The ID of the saga instance
+   * @returns {Promise<Object>} {
+   *   sagaId, state, startedAt, endedAt, totalMs, failureReason,
+   *   entries: [entry + { durationMs } for transitions]
+   * }
+   * endedAt and totalMs are null while the saga is not in a terminal state.
+   * @throws {SagaNotFoundError} If the saga is not in the store
+   */
+  async getTimeline(sagaId) {
+    const record = await this.saga.store.get(sagaId);
+    const history = await this.saga.store.getHistory(sagaId);
+    if (!record && history.length === 0) {
+      throw new SagaNotFoundError(this.saga.name, sagaId);
+    }
+    const entries = withDurations(history);
+    const transitions = entries.filter((e) => e.type === "transition");
+    const last = transitions.at(-1);
+
+    // Not started yet: no transition, only the stored status
+    const state = last ? last.to : record.status;
+    const startedAt = history.length > 0 ? history[0].at : null;
+    const endedAt = state && this.saga.isTerminal(state) ? last.at : null;
+    const failure = transitions.find((e) => e.error);
+
+    return {
+      sagaId,
+      state,
+      startedAt,
+      endedAt,
+      totalMs: endedAt === null ? null : endedAt - startedAt,
+      failureReason: failure ? failure.error : null,
+      entries,
+    };
+  }
+
+  /**
+   * Aggregates every saga's history, per step (and per compensation).
+   *
+   * @returns {Promise<Array<Object>>} One row per call, in workflow order:
+   * { call, state, runs, avgDurationMs, failures, timeouts, failureRate,
+   *   failedAttempts }
+   * - runs: times the state was left (one run of the step)
+   * - failures: runs that ended with the step's failureEvent, or with a
+   *   timer (timeouts, counted in failures too)
+   * - timeouts: runs ended by the step's timeout or the saga deadline,
+   *   including the post-pivot ones that re-run the step
+   * - failedAttempts: attempts that threw (including retried ones)
+   */
+  async getStats() {
+    // A timer's transition only carries an error before the pivot (after
+    // it the step is simply re-run), so timeouts are recognized by event
+    const timerEvents = new Set(
+      this.saga.steps.filter((s) => s.timeout).map((s) => s.timeout.event)
+    );
+    if (this.saga.deadline) timerEvents.add(this.saga.deadline.event);
+
+    const rows = new Map();
+    for (const step of this.saga.steps) {
+      rows.set(step.state, newRow(step.name, step.state));
+    }
+    for (const step of this.saga.steps) {
+      if (step.compensation) {
+        const { state } = step.compensation;
+        rows.set(state, newRow(`undo-${step.name}`, state));
+      }
+    }
+
+    for (const { history } of await this.saga.store.listHistories()) {
+      for (const entry of withDurations(history)) {
+        if (entry.type === "attempt_failed") {
+          if (rows.has(entry.state)) rows.get(entry.state).failedAttempts++;
+          continue;
+        }
+
+        const row = rows.get(entry.from);
+        if (!row) continue; // initial state: not a step
+        row.runs++;
+        const timedOut = timerEvents.has(entry.event);
+        if (timedOut) row.timeouts++;
+        if (entry.error || timedOut) row.failures++;
+        if (entry.durationMs !== null) {
+          row.totalDurationMs += entry.durationMs;
+          row.timedRuns++;
+        }
+      }
+    }
+
+    return [...rows.values()].map(({ totalDurationMs, timedRuns, ...row }) => ({
+      ...row,
+      avgDurationMs:
+        timedRuns > 0 ? Math.round(totalDurationMs / timedRuns) : null,
+      failureRate: row.runs > 0 ? row.failures / row.runs : 0,
+    }));
+  }
+}
+
+function newRow(call, state) {
+  return {
+    call,
+    state,
+    runs: 0,
+    failures: 0,
+    timeouts: 0,
+    failedAttempts: 0,
+    totalDurationMs: 0,
+    timedRuns: 0,
+  };
+}
+
+// Adds durationMs (time spent in 'from') to every transition entry.
+function withDurations(history) {
+  let enteredAt = null;
+  let current = null;
+  return history.map((entry) => {
+    if (entry.type !== "transition") return entry;
+
+    const durationMs = current === entry.from ? entry.at - enteredAt : null;
+    enteredAt = entry.at;
+    current = entry.to;
+    return { ...entry, durationMs };
+  });
+}
+
+module.exports = SagaHistory;
@@ -0,0 +1,631 @@
+// =========================================================
+// --- GENERIC SAGA ORCHESTRATOR ---
+// The "Central Brain" of the Orchestration-based SAGA, for ANY process.
+// It runs the state machine compiled by defineSaga(): the definition
+// says WHAT to do, this class says HOW (persistence, retries,
+// compensation, crash recovery).
+// =========================================================
+
+// --- CONCEPT: ORCHESTRATION vs CHOREOGRAPHY ---
+// Orchestration: Centralized control - one orchestrator manages everything
+// Choreography: Distributed control - services communicate via events
+//
+// Benefits of Orchestration:
+// - Single source of truth for workflow logic
+// - Easier to understand and debug
+// - Better visibility into workflow state
+// - Simpler error handling and recovery
+
+const crypto = require("crypto");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Thrown by execute() when another executor holds the saga's lease.
+ */
+class SagaLeasedError extends Error {
+  constructor(sagaId) {
+    super(`Saga ${sagaId} is being executed by someone else`);
+    this.name = "SagaLeasedError";
+    this.sagaId = sagaId;
+  }
+}
+
+/**
+ * Thrown when a saga ID is not in the store.
+ */
+class SagaNotFoundError extends Error {
+  constructor(sagaName, sagaId) {
+    super(`${sagaName} ${sagaId} not found`);
+    this.name = "SagaNotFoundError";
+    this.sagaId = sagaId;
+  }
+}
+
+class SagaOrchestrator {
+  /**
+   * @param {Object} saga - A compiled definition (see defineSaga)
+   * @param {string} sagaId - The ID of the saga instance (e.g. an order ID)
+   * @param {Object} [options]
+   * @param {string} [options.owner] - Lease owner name (unique per instance
+   * by default)
+   * @param {number} [options.leaseMs=60000] - How long the lease lasts
+   */
+  constructor(
+    saga,
+    sagaId,
+    {
+      owner = `orchestrator-${process.pid}-${crypto.randomUUID()}`,
+      leaseMs = 60000,
+    } = {}
+  ) {
+    this.saga = saga;
+    this.sagaId = sagaId;
+    this.owner = owner;
+    this.leaseMs = leaseMs;
+
+    // Set when a heartbeat finds the lease taken by someone else: this
+    // executor must stop moving the saga (see transition)
+    this.leaseLost = false;
+
+    // --- DATA STRUCTURE: STATE ---
+    // string - Current state of the saga (e.g., "CREATED", "PAID")
+    // Default state in memory (will be hydrated from the store on init)
+    this.state = saga.initialState;
+
+    // --- DATA STRUCTURE: CONTEXT ---
+    // Object - Saga data built by the definition's toContext()
+    // (e.g. { itemId, amount } for an order), passed to every action
+    this.context = {};
+
+    // Why the saga is failing, carried through the compensation chain so
+    // the failed state can report it (restored from the history on init).
+    this.failureReason = null;
+
+    // --- DATA STRUCTURE: ATTEMPTS ---
+    // { [callName: string]: number } - Current attempt of each service call,
+    // persisted with the saga. Used to build the idempotency keys.
+    this.attempts = {};
+
+    // --- DATA STRUCTURE: TIMERS ---
+    // { [name: string]: { event: string, dueAt: number } } - Durable timers,
+    // persisted with the saga: one per step with a timeout (named after its
+    // state) and the saga "deadline". A restart doesn't reset the clock.
+    this.timers = {};
+
+    // Incremented when a step times out. A service call started in an
+    // earlier run is abandoned: it must not retry or record anything
+    // anymore.
+    this.run = 0;
+  }
+
+  /**
+   * Initializes the orchestrator by loading the saga state from the store.
+   * This is crucial for crash recovery (Zombie Saga handling).
+   *
+   * @description If the server crashes during saga execution, when it
+   * restarts, we load the persisted state and resume from where we left
+   * off. This prevents "Zombie Sagas" - sagas stuck in an unknown state.
+   *
+   * @returns {Promise<void>}
+   * @throws {SagaNotFoundError} If the saga is not found in the store
+   */
+  async init() {
+    const record = await this.saga.store.get(this.sagaId);
+    if (!record) throw new SagaNotFoundError(this.saga.name, this.sagaId);
+
+    // Hydrate state from persisted data
+    this.state = record.status;
+    this.context = this.saga.toContext(record);
+    this.attempts = { ...record.attempts };
+    this.timers = { ...record.timers };
+
+    const history = await this.saga.store.getHistory(this.sagaId);
+    const failure = history.find(
+      (entry) => entry.type === "transition" && entry.error
+    );
+    this.failureReason = failure ? failure.error : null;
+  }
+
+  /**
+   * Unified execution method - the single entry point of the workflow.
+   *
+   * @description Works for both new sagas (initial state) and crash
+   * recovery (any state):
+   * 1. Terminal state -> return early
+   * 2. Otherwise run the action derived for the current state
+   * 3. The action returns the next event: transition, run the action of
+   *    the new state, and so on until a terminal state
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the current state is not part of the definition
+   * @throws {SagaLeasedError} If another executor holds the saga's lease
+   */
+  async execute() {
+    if (this.saga.isTerminal(this.state)) {
+      console.log(
+        `ℹ️ [Saga ${this.sagaId}] Already in terminal state: ${this.state}`
+      );
+      return;
+    }
+
+    if (!this.saga.stateActions[this.state]) {
+      throw new Error(
+        `Unknown state: ${this.state}. No action defined for this state.`
+      );
+    }
+
+    // --- CONCEPT: EXECUTOR LEASE ---
+    // The SagaRecoveryWorker resumes sagas that look idle. A saga that is
+    // merely slow (a long retry loop) must not be resumed a SECOND time
+    // while its executor is still running it. So whoever executes a saga,
+    // the request that created it or a recovery worker, holds its lease
+    // for the whole run and renews it (heartbeat).
+    if (!(await this.acquireLease())) throw new SagaLeasedError(this.sagaId);
+    const heartbeat = this.startHeartbeat();
+    try {
+      console.log(
+        `🚀 [Saga ${this.sagaId}] Executing from state: ${this.state}`
+      );
+      await this.drive();
+    } finally {
+      clearInterval(heartbeat);
+      await this.releaseLease();
+    }
+  }
+
+  // --- CONCEPT: DRIVER LOOP ---
+  // Actions don't call transition() themselves: they return the next move
+  // ({ event, payload, error }) or nothing once the saga stops. A saga
+  // that keeps timing out after the pivot loops here forever, with a flat
+  // call stack, instead of nesting one promise per retry.
+  async drive() {
+    let next = await this.runStateAction();
+    while (next) {
+      await this.transition(next.event, next.payload, next.error);
+      next = await this.runStateAction(next.payload);
+    }
+  }
+
+  // Definitions without lease methods run without one (no recovery worker).
+  get hasLeases() {
+    return typeof this.saga.store.acquireLease === "function";
+  }
+
+  async acquireLease() {
+    if (!this.hasLeases) return true;
+    return this.saga.store.acquireLease(this.sagaId, this.owner, this.leaseMs);
+  }
+
+  async releaseLease() {
+    if (this.hasLeases) {
+      await this.saga.store.releaseLease(this.sagaId, this.owner);
+    }
+  }
+
+  // Renews the lease every leaseMs / 2. A failed renewal is only logged
+  // (the next one may work), a lease taken over by someone else stops
+  // this executor at its next transition.
+  startHeartbeat() {
+    if (!this.hasLeases) return null;
+    return setInterval(() => {
+      this.acquireLease()
+        .then((renewed) => {
+          if (renewed || this.leaseLost) return;
+          this.leaseLost = true;
+          console.warn(
+            `🔒 [Saga ${this.sagaId}] Lease lost to another executor`
+          );
+        })
+        .catch((e) =>
+          console.error(
+            `❌ [Saga ${this.sagaId}] Lease renewal failed: ${e.message}`
+          )
+        );
+    }, this.leaseMs / 2);
+  }
+
+  /**
+   * Returns the Finite State Machine (FSM) transitions, derived from the
+   * definition: { [state]: { [event]: targetState } }.
+   *
+   * @description A State Machine is defined by three rules:
+   * 1. Finite States: You can only be in ONE state at a time
+   * 2. Transitions: You move from one state to another based on an Event
+   * 3. Guards: You cannot jump randomly - only valid transitions are allowed
+   *
+   * @returns {Object.<string, Object.<string, string>>} transitions
+   */
+  get transitions() {
+    return this.saga.transitions;
+  }
+
+  /**
+   * Handles state transitions in the Finite State Machine.
+   *
+   * @description
+   * 1. Check Rule: Validate that the transition is allowed from current state
+   * 2. Update DB: Persist the new state FIRST (before executing action)
+   *
+   * The side effect of the new state is run by the caller (see drive).
+   *
+   * @param {string} event - The event that triggers the transition
+   * @param {any} [payload] - Optional data passed to the next action
+   * @param {string|null} [error] - Why the step failed, for the history
+   * @returns {Promise<void>}
+   * @throws {Error} If the transition is invalid (event not allowed from current state)
+   */
+  async transition(event, payload, error = null) {
+    const rules = this.transitions[this.state];
+    const target = rules ? rules[event] : null;
+
+    if (!target) {
+      throw new Error(
+        `Invalid Transition: Cannot '${event}' from '${this.state}'`
+      );
+    }
+    if (this.leaseLost) throw new SagaLeasedError(this.sagaId);
+
+    console.log(
+      `\n🔄 [Saga ${this.sagaId}] FSM: ${this.state} -> ${target} (Event: ${event})`
+    );
+
+    // 1. PERSISTENCE (Save State FIRST)
+    // --- CONCEPT: STATE PERSISTENCE ---
+    // If we crash after this line, we restart in the new state and
+    // execute() runs its action again (e.g. we crash during the payment,
+    // the store says "STOCK_RESERVED", so on restart we pay).
+    const from = this.state;
+    this.state = target;
+    await this.saga.store.setStatus(this.sagaId, this.state);
+
+    // The timers of the state we left are done (AFTER the state is saved:
+    // a crash in between may fire a stale timer, never lose a live one)
+    if (this.timers[from]) await this.saveTimer(from, null);
+    if (this.saga.isTerminal(target) && this.timers.deadline) {
+      await this.saveTimer("deadline", null);
+    }
+
+    // --- CONCEPT: EXECUTION HISTORY (Audit Trail) ---
+    // The status above is overwritten at every step; the history is
+    // APPEND-ONLY. It tells which states the saga went through, when, and
+    // why it failed (see SagaHistory for the queries).
+    // In production both writes go in the same DB transaction.
+    await this.recordHistory({
+      type: "transition",
+      from,
+      to: target,
+      event,
+      payload: payload === undefined ? null : payload,
+      error,
+    });
+  }
+
+  // =========================================================
+  // --- ACTIONS (The "Doing" part) ---
+  // Every state gets one of four generic behaviours, chosen by the
+  // definition (see stateActions in defineSaga). Each one returns the
+  // next move, { event, payload, error }, or nothing in a terminal state.
+  // =========================================================
+
+  async runStateAction(payload) {
+    const { kind, step } = this.saga.stateActions[this.state];
+    switch (kind) {
+      case "start":
+        await this.armDeadline();
+        return { event: this.saga.startEvent };
+      case "step":
+        return this.runStep(step);
+      case "compensation":
+        return this.runCompensation(step);
+      case "completed":
+        console.log(
+          `🎉 ${this.saga.name} ${this.sagaId} COMPLETED SUCCESSFULLY!`
+        );
+        if (this.saga.onCompleted) await this.saga.onCompleted(this);
+        return;
+      case "failed": {
+        const reason = this.failureReason || payload || "Unknown";
+        console.log(
+          `💀 ${this.saga.name} ${this.sagaId} FAILED. Reason: ${reason}`
+        );
+        if (this.saga.onFailed) await this.saga.onFailed(this, reason);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Runs a step's forward action under its retry policy.
+   *
+   * @description
+   * - Success: the step's successEvent is next
+   * - Failure (retries exhausted) with a failureEvent: it is next, and
+   *   starts backward recovery (compensation)
+   * - Failure without a failureEvent: the error propagates and the saga
+   *   stays in this state, to be resumed later. After the pivot this
+   *   can't happen: those steps retry forever (forward recovery).
+   * - No answer before its timer fires: see onTimeout()
+   *
+   * @param {Object} step - The step of the current state
+   * @returns {Promise<{event: string, payload?: any, error?: string}>}
+   */
+  async runStep(step) {
+    const timer = await this.armTimer(step);
+    let outcome;
+    try {
+      outcome = await this.withTimer(timer, () =>
+        this.callService(step.name, step.retry, step.action)
+      );
+    } catch (e) {
+      console.error(`❌ Step '${step.name}' failed: ${e.message}`);
+      if (!step.failureEvent) throw e;
+
+      this.failureReason = e.message;
+      return { event: step.failureEvent, payload: e.message, error: e.message };
+    }
+
+    if (outcome.timedOut) return this.onTimeout(step, timer);
+    const result = outcome.value;
+
+    // --- CONCEPT: CROSSING THE PIVOT ---
+    // Once the pivot succeeded there is no way back: from now on every
+    // step uses forward recovery (retry), never compensation.
+    if (step.pivot) {
+      console.log(`📍 [Saga ${this.sagaId}] Pivot '${step.name}' crossed`);
+    }
+    return { event: step.successEvent, payload: result };
+  }
+
+  // =========================================================
+  // --- TIMEOUTS ---
+  // =========================================================
+
+  // --- CONCEPT: DURABLE TIMERS ---
+  // A timer is a persisted due date ({ event, dueAt }), written when the
+  // step starts. The orchestrator races the step against it. If the
+  // process dies, the timer survives in the store: when the saga is
+  // resumed (e.g. by the SagaRecoveryWorker), the SAME due date applies,
+  // and a timer that expired while we were down fires right away, without
+  // calling the service again.
+
+  async armDeadline() {
+    const { deadline } = this.saga;
+    if (!deadline || this.timers.deadline) return;
+    await this.saveTimer("deadline", {
+      event: deadline.event,
+      dueAt: Date.now() + deadline.ms,
+    });
+  }
+
+  /**
+   * Starts the step's timer (unless a previous run already did), and
+   * returns the timer that fires first for this step: its own timeout, or
+   * the saga deadline before the pivot.
+   *
+   * @param {Object} step - The step of the current state
+   * @returns {Promise<{event: string, dueAt: number}|null>} null = no limit
+   */
+  async armTimer(step) {
+    if (step.timeout && !this.timers[step.state]) {
+      await this.saveTimer(step.state, {
+        event: step.timeout.event,
+        dueAt: Date.now() + step.timeout.ms,
+      });
+    }
+
+    const { deadline } = this.timers;
+    const timers = [this.timers[step.state]];
+    if (step.prePivot) {
+      timers.push(deadline);
+    } else if (deadline && deadline.dueAt <= Date.now()) {
+      // Past the pivot a late saga can't be cancelled: it finishes late
+      console.warn(
+        `⏰ [Saga ${this.sagaId}] Deadline missed, finishing anyway`
+      );
+    }
+    return timers.filter(Boolean).sort((a, b) => a.dueAt - b.dueAt)[0] || null;
+  }
+
+  /**
+   * Runs fn() against a timer.
+   *
+   * @param {{event: string, dueAt: number}|null} timer - null = no limit
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<{value: any}|{timedOut: true}>}
+   * @throws {Error} What fn() threw, if it failed before the timer fired
+   */
+  async withTimer(timer, fn) {
+    if (!timer) return { value: await fn() };
+
+    const remaining = timer.dueAt - Date.now();
+    if (remaining <= 0) return { timedOut: true }; // Expired while we were down
+
+    let handle;
+    const expired = new Promise((resolve) => {
+      handle = setTimeout(() => resolve({ timedOut: true }), remaining);
+    });
+    try {
+      return await Promise.race([fn().then((value) => ({ value })), expired]);
+    } finally {
+      clearTimeout(handle);
+    }
+  }
+
+  /**
+   * Handles a step that didn't answer in time.
+   *
+   * @description
+   * - Before the pivot: a failure. The step's cancel action (if any) voids
+   *   the unanswered call first, then the timeout (or deadline) event leads
+   *   to compensation, like the step's failureEvent.
+   * - After the pivot: a retry. The timeout event is a self-transition: the
+   *   step runs again, with a fresh timer and the SAME idempotency key (we
+   *   don't know if the hung call went through; if it did, the service
+   *   replays its result, and if it is still running, the service waits
+   *   for it instead of running it twice).
+   *
+   * @param {Object} step - The step that timed out
+   * @param {{event: string, dueAt: number}} timer - The timer that fired
+   * @returns {Promise<{event: string, payload?: any, error?: string}>}
+   */
+  async onTimeout(step, timer) {
+    // The unanswered call is abandoned NOW: its retry loop must not send
+    // another attempt while we cancel it (or run the step again).
+    this.run++;
+    console.error(
+      `⏰ [Saga ${this.sagaId}] Step '${step.name}' timed out (${timer.event})`
+    );
+    if (!step.prePivot) return { event: timer.event };
+
+    if (step.cancel) await this.cancelCall(step);
+    const reason = `Timed out (${timer.event})`;
+    this.failureReason = reason;
+    return { event: timer.event, payload: reason, error: reason };
+  }
+
+  // --- CONCEPT: CANCELLING THE ABANDONED CALL ---
+  // Racing the timer only stops WAITING for the call: the request may
+  // still reach the service and e.g. charge a customer whose order we are
+  // rolling back. The call to cancel is the persisted attempt (the one
+  // whose outcome we haven't seen), so its key is known even after a
+  // crash. Cancelling twice is harmless, so a crash before the transition
+  // just cancels again on resume. A cancel that keeps failing leaves the
+  // saga in this state, with its timer due: the SagaRecoveryWorker tries
+  // again later.
+  async cancelCall(step) {
+    const attempt = this.attempts[step.name];
+    if (attempt === undefined) return; // The step never called its service
+
+    const idempotencyKey = SagaOrchestrator.idempotencyKey(
+      this.sagaId,
+      step.name,
+      attempt
+    );
+    console.log(`🚫 [Saga ${this.sagaId}] Cancelling ${idempotencyKey}`);
+    await this.callService(
+      `cancel-${step.name}`,
+      step.cancel.retry,
+      (context, call) =>
+        step.cancel.action(context, { ...call, idempotencyKey })
+    );
+  }
+
+  async saveTimer(name, timer) {
+    if (timer) this.timers[name] = timer;
+    else delete this.timers[name];
+    await this.saga.store.setTimer(this.sagaId, name, timer);
+  }
+
+  /**
+   * Undoes a completed step (BACKWARD RECOVERY), then moves on to the
+   * compensation of the step before it (or to the failed state).
+   *
+   * @param {Object} step - The step being compensated
+   * @returns {Promise<{event: string, payload: string|null}>}
+   */
+  async runCompensation(step) {
+    const { compensation } = step;
+    console.log(`⚠️ Triggering Compensation: undoing '${step.name}'`);
+    await this.callService(
+      `undo-${step.name}`,
+      compensation.retry,
+      compensation.action
+    );
+    return { event: compensation.doneEvent, payload: this.failureReason };
+  }
+
+  /**
+   * Calls a service (a step's action or compensation) under a retry policy,
+   * with an idempotency key per attempt.
+   *
+   * @description The action is called as action(context, call), with
+   * call = { sagaId, idempotencyKey, attempt }, and must pass the key on
+   * to the service.
+   *
+   * @param {string} callName - Name of the call (step name, undo-<step> or
+   * cancel-<step>)
+   * @param {{maxAttempts: number, delayMs: number, backoffFactor: number}} retry
+   * @param {Function} action - Async function calling the service
+   * @returns {Promise<any>} What the action returned
+   * @throws {Error} The last error, once every attempt failed
+   */
+  async callService(callName, retry, action) {
+    // --- CONCEPT: IDEMPOTENCY KEYS (Exactly-once effect over retries) ---
+    // Key = sagaId + call + attempt. It is DETERMINISTIC: the attempt number
+    // is persisted BEFORE the call (same idea as persisting the state before
+    // the action). The persisted attempt is always the one whose outcome we
+    // haven't seen yet:
+    // - Crash during the call -> on resume we send the SAME key, and the
+    //   service replays its stored result instead of e.g. charging twice.
+    // - We saw the call fail -> the next try is a NEW attempt (new key), so
+    //   it really runs again instead of replaying the failure.
+    let attempt = this.attempts[callName];
+    if (attempt === undefined) {
+      attempt = await this.saveAttempt(callName, 1);
+    }
+
+    const run = this.run;
+    let delay = retry.delayMs;
+    for (let tries = 1; ; tries++) {
+      const idempotencyKey = SagaOrchestrator.idempotencyKey(
+        this.sagaId,
+        callName,
+        attempt
+      );
+      try {
+        return await action(this.context, {
+          sagaId: this.sagaId,
+          idempotencyKey,
+          attempt,
+        });
+      } catch (e) {
+        if (this.run !== run) throw e; // Abandoned (timed out): stop here
+
+        await this.recordHistory({
+          type: "attempt_failed",
+          state: this.state,
+          call: callName,
+          attempt,
+          error: e.message,
+        });
+        attempt = await this.saveAttempt(callName, attempt + 1);
+        if (tries >= retry.maxAttempts) throw e;
+
+        console.warn(
+          `⚠️ [Saga ${this.sagaId}] '${callName}' attempt ${tries} failed (${e.message}). Retrying in ${delay}ms...`
+        );
+        await sleep(delay);
+        delay *= retry.backoffFactor;
+        if (this.run !== run) throw e;
+      }
+    }
+  }
+
+  async recordHistory(entry) {
+    await this.saga.store.appendHistory(this.sagaId, {
+      ...entry,
+      at: Date.now(),
+    });
+  }
+
+  async saveAttempt(callName, attempt) {
+    this.attempts[callName] = attempt;
+    await this.saga.store.setAttempt(this.sagaId, callName, attempt);
+    return attempt;
+  }
+
+  /**
+   * @param {string} sagaId - The ID of the saga instance
+   * @param {string} callName - Name of the call (step name, or undo-<step>)
+   * @param {number} attempt - Attempt number, starting at 1
+   * @returns {string} e.g. "ord_1:charge:1"
+   */
+  static idempotencyKey(sagaId, callName, attempt) {
+    return `${sagaId}:${callName}:${attempt}`;
+  }
+}
+
+module.exports = SagaOrchestrator;
+module.exports.SagaLeasedError = SagaLeasedError;
+module.exports.SagaNotFoundError = SagaNotFoundError;
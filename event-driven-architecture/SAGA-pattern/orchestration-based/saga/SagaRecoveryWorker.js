@@ -0,0 +1,232 @@
+const SagaOrchestrator = require("./SagaOrchestrator");
+const { SagaLeasedError } = require("./SagaOrchestrator");
+
+// =========================================================
+// --- SAGA RECOVERY WORKER (Zombie Saga Sweeper) ---
+// Finds sagas that stopped half-way (the process running them crashed)
+// and resumes them, with no human involved.
+// =========================================================
+
+// --- CONCEPT: ZOMBIE SAGA DETECTION ---
+// A saga in a NON-terminal state whose state hasn't changed for a while
+// ('staleAfterMs') is presumed orphaned: nobody is driving it anymore.
+// Thanks to "persist state BEFORE the action", resuming it is just
+// init() + execute(): the orchestrator re-runs the action of the state
+// it was left in.
+//
+// A saga that is merely slow is still leased by its executor (see below),
+// so the worker leaves it alone. 'staleAfterMs' only spares the store
+// from lease attempts on sagas that are busy anyway.
+//
+// --- CONCEPT: DUE TIMERS ---
+// A durable timer is only a date in the store: it fires when someone runs
+// the saga. A saga whose executor died with a timer pending may not be
+// stale yet (the timer is shorter than 'staleAfterMs'), so the worker
+// also resumes every saga with a timer due, however recently it moved.
+// Only timers that would fire count: the one of the current state, and
+// the deadline before the pivot.
+//
+// --- CONCEPT: LEASES ---
+// Several workers (one per server) sweep the same database. Before
+// resuming a saga, a worker takes its lease; the others skip it. The
+// lease expires after 'leaseMs', so a worker that dies mid-recovery
+// doesn't lock the saga forever: a later sweep picks it up again.
+// It is the SAME lease every executor holds (see execute() in
+// SagaOrchestrator): a saga still driven by the request that started it
+// is skipped too, however long it has been idle. The orchestrator renews
+// it every leaseMs / 2 (heartbeat), so it can't expire under its feet.
+//
+// The store of the definition must provide:
+//   findStale(updatedBefore) -> [{ sagaId, status, updatedAt }]
+//   findDue(now) -> [{ sagaId, status, updatedAt, timer }] (with timers)
+//   acquireLease(sagaId, owner, ttlMs) -> boolean
+//   releaseLease(sagaId, owner)
+
+class SagaRecoveryWorker {
+  /**
+   * @param {Object} saga - A compiled definition (see defineSaga)
+   * @param {Object} [options]
+   * @param {string} [options.workerId] - Lease owner name
+   * @param {number} [options.staleAfterMs=30000] - Age at which a saga is a zombie
+   * @param {number} [options.intervalMs=10000] - Time between two sweeps
+   * @param {number} [options.leaseMs=60000] - How long a lease lasts
+   */
+  constructor(
+    saga,
+    {
+      workerId = `worker-${process.pid}`,
+      staleAfterMs = 30000,
+      intervalMs = 10000,
+      leaseMs = 60000,
+    } = {}
+  ) {
+    const methods = ["findStale", "acquireLease", "releaseLease"];
+    const usesTimers = saga.deadline || saga.steps.some((step) => step.timeout);
+    if (usesTimers) methods.push("findDue");
+    for (const method of methods) {
+      if (typeof saga.store[method] !== "function") {
+        throw new Error(`Saga store of "${saga.name}" has no ${method}()`);
+      }
+    }
+
+    this.saga = saga;
+    this.usesTimers = Boolean(usesTimers);
+    this.workerId = workerId;
+    this.staleAfterMs = staleAfterMs;
+    this.intervalMs = intervalMs;
+    this.leaseMs = leaseMs;
+    this.timer = null;
+    this.sweeping = false;
+
+    // --- DATA STRUCTURE: METRICS ---
+    // Counters since the worker was created:
+    // - sweeps: scans run
+    // - zombiesFound: stale, non-terminal sagas seen (once per sweep)
+    // - timersDue: sagas resumed because a timer was due, not stale yet
+    // - recovered: resumed, execute() returned normally
+    // - failed: resumed, execute() threw (retried on a later sweep)
+    // - skippedLeased: another worker held the lease
+    this.metrics = {
+      sweeps: 0,
+      zombiesFound: 0,
+      timersDue: 0,
+      recovered: 0,
+      failed: 0,
+      skippedLeased: 0,
+      lastSweepAt: null,
+    };
+  }
+
+  /**
+   * Sweeps once right away (startup recovery), then every intervalMs.
+   *
+   * @returns {void}
+   */
+  start() {
+    if (this.timer) return;
+    console.log(
+      `🧹 [Recovery ${this.workerId}] Started (stale after ${this.staleAfterMs}ms, every ${this.intervalMs}ms)`
+    );
+    this.sweep();
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+  }
+
+  /**
+   * Stops the periodic sweeps. A sweep in progress finishes on its own.
+   *
+   * @returns {void}
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log(`🧹 [Recovery ${this.workerId}] Stopped`);
+  }
+
+  /**
+   * Finds the zombie sagas and resumes them, one at a time.
+   *
+   * @description A sweep that is still running when the next one is due
+   * makes that one a no-op: the same saga must not be resumed twice.
+   *
+   * @returns {Promise<void>}
+   */
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+    try {
+      this.metrics.sweeps++;
+      this.metrics.lastSweepAt = Date.now();
+
+      const now = Date.now();
+      const stale = await this.saga.store.findStale(now - this.staleAfterMs);
+      const zombies = stale.filter(
+        ({ status }) => !this.saga.isTerminal(status)
+      );
+      this.metrics.zombiesFound += zombies.length;
+
+      const due = this.usesTimers ? await this.saga.store.findDue(now) : [];
+      const overdue = due.filter(
+        (entry, i) =>
+          this.fires(entry) &&
+          !zombies.some(({ sagaId }) => sagaId === entry.sagaId) &&
+          due.findIndex(({ sagaId }) => sagaId === entry.sagaId) === i
+      );
+      this.metrics.timersDue += overdue.length;
+
+      for (const zombie of [...zombies, ...overdue]) {
+        await this.recover(zombie);
+      }
+    } catch (e) {
+      console.error(
+        `❌ [Recovery ${this.workerId}] Sweep failed: ${e.message}`
+      );
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  // True if the timer would fire when the saga is resumed: a stale timer
+  // of a state already left, or a deadline after the pivot, would not.
+  fires({ status, timer }) {
+    const action = this.saga.stateActions[status];
+    if (!action || action.kind !== "step") return false;
+    return timer === status || (timer === "deadline" && action.step.prePivot);
+  }
+
+  /**
+   * Resumes one zombie saga (or one with a timer due) under a lease.
+   *
+   * @param {{sagaId: string, status: string, updatedAt: number, timer?: string}} zombie
+   * @returns {Promise<void>}
+   */
+  async recover({ sagaId, status, updatedAt, timer }) {
+    const { store } = this.saga;
+    if (!(await store.acquireLease(sagaId, this.workerId, this.leaseMs))) {
+      console.log(
+        `🔒 [Recovery ${this.workerId}] ${sagaId} is leased by another worker, skipping`
+      );
+      this.metrics.skippedLeased++;
+      return;
+    }
+
+    const idleMs = Date.now() - updatedAt;
+    const why = timer ? `timer '${timer}' due` : `stuck for ${idleMs}ms`;
+    console.log(
+      `\n🧟 [Recovery ${this.workerId}] Resuming ${sagaId} (${status}, ${why})`
+    );
+    try {
+      // Same owner: execute() renews our lease instead of competing with it
+      const orchestrator = new SagaOrchestrator(this.saga, sagaId, {
+        owner: this.workerId,
+        leaseMs: this.leaseMs,
+      });
+      await orchestrator.init();
+      await orchestrator.execute();
+      this.metrics.recovered++;
+    } catch (e) {
+      if (e instanceof SagaLeasedError) {
+        // Our lease expired and another executor took the saga over
+        console.log(
+          `🔒 [Recovery ${this.workerId}] ${sagaId} was taken over by another executor`
+        );
+        this.metrics.skippedLeased++;
+      } else {
+        console.error(
+          `❌ [Recovery ${this.workerId}] ${sagaId} failed again: ${e.message}`
+        );
+        this.metrics.failed++;
+      }
+    } finally {
+      await store.releaseLease(sagaId, this.workerId);
+    }
+  }
+
+  /**
+   * @returns {Object} A copy of the metrics
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
+
+module.exports = SagaRecoveryWorker;
@@ -0,0 +1,384 @@
+// =========================================================
+// --- SAGA DEFINITION (Declarative DSL) ---
+// Describes WHAT a business process does, step by step.
+// The state machine (states, events, transitions, state-action map)
+// is DERIVED from it, so a new process is a new definition, not a new
+// orchestrator class.
+// =========================================================
+
+// --- CONCEPT: DECLARATIVE vs HAND-WRITTEN FSM ---
+// A hand-written FSM repeats the same facts in several places (states,
+// events, transitions, actions) and nothing checks that they agree.
+// A definition states each fact ONCE:
+//
+// {
+//   name: "Order",
+//   store: {                         // Where the saga is persisted
+//     get(id) -> { status, attempts, ...data },
+//     setStatus(id, status), setAttempt(id, callName, attempt),
+//     setTimer(id, name, timer | null), // Only with timeouts or a deadline
+//     appendHistory(id, entry), getHistory(id) -> [entry],
+//     ...lease methods for the SagaRecoveryWorker
+//   },
+//   toContext: (record) => context,  // Record -> data for actions
+//   initialState: "CREATED", startEvent: "START",
+//   completedState: "COMPLETED", failedState: "FAILED",
+//   steps: [{
+//     name: "charge",
+//     state: "STOCK_RESERVED",       // State while this step is pending
+//     action: (context, call) => ..., // Forward action (throws = failed),
+//     // call = { sagaId, idempotencyKey, attempt }
+//     successEvent: "PAYMENT_OK",
+//     failureEvent: "PAYMENT_FAIL",  // Only before (or at) the pivot
+//     pivot: true,                   // Point of no return
+//     retry: { maxAttempts, delayMs, backoffFactor },
+//     timeout: { ms, event: "PAYMENT_TIMEOUT" }, // Whole step, retries included
+//     cancel: { action, retry },     // Voids an unanswered call (timeout)
+//     compensation: { state, action, doneEvent, retry }, // Undo
+//   }],
+//   deadline: { ms, event: "DEADLINE_EXCEEDED" }, // Whole saga
+//   onCompleted: (saga) => ..., onFailed: (saga, reason) => ...,
+// }
+//
+// Derived FSM:
+// - initialState --startEvent--> first step
+// - step --successEvent--> next step (or completedState)
+// - step --failureEvent--> compensation of the previous steps, newest
+//   first (or failedState if there is nothing to undo)
+// - compensation --doneEvent--> next compensation (or failedState)
+// - step --timeout.event--> like a failure before the pivot (compensate),
+//   back to the SAME step after it (retry)
+// - step --deadline.event--> like a failure, before the pivot only (after
+//   it, a late saga still has to finish)
+
+/**
+ * Thrown when a definition is inconsistent. Lists EVERY problem found,
+ * so they can all be fixed in one go.
+ */
+class SagaDefinitionError extends Error {
+  constructor(name, problems) {
+    super(`Invalid saga definition "${name}":\n - ${problems.join("\n - ")}`);
+    this.name = "SagaDefinitionError";
+    this.problems = problems;
+  }
+}
+
+const DEFAULT_RETRY = { maxAttempts: 1, delayMs: 0, backoffFactor: 1 };
+
+/**
+ * Validates a saga definition and compiles it into a state machine.
+ *
+ * @description Runs at LOAD time (when the definition module is required),
+ * so a broken process fails on startup instead of in the middle of a
+ * customer's order.
+ *
+ * @param {Object} definition - The declarative definition (see above)
+ * @returns {Object} The compiled saga: the definition plus
+ * { states, events, transitions, stateActions, pivotIndex, isTerminal() }
+ * @throws {SagaDefinitionError} If the definition is inconsistent
+ */
+function defineSaga(definition) {
+  const problems = validateShape(definition);
+  if (problems.length > 0) {
+    throw new SagaDefinitionError(definition.name, problems);
+  }
+
+  const pivotIndex = definition.steps.findIndex((step) => step.pivot);
+  const steps = definition.steps.map((step, i) => ({
+    ...step,
+    // Before (or at) the pivot: the saga can still be rolled back
+    prePivot: pivotIndex === -1 || i <= pivotIndex,
+    retry: { ...DEFAULT_RETRY, ...step.retry },
+    compensation: step.compensation && {
+      ...step.compensation,
+      retry: { ...DEFAULT_RETRY, ...step.compensation.retry },
+    },
+    cancel: step.cancel && {
+      ...step.cancel,
+      retry: { ...DEFAULT_RETRY, ...step.cancel.retry },
+    },
+  }));
+
+  problems.push(...validateRecovery(definition, steps));
+
+  const machine = buildStateMachine(definition, steps);
+  const { transitions, stateActions } = machine;
+  problems.push(...machine.problems);
+  problems.push(...findUnreachableStates(definition, transitions));
+
+  if (problems.length > 0) {
+    throw new SagaDefinitionError(definition.name, problems);
+  }
+
+  const terminalStates = [definition.completedState, definition.failedState];
+  const stateNames = Object.keys(transitions);
+  const eventNames = new Set(
+    Object.values(transitions).flatMap((rules) => Object.keys(rules))
+  );
+
+  return Object.freeze({
+    ...definition,
+    steps,
+    pivotIndex,
+    transitions,
+    stateActions,
+    // { CREATED: "CREATED", ... } - same shape as hand-written constants
+    states: Object.freeze(Object.fromEntries(stateNames.map((s) => [s, s]))),
+    events: Object.freeze(
+      Object.fromEntries([...eventNames].map((e) => [e, e]))
+    ),
+    isTerminal: (state) => terminalStates.includes(state),
+  });
+}
+
+// --- RULE 1: SHAPE ---
+// Every required field is there, and no state name is used twice.
+function validateShape(definition) {
+  const problems = [];
+  const required = [
+    "name",
+    "initialState",
+    "startEvent",
+    "completedState",
+    "failedState",
+  ];
+  for (const field of required) {
+    if (typeof definition[field] !== "string" || definition[field] === "") {
+      problems.push(`'${field}' must be a non-empty string`);
+    }
+  }
+  const storeMethods = [
+    "get",
+    "setStatus",
+    "setAttempt",
+    "appendHistory",
+    "getHistory",
+  ];
+  for (const method of storeMethods) {
+    if (!definition.store || typeof definition.store[method] !== "function") {
+      problems.push(`'store' must provide ${method}()`);
+    }
+  }
+  if (typeof definition.toContext !== "function") {
+    problems.push("'toContext' must be a function");
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    problems.push("'steps' must be a non-empty array");
+    return problems;
+  }
+
+  const states = [
+    definition.initialState,
+    definition.completedState,
+    definition.failedState,
+  ];
+  definition.steps.forEach((step, i) => {
+    const label = `Step ${i} (${step.name || "unnamed"})`;
+    if (typeof step.name !== "string") problems.push(`${label}: missing name`);
+    if (typeof step.state !== "string")
+      problems.push(`${label}: missing state`);
+    if (typeof step.action !== "function") {
+      problems.push(`${label}: 'action' must be a function`);
+    }
+    if (typeof step.successEvent !== "string") {
+      problems.push(`${label}: missing successEvent`);
+    }
+    if (
+      step.failureEvent !== undefined &&
+      step.failureEvent === step.successEvent
+    ) {
+      problems.push(`${label}: successEvent and failureEvent are the same`);
+    }
+    if (step.timeout !== undefined) {
+      problems.push(...validateTimer(`${label}: timeout`, step.timeout));
+    }
+    if (step.cancel !== undefined) {
+      if (!(step.cancel && typeof step.cancel.action === "function")) {
+        problems.push(`${label}: cancel 'action' must be a function`);
+      }
+    }
+    states.push(step.state);
+
+    const { compensation } = step;
+    if (compensation) {
+      if (typeof compensation.state !== "string") {
+        problems.push(`${label}: compensation is missing its state`);
+      }
+      if (typeof compensation.action !== "function") {
+        problems.push(`${label}: compensation 'action' must be a function`);
+      }
+      if (typeof compensation.doneEvent !== "string") {
+        problems.push(`${label}: compensation is missing its doneEvent`);
+      }
+      states.push(compensation.state);
+    }
+  });
+
+  const duplicates = states.filter((s, i) => s && states.indexOf(s) !== i);
+  for (const state of new Set(duplicates)) {
+    problems.push(`State '${state}' is used more than once`);
+  }
+  if (definition.steps.filter((step) => step.pivot).length > 1) {
+    problems.push("A saga has at most one pivot step");
+  }
+
+  if (definition.deadline !== undefined) {
+    problems.push(...validateTimer("deadline", definition.deadline));
+  }
+  const usesTimers =
+    definition.deadline || definition.steps.some((step) => step.timeout);
+  if (usesTimers && !(definition.store && definition.store.setTimer)) {
+    problems.push("'store' must provide setTimer() to use timeouts");
+  }
+  return problems;
+}
+
+function validateTimer(label, timer) {
+  const problems = [];
+  if (!(timer && timer.ms > 0 && Number.isFinite(timer.ms))) {
+    problems.push(`${label} needs a positive 'ms'`);
+  }
+  if (!(timer && typeof timer.event === "string")) {
+    problems.push(`${label} needs an 'event'`);
+  }
+  return problems;
+}
+
+// --- RULE 2: EVERY FAILURE CAN BE RECOVERED ---
+// - Before the pivot (backward recovery): if a step can be aborted (it
+//   fails, times out, or the deadline passes while it runs), every step
+//   before it must know how to undo itself (compensation).
+// - After the pivot (forward recovery): the customer has paid, failing
+//   is not an option. The step may not declare a failure, and must retry
+//   until it succeeds.
+function validateRecovery(definition, steps) {
+  const problems = [];
+  const canAbort = (step) =>
+    step.prePivot &&
+    Boolean(step.failureEvent || step.timeout || definition.deadline);
+
+  steps.forEach((step, i) => {
+    if (!step.prePivot) {
+      if (step.failureEvent) {
+        problems.push(
+          `Step '${step.name}' is after the pivot and can't fail backwards: remove its failureEvent`
+        );
+      }
+      if (step.retry.maxAttempts !== Infinity) {
+        problems.push(
+          `Step '${step.name}' is after the pivot: it needs retry.maxAttempts = Infinity (forward recovery)`
+        );
+      }
+      if (step.cancel) {
+        problems.push(
+          `Step '${step.name}' is after the pivot: a timeout re-runs it, remove its cancel`
+        );
+      }
+      return;
+    }
+
+    const laterFailure = steps.slice(i + 1).find(canAbort);
+    if (laterFailure && !step.compensation) {
+      problems.push(
+        `Step '${step.name}' has no compensation, but '${laterFailure.name}' can fail after it`
+      );
+    }
+  });
+  return problems;
+}
+
+function buildStateMachine(definition, steps) {
+  const { initialState, startEvent, completedState, failedState } = definition;
+  const transitions = {
+    [initialState]: { [startEvent]: steps[0].state },
+    [completedState]: {}, // Terminal State - no transitions allowed
+    [failedState]: {}, // Terminal State - no transitions allowed
+  };
+
+  // --- CONCEPT: CENTRALIZED STATE-ACTION MAPPING ---
+  // What to do when ENTERING a state (and when RESUMING in it after a
+  // crash). { [state]: { kind, step? } }, interpreted by SagaOrchestrator.
+  const stateActions = {
+    [initialState]: { kind: "start" },
+    [completedState]: { kind: "completed" },
+    [failedState]: { kind: "failed" },
+  };
+
+  // Two rules for the same event out of one state would be ambiguous
+  const problems = [];
+  const addRule = (state, event, target) => {
+    if (transitions[state][event]) {
+      problems.push(`State '${state}' has two transitions for '${event}'`);
+    } else {
+      transitions[state][event] = target;
+    }
+  };
+
+  // Where backward recovery starts when step i fails: the compensation of
+  // the newest earlier step that has one (or straight to FAILED).
+  const rollbackFrom = (i) => {
+    for (let j = i - 1; j >= 0; j--) {
+      if (steps[j].compensation) return steps[j].compensation.state;
+    }
+    return failedState;
+  };
+
+  steps.forEach((step, i) => {
+    const next = i + 1 < steps.length ? steps[i + 1].state : completedState;
+    transitions[step.state] = { [step.successEvent]: next };
+    if (step.failureEvent) {
+      addRule(step.state, step.failureEvent, rollbackFrom(i));
+    }
+
+    // --- CONCEPT: TIMEOUT EVENTS ---
+    // A step that doesn't answer in time is treated like a failure before
+    // the pivot (compensate), and re-run after it (a self-transition: the
+    // same state is entered again, with a fresh timer).
+    // The step that timed out is not compensated itself (we never saw it
+    // succeed), but its call may still go through late: its 'cancel'
+    // action voids that call, under the same idempotency key, before the
+    // compensation starts.
+    if (step.timeout) {
+      const target = step.prePivot ? rollbackFrom(i) : step.state;
+      addRule(step.state, step.timeout.event, target);
+    }
+    if (definition.deadline && step.prePivot) {
+      addRule(step.state, definition.deadline.event, rollbackFrom(i));
+    }
+    stateActions[step.state] = { kind: "step", step };
+
+    if (step.compensation) {
+      transitions[step.compensation.state] = {
+        [step.compensation.doneEvent]: rollbackFrom(i),
+      };
+      stateActions[step.compensation.state] = { kind: "compensation", step };
+    }
+  });
+
+  return { transitions, stateActions, problems };
+}
+
+// --- RULE 3: NO DEAD STATES ---
+// Walk the FSM from the initial state. A state we never reach is dead
+// code, usually a compensation nothing can trigger. The failed state is
+// exempt: a saga whose steps can't fail simply never uses it.
+function findUnreachableStates(definition, transitions) {
+  const reached = new Set([definition.initialState]);
+  const queue = [definition.initialState];
+  while (queue.length > 0) {
+    for (const target of Object.values(transitions[queue.shift()])) {
+      if (!reached.has(target)) {
+        reached.add(target);
+        queue.push(target);
+      }
+    }
+  }
+
+  return Object.keys(transitions)
+    .filter((s) => !reached.has(s) && s !== definition.failedState)
+    .map(
+      (s) => `State '${s}' is unreachable from '${definition.initialState}'`
+    );
+}
+
+module.exports = { defineSaga, SagaDefinitionError };
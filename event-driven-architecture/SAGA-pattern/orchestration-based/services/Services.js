@@ -1,4 +1,5 @@
 const db = require("../infrastructure/MockDatabase");
+const { BusinessError } = require("./errors");
 
 // =========================================================
 // --- ORCHESTRATION SERVICES ---
@@ -15,6 +16,114 @@ const db = require("../infrastructure/MockDatabase");
 // - Service mesh communication
 // The Orchestrator acts as the client, services act as servers.
 
+// --- CONCEPT: IDEMPOTENT RECEIVER ---
+// Every call carries an idempotency key (sagaId:call:attempt) built by the
+// Orchestrator. A service runs a key ONCE and stores the outcome (result
+// or BusinessError). A repeated key (the Orchestrator crashed and resumed,
+// the network retried the request...) gets the stored outcome REPLAYED:
+// same answer, no second side effect.
+// A transient error is NOT stored: replaying it forever would turn a
+// glitch into a permanent failure. The key stays unused, and a repeated
+// request really runs again.
+// This is the orchestration counterpart of hasProcessed/markProcessed in
+// the Choreography variant.
+
+// --- CONCEPT: IN-FLIGHT MARKER ---
+// The key is claimed (a "pending" record) BEFORE the work starts. A
+// duplicate that arrives while the first request is still running (e.g.
+// the Orchestrator timed out and re-sent it) WAITS for its outcome
+// instead of doing the work a second time. The claim expires after
+// IN_FLIGHT_TTL_MS, so a service that crashed mid-request doesn't block
+// its key forever.
+const IN_FLIGHT_TTL_MS = 30000;
+const IN_FLIGHT_POLL_MS = 100;
+
+// Outcome of a request the Orchestrator cancelled (see cancelIdempotent)
+const CANCELLED = "Cancelled";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs fn() at most once per idempotency key, until it succeeds or fails
+ * with a BusinessError.
+ *
+ * @param {string} service - Service name, for the logs
+ * @param {string} key - Idempotency key of the request
+ * @param {Function} fn - Async function doing the actual work
+ * @param {Function} [undo] - Reverts what fn() did, if the key was
+ * cancelled while fn() was running (see cancelIdempotent)
+ * @returns {Promise<any>} The result of fn(), live or replayed
+ * @throws {BusinessError} The business error of fn(), live or replayed
+ * @throws {Error} A transient error of fn() (live only, never stored)
+ */
+async function idempotent(service, key, fn, undo) {
+  for (let waiting = false; ; waiting = true) {
+    if (await db.claimIdempotencyKey(key, IN_FLIGHT_TTL_MS)) break;
+
+    const previous = await db.getIdempotencyRecord(key);
+    if (previous && !previous.pending) {
+      console.log(`🔁 [${service}] Duplicate request ${key}: replaying result`);
+      if (!previous.ok) throw new BusinessError(previous.error);
+      return previous.result;
+    }
+    if (!waiting) {
+      console.log(`⏳ [${service}] Request ${key} already in flight: waiting`);
+    }
+    await sleep(IN_FLIGHT_POLL_MS);
+  }
+
+  let result;
+  try {
+    result = await fn();
+  } catch (e) {
+    if (e instanceof BusinessError) {
+      await db.saveIdempotencyRecord(key, { ok: false, error: e.message });
+    } else {
+      await db.releaseIdempotencyKey(key);
+    }
+    throw e;
+  }
+
+  if (!(await db.saveIdempotencyRecord(key, { ok: true, result }))) {
+    // Cancelled while we were working: nobody wants this result anymore
+    console.log(`🚫 [${service}] Request ${key} was cancelled: undoing it`);
+    if (undo) await idempotent(service, `${key}:undo`, () => undo(result));
+    throw new BusinessError(CANCELLED);
+  }
+  return result;
+}
+
+// --- CONCEPT: CANCELLING AN UNANSWERED REQUEST ---
+// The Orchestrator gave up on a request (its step timed out) and rolls
+// the saga back. The request may still be on its way, running, or even
+// done. Cancelling its key covers all three:
+// - not arrived yet: the key is marked cancelled, so the late request
+//   replays "Cancelled" instead of running
+// - running: idempotent() undoes the work when it finishes
+// - done: the work is undone right away
+// The undo runs under its own key (<key>:undo), so it happens once too.
+
+/**
+ * Cancels the request of an idempotency key, whatever its progress.
+ *
+ * @param {string} service - Service name, for the logs
+ * @param {string} key - Idempotency key of the request to cancel
+ * @param {Function} undo - Reverts a request that already went through
+ * @returns {Promise<void>}
+ */
+async function cancelIdempotent(service, key, undo) {
+  const previous = await db.cancelIdempotencyRecord(key, CANCELLED);
+  if (!previous) {
+    console.log(`🚫 [${service}] Request ${key} cancelled before it arrived`);
+  } else if (previous.pending) {
+    console.log(`🚫 [${service}] Request ${key} cancelled while in flight`);
+  } else if (previous.ok) {
+    console.log(`🚫 [${service}] Request ${key} cancelled: undoing it`);
+    await idempotent(service, `${key}:undo`, () => undo(previous.result));
+    await db.saveIdempotencyRecord(key, { ok: false, error: CANCELLED });
+  }
+}
+
 // =========================================================
 // --- SERVICE 1: INVENTORY SERVICE ---
 // =========================================================
@@ -24,35 +133,59 @@ const InventoryService = {
    * Reserves stock for an order using semantic locking.
    *
    * @param {string} itemId - The ID of the item to reserve
+   * @param {string} idempotencyKey - Key of the request
    * @returns {Promise<void>}
    */
-  reserve: async (itemId) => {
-    // Simulating Remote Procedure Call (RPC)
-    console.log(`[Inventory] Request to reserve ${itemId}`);
-    await db.reserveStock(itemId);
-  },
+  reserve: async (itemId, idempotencyKey) =>
+    idempotent(
+      "Inventory",
+      idempotencyKey,
+      async () => {
+        // Simulating Remote Procedure Call (RPC)
+        console.log(`[Inventory] Request to reserve ${itemId}`);
+        await db.reserveStock(itemId);
+      },
+      () => db.releaseStock(itemId)
+    ),
+
+  /**
+   * Cancels a reservation request that was never answered (its step timed
+   * out): a late reservation is refused, a done one is released.
+   *
+   * @param {string} itemId - The ID of the item
+   * @param {string} idempotencyKey - Key of the reservation to cancel
+   * @returns {Promise<void>}
+   */
+  cancelReservation: async (itemId, idempotencyKey) =>
+    cancelIdempotent("Inventory", idempotencyKey, () =>
+      db.releaseStock(itemId)
+    ),
 
   /**
    * Releases reserved stock (compensation action).
    *
    * @param {string} itemId - The ID of the item to release
+   * @param {string} idempotencyKey - Key of the request
    * @returns {Promise<void>}
    */
-  release: async (itemId) => {
-    console.log(`[Inventory] Request to release ${itemId}`);
-    await db.releaseStock(itemId);
-  },
+  release: async (itemId, idempotencyKey) =>
+    idempotent("Inventory", idempotencyKey, async () => {
+      console.log(`[Inventory] Request to release ${itemId}`);
+      await db.releaseStock(itemId);
+    }),
 
   /**
    * Finalizes stock deduction after successful order completion.
    *
    * @param {string} itemId - The ID of the item to finalize
+   * @param {string} idempotencyKey - Key of the request
    * @returns {Promise<void>}
    */
-  finalize: async (itemId) => {
-    console.log(`[Inventory] Request to finalize deduction ${itemId}`);
-    await db.confirmStockDeduction(itemId);
-  },
+  finalize: async (itemId, idempotencyKey) =>
+    idempotent("Inventory", idempotencyKey, async () => {
+      console.log(`[Inventory] Request to finalize deduction ${itemId}`);
+      await db.confirmStockDeduction(itemId);
+    }),
 };
 
 // =========================================================
@@ -74,22 +207,46 @@ const PaymentService = {
    *
    * @param {string} orderId - The ID of the order
    * @param {number} amount - The amount to charge
+   * @param {string} idempotencyKey - Key of the request: a repeated key is
+   * never charged twice
    * @returns {Promise<void>}
-   * @throws {Error} If payment fails (e.g., "Insufficient Funds")
+   * @throws {BusinessError} If payment is declined (e.g., "Insufficient Funds")
    */
-  charge: async (orderId, amount) => {
-    console.log(`[Payment] Charging $${amount} for ${orderId}`);
+  charge: async (orderId, amount, idempotencyKey) =>
+    idempotent(
+      "Payment",
+      idempotencyKey,
+      async () => {
+        console.log(`[Payment] Charging $${amount} for ${orderId}`);
 
-    // Simulation: 70% Success Rate
-    const isSuccess = Math.random() > 0.3;
+        // Simulation: 70% Success Rate
+        const isSuccess = Math.random() > 0.3;
 
-    if (!isSuccess) {
-      throw new Error("Insufficient Funds");
-    }
-    console.log(`[Payment] Charge Successful`);
-  },
+        if (!isSuccess) {
+          throw new BusinessError("Insufficient Funds");
+        }
+        console.log(`[Payment] Charge Successful`);
+      },
+      () => refund(orderId, amount)
+    ),
+
+  /**
+   * Voids a charge request that was never answered (its step timed out):
+   * a late charge is refused, a done one is refunded.
+   *
+   * @param {string} orderId - The ID of the order
+   * @param {number} amount - The amount of the charge
+   * @param {string} idempotencyKey - Key of the charge to void
+   * @returns {Promise<void>}
+   */
+  cancel: async (orderId, amount, idempotencyKey) =>
+    cancelIdempotent("Payment", idempotencyKey, () => refund(orderId, amount)),
 };
 
+async function refund(orderId, amount) {
+  console.log(`[Payment] Refunding $${amount} for ${orderId}`);
+}
+
 // =========================================================
 // --- SERVICE 3: SHIPPING SERVICE (Post-Pivot) ---
 // =========================================================
@@ -97,22 +254,24 @@ const PaymentService = {
 // --- CONCEPT: RETRIABLE TRANSACTION (Forward Recovery) ---
 // Since Shipping happens AFTER the Pivot (Payment succeeded), we cannot fail.
 // The customer has already paid, so we MUST deliver.
-// This service handles its own retries internally - it will keep trying
-// until it succeeds. The Orchestrator doesn't need to handle SHIPPING_FAIL
-// because this service guarantees eventual success.
+// The service itself makes ONE attempt per call. The retry policy
+// (retry until success, 500ms apart) is declared on the 'ship' step of the
+// saga definition, and the Orchestrator applies it. The FSM has no
+// SHIPPING_FAIL because the saga never gives up on this step.
 
 const ShippingService = {
   /**
    * Ships the order to the customer.
    *
-   * @description This implements FORWARD RECOVERY. Retries internally until success
-   * (never throws in normal operation). Since this happens AFTER the pivot (Payment succeeded),
-   * we cannot fail. The customer has already paid, so we MUST deliver.
+   * @description Post-pivot step: the Orchestrator retries it until it
+   * succeeds (FORWARD RECOVERY), so a throw here is never final.
    *
    * @param {string} orderId - The ID of the order to ship
+   * @param {string} idempotencyKey - Key of the request
    * @returns {Promise<void>}
+   * @throws {Error} On a transient failure (e.g., "Network Glitch")
    */
-  ship: async (orderId) => {
+  ship: async (orderId, idempotencyKey) => {
     console.log(`[Shipping] Dispatching ${orderId}`);
 
     // --- CONCEPT: FORWARD RECOVERY ---
@@ -121,20 +280,13 @@ const ShippingService = {
     // - External API that's temporarily down
     // - Network timeout that resolves on retry
     // - Rate limiting that clears after delay
-    let attempts = 0;
-    while (true) {
-      attempts++;
-      try {
-        // Simulation: 50% chance of network error
-        if (Math.random() < 0.5) throw new Error("Network Glitch");
-
-        console.log(`[Shipping] Success on attempt ${attempts}`);
-        return; // Exit loop on success
-      } catch (e) {
-        console.warn(`⚠️ [Shipping] Attempt ${attempts} failed. Retrying...`);
-        await new Promise((r) => setTimeout(r, 500)); // Wait 500ms before retry
-      }
-    }
+    // Simulation: 50% chance of network error. The request never reached
+    // the service, so nothing is recorded for its key.
+    if (Math.random() < 0.5) throw new Error("Network Glitch");
+
+    return idempotent("Shipping", idempotencyKey, async () => {
+      console.log(`[Shipping] Success`);
+    });
   },
 };
 
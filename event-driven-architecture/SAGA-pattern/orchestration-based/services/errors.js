@@ -0,0 +1,16 @@
+// --- CONCEPT: BUSINESS vs TRANSIENT ERRORS ---
+// A BusinessError is a deterministic answer of the service: asking again
+// gives the same result ("Insufficient Funds", "Out of Stock"). Anything
+// else (a timeout, a crashed database connection...) is transient: the
+// same request may well succeed next time.
+// Only business outcomes are stored under an idempotency key (see
+// idempotent() in Services.js).
+
+class BusinessError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BusinessError";
+  }
+}
+
+module.exports = { BusinessError };
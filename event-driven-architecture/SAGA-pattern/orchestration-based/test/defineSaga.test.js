@@ -0,0 +1,138 @@
+const {
+  scripted,
+  testDefinition,
+  defineTestSaga,
+  runSaga,
+} = require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { defineSaga, SagaDefinitionError } = require("../saga/defineSaga");
+const { BusinessError } = require("../services/errors");
+
+// The SagaDefinitionError of a definition (or null if it compiles)
+function definitionError(definition) {
+  try {
+    defineSaga(definition);
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+test("the state machine is derived from the steps", () => {
+  const saga = defineTestSaga();
+
+  assert.deepEqual(saga.transitions, {
+    CREATED: { START: "RESERVING" },
+    DONE: {},
+    FAILED: {},
+    RESERVING: { RESERVED: "CHARGING", RESERVE_FAIL: "FAILED" },
+    RELEASING: { RELEASED: "FAILED" },
+    CHARGING: { CHARGED: "SHIPPING", CHARGE_FAIL: "RELEASING" },
+    SHIPPING: { SHIPPED: "DONE" },
+  });
+  assert.equal(saga.stateActions.RELEASING.kind, "compensation");
+  assert.equal(saga.stateActions.SHIPPING.step.name, "ship");
+  assert.equal(saga.states.RELEASING, "RELEASING");
+  assert.equal(saga.events.CHARGE_FAIL, "CHARGE_FAIL");
+  assert.equal(saga.pivotIndex, 1);
+  assert.equal(saga.isTerminal("DONE"), true);
+  assert.equal(saga.isTerminal("CHARGING"), false);
+});
+
+test("a step that can be rolled back needs a compensation", () => {
+  const definition = testDefinition({
+    steps: { reserve: { compensation: undefined } },
+  });
+
+  assert.deepEqual(definitionError(definition).problems, [
+    "Step 'reserve' has no compensation, but 'charge' can fail after it",
+  ]);
+});
+
+test("a compensation nothing can trigger is an unreachable state", () => {
+  // Nothing after the pivot can fail, so the charge is never undone
+  const definition = testDefinition({
+    steps: {
+      charge: {
+        compensation: {
+          state: "REFUNDING",
+          action: scripted(),
+          doneEvent: "REFUNDED",
+        },
+      },
+    },
+  });
+
+  assert.deepEqual(definitionError(definition).problems, [
+    "State 'REFUNDING' is unreachable from 'CREATED'",
+  ]);
+});
+
+test("a step after the pivot can't fail backwards and must retry forever", () => {
+  const definition = testDefinition({
+    steps: {
+      ship: {
+        failureEvent: "SHIP_FAIL",
+        retry: { maxAttempts: 3 },
+        cancel: { action: scripted() },
+      },
+    },
+  });
+
+  assert.deepEqual(definitionError(definition).problems, [
+    "Step 'ship' is after the pivot and can't fail backwards: remove its failureEvent",
+    "Step 'ship' is after the pivot: it needs retry.maxAttempts = Infinity (forward recovery)",
+    "Step 'ship' is after the pivot: a timeout re-runs it, remove its cancel",
+  ]);
+});
+
+test("every problem of a definition is reported at once", () => {
+  const definition = testDefinition({
+    failedState: "",
+    steps: {
+      reserve: { state: "CHARGING" },
+      ship: { pivot: true },
+    },
+  });
+
+  const { problems } = definitionError(definition);
+
+  assert.deepEqual(problems, [
+    "'failedState' must be a non-empty string",
+    "State 'CHARGING' is used more than once",
+    "A saga has at most one pivot step",
+  ]);
+  assert.ok(definitionError(definition) instanceof SagaDefinitionError);
+});
+
+test("the orchestrator runs a definition to its completed state", async () => {
+  const saga = defineTestSaga();
+
+  const orchestrator = await runSaga(saga, "happy", { item: "book" });
+
+  assert.equal(orchestrator.state, "DONE");
+  assert.equal(saga.store.records.get("happy").status, "DONE");
+  const [reserve, charge, ship] = saga.steps;
+  assert.equal(reserve.action.calls.length, 1);
+  assert.equal(charge.action.calls.length, 1);
+  assert.equal(ship.action.calls.length, 1);
+  assert.equal(reserve.compensation.action.calls.length, 0);
+});
+
+test("a failed step rolls back the step before it", async () => {
+  let failedWith = null;
+  const saga = defineTestSaga({
+    steps: { charge: { action: scripted(new BusinessError("Declined")) } },
+    onFailed: (orchestrator, reason) => (failedWith = reason),
+  });
+
+  const orchestrator = await runSaga(saga, "declined");
+
+  assert.equal(orchestrator.state, "FAILED");
+  assert.equal(failedWith, "Declined");
+  const [reserve, , ship] = saga.steps;
+  assert.equal(reserve.compensation.action.calls.length, 1);
+  assert.equal(ship.action.calls.length, 0);
+});
@@ -0,0 +1,222 @@
+const SagaOrchestrator = require("../saga/SagaOrchestrator");
+const { defineSaga } = require("../saga/defineSaga");
+
+// =========================================================
+// --- TEST ENVIRONMENT ---
+// Required FIRST by every test file.
+// The engine is tested with its own small saga, an in-memory store and
+// SCRIPTED services: every answer is decided by the test, never by
+// Math.random like the demo services.
+// =========================================================
+
+// Same reason as in event-sourcing-CQRS/test/helpers.js: the test runner
+// of Node 20 reads its results from stdout, so the logs go to stderr.
+console.log = console.error;
+console.info = console.error;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A call that never answers (a hung service)
+const HANG = Symbol("hang");
+
+/**
+ * A service stub that answers from a script, one outcome per call: a
+ * value (returned), an Error (thrown) or HANG. The last outcome repeats.
+ *
+ * @param {...any} outcomes
+ * @returns {Function} The action, with .calls: the 'call' argument of
+ * every call ({ sagaId, idempotencyKey, attempt }), oldest first
+ */
+function scripted(...outcomes) {
+  const calls = [];
+  const action = async (context, call) => {
+    calls.push(call);
+    const outcome = outcomes[Math.min(calls.length, outcomes.length) - 1];
+    if (outcome === HANG) return new Promise(() => {});
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  };
+  action.calls = calls;
+  return action;
+}
+
+// --- DATA STRUCTURE: RECORDS ---
+// Map<SagaId, { status, attempts, timers, updatedAt, lease, ...data }>
+// The same shape as the orders of MockDatabase, for any saga.
+function createStore() {
+  const records = new Map();
+  const histories = new Map();
+  const touch = (record) => (record.updatedAt = Date.now());
+
+  return {
+    records,
+
+    create(sagaId, fields = {}) {
+      records.set(sagaId, {
+        status: "CREATED",
+        attempts: {},
+        timers: {},
+        updatedAt: Date.now(),
+        lease: null,
+        ...fields,
+      });
+    },
+
+    get: async (sagaId) => records.get(sagaId),
+    setStatus: async (sagaId, status) => {
+      const record = records.get(sagaId);
+      record.status = status;
+      touch(record);
+    },
+    setAttempt: async (sagaId, callName, attempt) => {
+      const record = records.get(sagaId);
+      record.attempts[callName] = attempt;
+      touch(record);
+    },
+    setTimer: async (sagaId, name, timer) => {
+      const { timers } = records.get(sagaId);
+      if (timer) timers[name] = { ...timer };
+      else delete timers[name];
+    },
+
+    appendHistory: async (sagaId, entry) => {
+      if (!histories.has(sagaId)) histories.set(sagaId, []);
+      histories.get(sagaId).push(Object.freeze({ ...entry }));
+    },
+    getHistory: async (sagaId) => [...(histories.get(sagaId) || [])],
+    listHistories: async () =>
+      [...histories.entries()].map(([sagaId, history]) => ({
+        sagaId,
+        history: [...history],
+      })),
+
+    findStale: async (updatedBefore) =>
+      [...records.entries()]
+        .filter(([, record]) => record.updatedAt < updatedBefore)
+        .map(([sagaId, { status, updatedAt }]) => ({
+          sagaId,
+          status,
+          updatedAt,
+        })),
+    findDue: async (now) =>
+      [...records.entries()].flatMap(([sagaId, record]) =>
+        Object.entries(record.timers)
+          .filter(([, { dueAt }]) => dueAt <= now)
+          .map(([timer]) => ({
+            sagaId,
+            status: record.status,
+            updatedAt: record.updatedAt,
+            timer,
+          }))
+      ),
+    acquireLease: async (sagaId, owner, ttlMs) => {
+      const record = records.get(sagaId);
+      if (!record) return false;
+      const now = Date.now();
+      const { lease } = record;
+      if (lease && lease.owner !== owner && lease.expiresAt > now) return false;
+      record.lease = { owner, expiresAt: now + ttlMs };
+      return true;
+    },
+    releaseLease: async (sagaId, owner) => {
+      const record = records.get(sagaId);
+      if (record && record.lease && record.lease.owner === owner) {
+        record.lease = null;
+      }
+    },
+  };
+}
+
+/**
+ * A three-step saga shaped like the order one:
+ *   reserve (compensated by RELEASING) -> charge (pivot) -> ship (forward
+ *   recovery)
+ * Every service answers successfully unless the test scripts it.
+ *
+ * @param {Object} [overrides]
+ * @param {Object} [overrides.steps] - { [stepName]: fields merged into it }
+ * @returns {Object} The raw definition, for defineSaga()
+ */
+function testDefinition({ steps = {}, ...overrides } = {}) {
+  const defaults = [
+    {
+      name: "reserve",
+      state: "RESERVING",
+      action: scripted("reserved"),
+      successEvent: "RESERVED",
+      failureEvent: "RESERVE_FAIL",
+      compensation: {
+        state: "RELEASING",
+        action: scripted("released"),
+        doneEvent: "RELEASED",
+      },
+    },
+    {
+      name: "charge",
+      state: "CHARGING",
+      pivot: true,
+      action: scripted("charged"),
+      successEvent: "CHARGED",
+      failureEvent: "CHARGE_FAIL",
+    },
+    {
+      name: "ship",
+      state: "SHIPPING",
+      action: scripted("shipped"),
+      successEvent: "SHIPPED",
+      retry: { maxAttempts: Infinity, delayMs: 1 },
+    },
+  ];
+
+  return {
+    name: "Test",
+    store: createStore(),
+    toContext: ({ status, attempts, timers, updatedAt, lease, ...data }) =>
+      data,
+    initialState: "CREATED",
+    startEvent: "START",
+    completedState: "DONE",
+    failedState: "FAILED",
+    steps: defaults.map((step) => ({ ...step, ...steps[step.name] })),
+    ...overrides,
+  };
+}
+
+function defineTestSaga(overrides) {
+  return defineSaga(testDefinition(overrides));
+}
+
+/**
+ * Stores a saga instance and runs it, like a request starting an order.
+ *
+ * @param {Object} saga - A compiled definition
+ * @param {string} sagaId
+ * @param {Object} [fields] - Stored fields (status, attempts, timers, data)
+ * @param {Object} [options] - SagaOrchestrator options
+ * @returns {Promise<SagaOrchestrator>} Once execute() returned
+ */
+async function runSaga(saga, sagaId, fields, options) {
+  saga.store.create(sagaId, fields);
+  const orchestrator = new SagaOrchestrator(saga, sagaId, options);
+  await orchestrator.init();
+  await orchestrator.execute();
+  return orchestrator;
+}
+
+// The error a promise rejects with (or null if it resolves).
+const rejectionOf = (promise) =>
+  promise.then(
+    () => null,
+    (err) => err
+  );
+
+module.exports = {
+  HANG,
+  sleep,
+  scripted,
+  createStore,
+  testDefinition,
+  defineTestSaga,
+  runSaga,
+  rejectionOf,
+};
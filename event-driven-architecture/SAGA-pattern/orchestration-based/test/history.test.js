@@ -0,0 +1,135 @@
+const {
+  HANG,
+  sleep,
+  scripted,
+  defineTestSaga,
+  runSaga,
+  rejectionOf,
+} = require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const SagaHistory = require("../saga/SagaHistory");
+const { SagaNotFoundError } = require("../saga/SagaOrchestrator");
+const { BusinessError } = require("../services/errors");
+
+// The charge of a saga whose data says { declined: true } is refused
+const chargeUnlessDeclined = async (context) => {
+  await sleep(30);
+  if (context.declined) throw new BusinessError("Declined");
+  return "charged";
+};
+
+test("the timeline lists every transition, how long each state lasted and why it failed", async () => {
+  const saga = defineTestSaga({
+    steps: { charge: { action: chargeUnlessDeclined } },
+  });
+  await runSaga(saga, "refused", { declined: true });
+
+  const timeline = await new SagaHistory(saga).getTimeline("refused");
+  const transitions = timeline.entries.filter((e) => e.type === "transition");
+  const failedAttempts = timeline.entries.filter(
+    (e) => e.type === "attempt_failed"
+  );
+
+  assert.equal(timeline.state, "FAILED");
+  assert.equal(timeline.failureReason, "Declined");
+  assert.deepEqual(
+    transitions.map(({ from, to, event }) => `${from} -${event}-> ${to}`),
+    [
+      "CREATED -START-> RESERVING",
+      "RESERVING -RESERVED-> CHARGING",
+      "CHARGING -CHARGE_FAIL-> RELEASING",
+      "RELEASING -RELEASED-> FAILED",
+    ]
+  );
+  assert.deepEqual(
+    failedAttempts.map(({ state, call, attempt }) => ({
+      state,
+      call,
+      attempt,
+    })),
+    [{ state: "CHARGING", call: "charge", attempt: 1 }]
+  );
+  const [started, , refused, rolledBack] = transitions;
+  assert.equal(started.durationMs, null); // Nothing entered CREATED
+  assert.ok(refused.durationMs >= 25, `${refused.durationMs}ms charging`);
+  assert.equal(refused.error, "Declined");
+  assert.equal(rolledBack.payload, "Declined");
+  assert.equal(timeline.startedAt, started.at);
+  assert.equal(timeline.endedAt, rolledBack.at);
+  assert.equal(timeline.totalMs, rolledBack.at - started.at);
+});
+
+test("a saga that hasn't started has an open timeline; an unknown one throws", async () => {
+  const saga = defineTestSaga();
+  saga.store.create("waiting");
+  const history = new SagaHistory(saga);
+
+  const timeline = await history.getTimeline("waiting");
+  const err = await rejectionOf(history.getTimeline("nope"));
+
+  assert.deepEqual(timeline, {
+    sagaId: "waiting",
+    state: "CREATED",
+    startedAt: null,
+    endedAt: null,
+    totalMs: null,
+    failureReason: null,
+    entries: [],
+  });
+  assert.ok(err instanceof SagaNotFoundError);
+  assert.equal(err.sagaId, "nope");
+});
+
+test("stats give runs, average duration and failure rate per step, across sagas", async () => {
+  const saga = defineTestSaga({
+    steps: {
+      charge: { action: chargeUnlessDeclined },
+      ship: {
+        action: scripted(new Error("Network Glitch"), "shipped"),
+        retry: { maxAttempts: Infinity, delayMs: 1 },
+      },
+    },
+  });
+  await runSaga(saga, "paid", {});
+  await runSaga(saga, "declined", { declined: true });
+
+  const stats = await new SagaHistory(saga).getStats();
+  const byCall = Object.fromEntries(stats.map((row) => [row.call, row]));
+
+  assert.deepEqual(
+    stats.map((row) => row.call),
+    ["reserve", "charge", "ship", "undo-reserve"]
+  );
+  assert.equal(byCall.reserve.runs, 2);
+  assert.equal(byCall.reserve.failureRate, 0);
+  assert.equal(byCall.charge.runs, 2);
+  assert.equal(byCall.charge.failures, 1);
+  assert.equal(byCall.charge.failureRate, 0.5);
+  assert.ok(byCall.charge.avgDurationMs >= 25);
+  assert.equal(byCall.ship.runs, 1);
+  assert.equal(byCall.ship.failures, 0); // Retried, not failed
+  assert.equal(byCall.ship.failedAttempts, 1);
+  assert.equal(byCall["undo-reserve"].runs, 1);
+  assert.equal(byCall["undo-reserve"].state, "RELEASING");
+});
+
+test("a step that timed out counts as a failure, and as a timeout", async () => {
+  const saga = defineTestSaga({
+    steps: {
+      charge: {
+        action: scripted(HANG),
+        timeout: { ms: 30, event: "CHARGE_TIMEOUT" },
+      },
+    },
+  });
+  await runSaga(saga, "hung");
+
+  const [, charge] = await new SagaHistory(saga).getStats();
+
+  assert.equal(charge.runs, 1);
+  assert.equal(charge.timeouts, 1);
+  assert.equal(charge.failures, 1);
+  assert.equal(charge.failureRate, 1);
+});
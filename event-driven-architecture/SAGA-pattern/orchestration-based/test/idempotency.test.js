@@ -0,0 +1,201 @@
+const {
+  sleep,
+  scripted,
+  defineTestSaga,
+  runSaga,
+  rejectionOf,
+} = require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../infrastructure/MockDatabase");
+const { InventoryService } = require("../services/Services");
+const { BusinessError } = require("../services/errors");
+
+const lockedQty = (itemId) => db.inventory.get(itemId).lockedQty;
+
+// Makes the next reservations of an item slow (a request still in flight)
+function slowReservations(itemId, ms) {
+  const reserveStock = db.reserveStock;
+  db.reserveStock = async function (id) {
+    if (id === itemId) await sleep(ms);
+    return reserveStock.call(this, id);
+  };
+  return () => (db.reserveStock = reserveStock);
+}
+
+// =========================================================
+// --- ORCHESTRATOR SIDE: the keys it sends ---
+// =========================================================
+
+test("every attempt gets its own key, sagaId:call:attempt", async () => {
+  const saga = defineTestSaga({
+    steps: {
+      reserve: {
+        action: scripted(new Error("Glitch"), "reserved"),
+        retry: { maxAttempts: 2, delayMs: 1 },
+      },
+    },
+  });
+
+  await runSaga(saga, "keys");
+
+  const [reserve, charge] = saga.steps;
+  assert.deepEqual(
+    reserve.action.calls.map((call) => call.idempotencyKey),
+    ["keys:reserve:1", "keys:reserve:2"]
+  );
+  assert.equal(charge.action.calls[0].idempotencyKey, "keys:charge:1");
+  const { attempts } = saga.store.records.get("keys");
+  assert.deepEqual(attempts, { reserve: 2, charge: 1, ship: 1 });
+  const history = await saga.store.getHistory("keys");
+  const failed = history.filter((entry) => entry.type === "attempt_failed");
+  assert.deepEqual(
+    failed.map(({ call, attempt, error }) => ({ call, attempt, error })),
+    [{ call: "reserve", attempt: 1, error: "Glitch" }]
+  );
+});
+
+test("a saga resumed after a crash mid-call sends the SAME key again", async () => {
+  const saga = defineTestSaga();
+
+  // The attempt was persisted, then the process died during the charge
+  await runSaga(saga, "crashed", {
+    status: "CHARGING",
+    attempts: { reserve: 1, charge: 1 },
+  });
+
+  assert.equal(saga.steps[0].action.calls.length, 0);
+  assert.deepEqual(
+    saga.steps[1].action.calls.map((call) => call.idempotencyKey),
+    ["crashed:charge:1"]
+  );
+});
+
+// =========================================================
+// --- SERVICE SIDE: idempotent receiver ---
+// =========================================================
+
+test("a repeated key replays the result instead of running twice", async () => {
+  db.initItem("idem-book", 5);
+
+  await InventoryService.reserve("idem-book", "ord_r:reserveStock:1");
+  await InventoryService.reserve("idem-book", "ord_r:reserveStock:1");
+
+  assert.equal(lockedQty("idem-book"), 1);
+  assert.deepEqual(await db.getIdempotencyRecord("ord_r:reserveStock:1"), {
+    ok: true,
+    result: undefined,
+  });
+});
+
+test("a business error is stored and replayed, even once it no longer holds", async () => {
+  db.initItem("idem-empty", 0);
+  const key = "ord_e:reserveStock:1";
+
+  const first = await rejectionOf(InventoryService.reserve("idem-empty", key));
+  db.initItem("idem-empty", 5); // Restocked meanwhile
+  const replayed = await rejectionOf(
+    InventoryService.reserve("idem-empty", key)
+  );
+
+  assert.ok(first instanceof BusinessError);
+  assert.ok(replayed instanceof BusinessError);
+  assert.equal(replayed.message, "Out of Stock");
+  assert.equal(lockedQty("idem-empty"), 0);
+});
+
+test("a transient error is not stored: the same key really runs again", async () => {
+  db.initItem("idem-flaky", 5);
+  const reserveStock = db.reserveStock;
+  db.reserveStock = async () => {
+    throw new Error("Connection reset");
+  };
+  let err;
+  try {
+    err = await rejectionOf(
+      InventoryService.reserve("idem-flaky", "ord_f:reserveStock:1")
+    );
+  } finally {
+    db.reserveStock = reserveStock;
+  }
+
+  assert.equal(err.message, "Connection reset");
+  assert.equal(
+    await db.getIdempotencyRecord("ord_f:reserveStock:1"),
+    undefined
+  );
+
+  await InventoryService.reserve("idem-flaky", "ord_f:reserveStock:1");
+  assert.equal(lockedQty("idem-flaky"), 1);
+});
+
+test("a duplicate of a request still in flight waits for its outcome", async () => {
+  db.initItem("idem-slow", 5);
+  const restore = slowReservations("idem-slow", 150);
+  const key = "ord_p:reserveStock:1";
+
+  try {
+    const first = InventoryService.reserve("idem-slow", key);
+    await sleep(20);
+    assert.equal((await db.getIdempotencyRecord(key)).pending, true);
+
+    await Promise.all([first, InventoryService.reserve("idem-slow", key)]);
+  } finally {
+    restore();
+  }
+
+  assert.equal(lockedQty("idem-slow"), 1);
+  assert.equal((await db.getIdempotencyRecord(key)).ok, true);
+});
+
+test("a request cancelled before it arrives replays 'Cancelled'", async () => {
+  db.initItem("idem-late", 5);
+  const key = "ord_c:reserveStock:1";
+
+  await InventoryService.cancelReservation("idem-late", key);
+  const err = await rejectionOf(InventoryService.reserve("idem-late", key));
+
+  assert.ok(err instanceof BusinessError);
+  assert.equal(err.message, "Cancelled");
+  assert.equal(lockedQty("idem-late"), 0);
+});
+
+test("a request cancelled in flight undoes itself when it finishes", async () => {
+  db.initItem("idem-inflight", 5);
+  const restore = slowReservations("idem-inflight", 100);
+  const key = "ord_i:reserveStock:1";
+
+  let err;
+  try {
+    const reservation = rejectionOf(
+      InventoryService.reserve("idem-inflight", key)
+    );
+    await sleep(20);
+    await InventoryService.cancelReservation("idem-inflight", key);
+    err = await reservation;
+  } finally {
+    restore();
+  }
+
+  assert.equal(err.message, "Cancelled");
+  assert.equal(lockedQty("idem-inflight"), 0);
+  assert.deepEqual(await db.getIdempotencyRecord(key), {
+    ok: false,
+    error: "Cancelled",
+    cancelled: true,
+  });
+});
+
+test("cancelling a request that went through undoes it, once", async () => {
+  db.initItem("idem-done", 5);
+  const key = "ord_d:reserveStock:1";
+  await InventoryService.reserve("idem-done", key);
+
+  await InventoryService.cancelReservation("idem-done", key);
+  await InventoryService.cancelReservation("idem-done", key);
+
+  assert.equal(lockedQty("idem-done"), 0);
+  const err = await rejectionOf(InventoryService.reserve("idem-done", key));
+  assert.equal(err.message, "Cancelled");
+});
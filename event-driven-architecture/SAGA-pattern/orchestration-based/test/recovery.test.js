@@ -0,0 +1,172 @@
+const {
+  sleep,
+  scripted,
+  defineTestSaga,
+  runSaga,
+  rejectionOf,
+} = require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const SagaOrchestrator = require("../saga/SagaOrchestrator");
+const { SagaLeasedError } = require("../saga/SagaOrchestrator");
+const SagaRecoveryWorker = require("../saga/SagaRecoveryWorker");
+
+const LONG_AGO = Date.now() - 60 * 1000;
+
+test("execute() holds the saga's lease for the whole run, then releases it", async () => {
+  let leaseDuringCall = null;
+  const saga = defineTestSaga({
+    steps: {
+      charge: {
+        action: async (context, { sagaId }) => {
+          leaseDuringCall = saga.store.records.get(sagaId).lease;
+          return "charged";
+        },
+      },
+    },
+  });
+
+  const orchestrator = await runSaga(saga, "leased", {}, { owner: "api-1" });
+
+  assert.equal(leaseDuringCall.owner, "api-1");
+  assert.equal(orchestrator.state, "DONE");
+  assert.equal(saga.store.records.get("leased").lease, null);
+});
+
+test("a saga leased by another executor is not run: SagaLeasedError", async () => {
+  const saga = defineTestSaga();
+  saga.store.create("taken");
+  await saga.store.acquireLease("taken", "worker-2", 60000);
+
+  const orchestrator = new SagaOrchestrator(saga, "taken");
+  await orchestrator.init();
+  const err = await rejectionOf(orchestrator.execute());
+
+  assert.ok(err instanceof SagaLeasedError);
+  assert.equal(err.sagaId, "taken");
+  assert.equal(saga.store.records.get("taken").status, "CREATED");
+  assert.equal(saga.steps[0].action.calls.length, 0);
+  assert.equal(saga.store.records.get("taken").lease.owner, "worker-2");
+});
+
+test("the heartbeat keeps the lease of a slow run from expiring", async () => {
+  let takenOver = null;
+  const saga = defineTestSaga({
+    steps: {
+      charge: {
+        // 3 lease periods: without renewals, the lease would have expired
+        action: async (context, { sagaId }) => {
+          await sleep(150);
+          takenOver = await saga.store.acquireLease(sagaId, "worker-2", 1000);
+          return "charged";
+        },
+      },
+    },
+  });
+
+  const orchestrator = await runSaga(saga, "slow", {}, { leaseMs: 50 });
+
+  assert.equal(takenOver, false);
+  assert.equal(orchestrator.state, "DONE");
+});
+
+test("an executor whose lease was taken over stops at its next transition", async () => {
+  const saga = defineTestSaga({
+    steps: {
+      charge: {
+        action: async (context, { sagaId }) => {
+          // Another executor takes the saga over while we are busy
+          saga.store.records.get(sagaId).lease = {
+            owner: "worker-2",
+            expiresAt: Date.now() + 60000,
+          };
+          await sleep(100);
+          return "charged";
+        },
+      },
+    },
+  });
+  saga.store.create("stolen");
+
+  const orchestrator = new SagaOrchestrator(saga, "stolen", { leaseMs: 40 });
+  await orchestrator.init();
+  const err = await rejectionOf(orchestrator.execute());
+
+  assert.ok(err instanceof SagaLeasedError);
+  assert.equal(saga.store.records.get("stolen").status, "CHARGING");
+  assert.equal(saga.steps[2].action.calls.length, 0);
+  // Released only by its owner: the other executor keeps it
+  assert.equal(saga.store.records.get("stolen").lease.owner, "worker-2");
+});
+
+test("a sweep resumes the stale sagas only, under a lease", async () => {
+  const saga = defineTestSaga();
+  const { store } = saga;
+  store.create("zombie", { status: "CHARGING", updatedAt: LONG_AGO });
+  store.create("finished", { status: "DONE", updatedAt: LONG_AGO });
+  store.create("busy", { status: "CHARGING" }); // Moved just now
+  store.create("leased", {
+    status: "CHARGING",
+    updatedAt: LONG_AGO,
+    lease: { owner: "worker-2", expiresAt: Date.now() + 60000 },
+  });
+
+  const worker = new SagaRecoveryWorker(saga, {
+    workerId: "worker-1",
+    staleAfterMs: 1000,
+  });
+  await worker.sweep();
+
+  assert.equal(store.records.get("zombie").status, "DONE");
+  assert.equal(store.records.get("zombie").lease, null);
+  assert.equal(store.records.get("busy").status, "CHARGING");
+  assert.equal(store.records.get("leased").status, "CHARGING");
+  assert.deepEqual(
+    saga.steps[1].action.calls.map((call) => call.sagaId),
+    ["zombie"]
+  );
+  const { recovered, zombiesFound, skippedLeased, failed, sweeps } =
+    worker.getMetrics();
+  assert.deepEqual(
+    { recovered, zombiesFound, skippedLeased, failed, sweeps },
+    { recovered: 1, zombiesFound: 2, skippedLeased: 1, failed: 0, sweeps: 1 }
+  );
+});
+
+test("a zombie that fails again is counted, and resumed by a later sweep", async () => {
+  const saga = defineTestSaga({
+    steps: {
+      reserve: {
+        compensation: {
+          state: "RELEASING",
+          action: scripted(new Error("Inventory down"), "released"),
+          doneEvent: "RELEASED",
+        },
+      },
+    },
+  });
+  const { store } = saga;
+  store.create("relapse", { status: "RELEASING", updatedAt: LONG_AGO });
+  const worker = new SagaRecoveryWorker(saga, { staleAfterMs: 1000 });
+
+  await worker.sweep();
+  assert.equal(store.records.get("relapse").status, "RELEASING");
+  assert.equal(worker.getMetrics().failed, 1);
+
+  store.records.get("relapse").updatedAt = LONG_AGO; // Still stuck later on
+  await worker.sweep();
+  assert.equal(store.records.get("relapse").status, "FAILED");
+  assert.equal(worker.getMetrics().recovered, 1);
+  assert.equal(store.records.get("relapse").lease, null);
+});
+
+test("a store without the lease methods can't be swept", () => {
+  const saga = defineTestSaga();
+  const store = { ...saga.store, acquireLease: undefined };
+
+  assert.throws(
+    () => new SagaRecoveryWorker({ ...saga, store }),
+    /Saga store of "Test" has no acquireLease\(\)/
+  );
+});
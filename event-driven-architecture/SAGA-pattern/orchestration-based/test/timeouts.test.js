@@ -0,0 +1,233 @@
+const { HANG, sleep, scripted, defineTestSaga, runSaga } = require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const SagaOrchestrator = require("../saga/SagaOrchestrator");
+const SagaRecoveryWorker = require("../saga/SagaRecoveryWorker");
+const orderSaga = require("../definitions/orderSaga");
+
+const CHARGE_TIMEOUT = { ms: 50, event: "CHARGE_TIMEOUT" };
+
+test("the timeout and deadline events are part of the derived FSM", () => {
+  const { transitions } = orderSaga;
+
+  // Before the pivot: compensate. After it: run the step again.
+  assert.equal(
+    transitions.STOCK_RESERVED.PAYMENT_TIMEOUT,
+    "ROLLING_BACK_STOCK"
+  );
+  assert.equal(transitions.RESERVING_STOCK.INVENTORY_TIMEOUT, "FAILED");
+  assert.equal(transitions.PAID.SHIPPING_TIMEOUT, "PAID");
+  assert.equal(
+    transitions.STOCK_RESERVED.DEADLINE_EXCEEDED,
+    "ROLLING_BACK_STOCK"
+  );
+  assert.equal(transitions.PAID.DEADLINE_EXCEEDED, undefined);
+});
+
+test("a pre-pivot timeout cancels the unanswered call, then compensates", async () => {
+  const cancel = scripted("cancelled");
+  const saga = defineTestSaga({
+    steps: {
+      charge: {
+        action: scripted(HANG),
+        timeout: CHARGE_TIMEOUT,
+        cancel: { action: cancel },
+      },
+    },
+  });
+
+  const orchestrator = await runSaga(saga, "hung");
+
+  assert.equal(orchestrator.state, "FAILED");
+  assert.equal(orchestrator.failureReason, "Timed out (CHARGE_TIMEOUT)");
+  // Under the key of the call we gave up on
+  assert.deepEqual(
+    cancel.calls.map((call) => call.idempotencyKey),
+    ["hung:charge:1"]
+  );
+  assert.equal(saga.steps[0].compensation.action.calls.length, 1);
+  assert.deepEqual(saga.store.records.get("hung").timers, {});
+});
+
+test("the abandoned call stops retrying as soon as its timer fires", async () => {
+  // Each attempt fails after the timer, while the cancel is still running
+  const charge = scripted(new Error("Gateway timeout"));
+  const saga = defineTestSaga({
+    steps: {
+      charge: {
+        action: async (context, call) => {
+          await sleep(80);
+          return charge(context, call);
+        },
+        retry: { maxAttempts: 5, delayMs: 1 },
+        timeout: CHARGE_TIMEOUT,
+        cancel: {
+          action: async () => {
+            await sleep(150);
+          },
+        },
+      },
+    },
+  });
+
+  await runSaga(saga, "abandoned");
+  await sleep(150); // Time for a retry that shouldn't happen
+
+  assert.deepEqual(
+    charge.calls.map((call) => call.idempotencyKey),
+    ["abandoned:charge:1"]
+  );
+  assert.equal(saga.store.records.get("abandoned").attempts.charge, 1);
+  const history = await saga.store.getHistory("abandoned");
+  assert.ok(!history.some((entry) => entry.type === "attempt_failed"));
+});
+
+test("a post-pivot timeout re-runs the step with the same key, from a loop", async () => {
+  const ship = scripted(...Array(20).fill(HANG), "shipped");
+  const saga = defineTestSaga({
+    steps: {
+      ship: { action: ship, timeout: { ms: 10, event: "SHIP_TIMEOUT" } },
+    },
+  });
+  saga.store.create("late");
+  const orchestrator = new SagaOrchestrator(saga, "late");
+  await orchestrator.init();
+
+  // How many transition() calls are pending at once: a recursive chain
+  // would keep one open per retry until the saga ends
+  const transition = orchestrator.transition;
+  let pending = 0;
+  let maxPending = 0;
+  orchestrator.transition = async function (...args) {
+    maxPending = Math.max(maxPending, ++pending);
+    try {
+      return await transition.apply(this, args);
+    } finally {
+      pending--;
+    }
+  };
+  await orchestrator.execute();
+
+  assert.equal(orchestrator.state, "DONE");
+  assert.equal(ship.calls.length, 21);
+  assert.ok(ship.calls.every((call) => call.idempotencyKey === "late:ship:1"));
+  const history = await saga.store.getHistory("late");
+  const retries = history.filter((entry) => entry.event === "SHIP_TIMEOUT");
+  assert.equal(retries.length, 20);
+  assert.ok(retries.every(({ from, to }) => from === to));
+  assert.equal(maxPending, 1);
+});
+
+test("a timer that expired while the process was down fires right away", async () => {
+  const cancel = scripted("cancelled");
+  const saga = defineTestSaga({
+    steps: { charge: { timeout: CHARGE_TIMEOUT, cancel: { action: cancel } } },
+  });
+
+  const orchestrator = await runSaga(saga, "expired", {
+    status: "CHARGING",
+    attempts: { reserve: 1, charge: 1 },
+    timers: { CHARGING: { event: "CHARGE_TIMEOUT", dueAt: Date.now() - 1 } },
+  });
+
+  assert.equal(orchestrator.state, "FAILED");
+  assert.equal(saga.steps[1].action.calls.length, 0); // Not called again
+  assert.deepEqual(
+    cancel.calls.map((call) => call.idempotencyKey),
+    ["expired:charge:1"]
+  );
+});
+
+test("a resumed step keeps its original due date", async () => {
+  const saga = defineTestSaga({
+    steps: {
+      charge: {
+        action: scripted(HANG),
+        timeout: { ms: 5000, event: "CHARGE_TIMEOUT" },
+      },
+    },
+  });
+  const dueAt = Date.now() + 60;
+
+  const started = Date.now();
+  await runSaga(saga, "resumed", {
+    status: "CHARGING",
+    timers: { CHARGING: { event: "CHARGE_TIMEOUT", dueAt } },
+  });
+
+  assert.ok(Date.now() - started < 2000, "a fresh 5s timer was armed");
+  assert.equal(saga.store.records.get("resumed").status, "FAILED");
+});
+
+test("a missed deadline compensates before the pivot, only warns after it", async () => {
+  const deadline = { ms: 40, event: "TOO_LATE" };
+  const early = defineTestSaga({
+    deadline,
+    steps: { charge: { action: scripted(HANG) } },
+  });
+  const late = defineTestSaga({
+    deadline,
+    steps: {
+      ship: {
+        action: async () => {
+          await sleep(80);
+          return "shipped";
+        },
+      },
+    },
+  });
+
+  const rolledBack = await runSaga(early, "early");
+  const finished = await runSaga(late, "late");
+
+  assert.equal(rolledBack.state, "FAILED");
+  assert.equal(rolledBack.failureReason, "Timed out (TOO_LATE)");
+  assert.equal(early.steps[0].compensation.action.calls.length, 1);
+  assert.equal(finished.state, "DONE");
+  // Armed at START, cleared in a terminal state
+  assert.deepEqual(early.store.records.get("early").timers, {});
+  assert.deepEqual(late.store.records.get("late").timers, {});
+});
+
+test("a sweep resumes the sagas whose timer would fire, stale or not", async () => {
+  const saga = defineTestSaga({
+    deadline: { ms: 60000, event: "TOO_LATE" },
+    steps: { charge: { timeout: CHARGE_TIMEOUT } },
+  });
+  const past = Date.now() - 1;
+  const { store } = saga;
+  store.create("step-due", {
+    status: "CHARGING",
+    timers: { CHARGING: { event: "CHARGE_TIMEOUT", dueAt: past } },
+  });
+  store.create("deadline-due", {
+    status: "RESERVING",
+    timers: { deadline: { event: "TOO_LATE", dueAt: past } },
+  });
+  // A timer of a state already left, and a deadline after the pivot
+  store.create("left-state", {
+    status: "SHIPPING",
+    timers: { CHARGING: { event: "CHARGE_TIMEOUT", dueAt: past } },
+  });
+  store.create("post-pivot", {
+    status: "SHIPPING",
+    timers: { deadline: { event: "TOO_LATE", dueAt: past } },
+  });
+  const worker = new SagaRecoveryWorker(saga, { staleAfterMs: 60000 });
+
+  assert.equal(worker.fires({ status: "CHARGING", timer: "CHARGING" }), true);
+  assert.equal(worker.fires({ status: "RESERVING", timer: "deadline" }), true);
+  assert.equal(worker.fires({ status: "SHIPPING", timer: "CHARGING" }), false);
+  assert.equal(worker.fires({ status: "SHIPPING", timer: "deadline" }), false);
+  assert.equal(worker.fires({ status: "DONE", timer: "deadline" }), false);
+
+  await worker.sweep();
+
+  assert.equal(store.records.get("step-due").status, "FAILED");
+  assert.equal(store.records.get("deadline-due").status, "FAILED");
+  assert.equal(store.records.get("left-state").status, "SHIPPING");
+  assert.equal(store.records.get("post-pivot").status, "SHIPPING");
+  assert.equal(worker.getMetrics().timersDue, 2);
+  assert.equal(worker.getMetrics().zombiesFound, 0);
+});
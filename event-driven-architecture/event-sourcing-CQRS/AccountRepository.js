@@ -0,0 +1,32 @@
+const BankAccount = require("./BankAccount");
+const aggregateCache = require("./AggregateCache");
+
+// --- CONCEPT: REPOSITORY ---
+// The single place that knows HOW to get an Aggregate:
+// RAM (AggregateCache) if available, otherwise hydrate from the EventStore.
+class AccountRepository {
+  async getAccount(streamId) {
+    // 1. Try Memory
+    let account = aggregateCache.get(streamId);
+    if (account) {
+      console.log(`⚡ Cache Hit: User ${streamId} found in RAM.`);
+      return account;
+    }
+
+    // 2. Cache Miss - Load from Disk (EventStore)
+    console.log(`⚠️ Cache Miss: Loading ${streamId} from EventStore...`);
+    account = new BankAccount(streamId);
+    await account.load();
+
+    // 3. Store in Memory for next time
+    aggregateCache.set(streamId, account);
+    return account;
+  }
+
+  // Forget the in-memory instance, so the next getAccount() reloads it.
+  forget(streamId) {
+    aggregateCache.evict(streamId, "reload");
+  }
+}
+
+module.exports = new AccountRepository();
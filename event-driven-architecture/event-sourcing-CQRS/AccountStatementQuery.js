@@ -0,0 +1,66 @@
+const eventStore = require("./EventStore");
+const BankAccount = require("./BankAccount");
+
+// --- CONCEPT: HISTORY QUERIES (Read Side) ---
+// ReadModelDB only knows the CURRENT balance. Auditors ask about the PAST:
+// "What was the balance on date X?" or "Show every movement in March".
+// The Event Store already holds the full history, so these queries replay
+// the account's events up to (or across) the requested point in time.
+class AccountStatementQuery {
+  // Balance at a given moment. Pass a timestamp (ms) OR a seqNum.
+  async getBalanceAsOf(streamId, { timestamp, seqNum } = {}) {
+    const account = new BankAccount(streamId);
+    await account.loadAsOf({ timestamp, seqNum });
+
+    return {
+      id: streamId,
+      balances: { ...account.state.balances },
+      status: account.state.status,
+      asOfSeq: account.lastSeq,
+    };
+  }
+
+  // --- CONCEPT: ACCOUNT STATEMENT ---
+  // Opening balances (as of just before 'from') + every event in [from, to]
+  // with the running balances after it + closing balances.
+  // Balances are per currency, in integer minor units (see Money.js).
+  // The running balance is computed by the Aggregate's own applyEventToState,
+  // so the statement can never disagree with the write side's rules.
+  async getStatement(streamId, { from, to = Date.now() }) {
+    if (from > to) throw new Error("'from' must be before 'to'");
+
+    const account = new BankAccount(streamId);
+    await account.loadAsOf({ timestamp: from - 1 });
+    const openingBalances = { ...account.state.balances };
+
+    const entries = [];
+    const events = eventStore.getStream(streamId, {
+      startingFromSeqNum: account.lastSeq + 1,
+      direction: "forwards",
+    });
+
+    for (const event of events) {
+      if (event.timestamp > to) break;
+
+      account.applyEventToState(event);
+      entries.push({
+        seqNum: event.seqNum,
+        type: event.type,
+        timestamp: event.timestamp,
+        data: event.data,
+        balances: { ...account.state.balances },
+      });
+    }
+
+    return {
+      id: streamId,
+      from,
+      to,
+      openingBalances,
+      closingBalances: { ...account.state.balances },
+      entries,
+    };
+  }
+}
+
+module.exports = new AccountStatementQuery();
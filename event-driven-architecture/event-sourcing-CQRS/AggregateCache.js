@@ -1,25 +1,96 @@
+const eventStore = require("./EventStore");
+const config = require("./config");
+
 class AggregateCache {
-  constructor() {
-    // Map<StreamID, AggregateInstance>
+  constructor({ maxSize, ttlMs }) {
+    // Map<StreamID, { aggregate, expiresAt }>
+    // A Map remembers insertion order. We re-insert an entry on every access,
+    // so the FIRST key is always the Least Recently Used one (LRU).
     this.cache = new Map();
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+
+    this.stats = { hits: 0, misses: 0, evictions: 0, refreshes: 0 };
   }
 
   get(streamId) {
-    return this.cache.get(streamId);
+    const entry = this.cache.get(streamId);
+
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Expired entries are removed lazily, when someone asks for them.
+    // (One timer per entry would mean millions of timers for millions of users.)
+    if (entry.expiresAt <= Date.now()) {
+      this.evict(streamId, "expired");
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // --- CONCEPT: VERSION-AWARE CACHE ---
+    // Another writer (process, Transfer Process Manager...) may have appended
+    // events since we cached this instance. Using it as-is would fail the next
+    // command with a Concurrency Conflict. So we compare the cached version
+    // with the store head and apply only the missing delta events.
+    const { aggregate } = entry;
+    if (eventStore.getStreamVersion(streamId) > aggregate.lastSeq) {
+      const applied = aggregate.catchUp();
+      this.stats.refreshes++;
+      console.log(
+        `[Cache] Refreshed ${streamId} with ${applied} missing event(s).`
+      );
+    }
+
+    // Sliding TTL + move to the "most recently used" end
+    this.touch(streamId, entry);
+    this.stats.hits++;
+    return aggregate;
   }
 
   set(streamId, aggregate) {
-    this.cache.set(streamId, aggregate);
+    this.touch(streamId, { aggregate });
 
     // MEMORY OPTIMIZATION:
-    // Automatically remove this aggregate from RAM after 5 minutes.
+    // Bounded size. When full, drop the Least Recently Used aggregate.
     // This prevents the server from running out of memory if millions
     // of different users access the system over time.
-    setTimeout(() => {
-      console.log(`[Cache] Evicting ${streamId} from memory to free space.`);
-      this.cache.delete(streamId);
-    }, 5 * 60 * 1000);
+    while (this.cache.size > this.maxSize) {
+      const lruStreamId = this.cache.keys().next().value;
+      this.evict(lruStreamId, "capacity");
+    }
+  }
+
+  touch(streamId, entry) {
+    entry.expiresAt = Date.now() + this.ttlMs;
+    this.cache.delete(streamId);
+    this.cache.set(streamId, entry);
+  }
+
+  evict(streamId, reason = "manual") {
+    if (!this.cache.delete(streamId)) return false;
+
+    this.stats.evictions++;
+    console.log(`[Cache] Evicting ${streamId} from memory (${reason}).`);
+    return true;
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      size: this.cache.size,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+    };
   }
 }
 
-module.exports = new AggregateCache();
+module.exports = new AggregateCache({
+  maxSize: config.CACHE_MAX_SIZE,
+  ttlMs: config.CACHE_TTL_MS,
+});
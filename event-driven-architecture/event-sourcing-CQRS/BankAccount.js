@@ -1,25 +1,93 @@
+const crypto = require("crypto");
 const eventStore = require("./EventStore");
 const snapshotManager = require("./SnapshotManager");
-const eventPublisher = require("./EventPublisher");
 const config = require("./config");
+const { everyNEvents } = require("./SnapshotStrategies");
+const Money = require("./Money");
+const {
+  DomainError,
+  AccountClosedError,
+  AccountFrozenError,
+  InvalidTransitionError,
+  InsufficientFundsError,
+  DailyLimitExceededError,
+  NonZeroBalanceError,
+  CurrencyMismatchError,
+} = require("./errors");
+
+// --- FAIL CLOSED: DAILY CAPS ---
+// A currency without a cap would compare against NaN, and every check
+// against NaN is false: no cap at all. A missing cap is a configuration
+// error, caught when the Aggregate is loaded rather than by a customer
+// emptying an account.
+const uncapped = Object.keys(Money.CURRENCIES).filter(
+  (currency) => !Number.isSafeInteger(config.DAILY_WITHDRAWAL_LIMITS[currency])
+);
+if (uncapped.length > 0) {
+  throw new Error(
+    `DAILY_WITHDRAWAL_LIMITS has no cap for: ${uncapped.join(", ")}`
+  );
+}
+
+// Key of a command in 'processedCommands', e.g. "Deposit:abc-123"
+// (null without a commandId: such a command can't be recognized again).
+function commandKey({ commandType, commandId }) {
+  return commandId ? `${commandType}:${commandId}` : null;
+}
 
 class BankAccount {
+  // Bump this whenever the shape of 'this.state' changes.
+  // Snapshots taken with another version are discarded on load.
+  // v2: added 'processedCommands'
+  // v3: added 'overdraftLimit' and 'recentWithdrawals'
+  // v4: per-currency 'balances' and 'overdraftLimits' in minor units
+  // v5: 'transferId' on 'recentWithdrawals' (refunds leave the daily cap)
+  // v6: 'processedCommands' keyed by "CommandType:commandId"
+  static SNAPSHOT_VERSION = 6;
+
+  // WHEN to snapshot (see SnapshotStrategies.js). Swap it to tune the trade-off,
+  // e.g. anyOf(everyNEvents(100), onEventTypes(["AccountOpened"])).
+  static snapshotStrategy = everyNEvents(config.SNAPSHOT_THRESHOLD);
+
   constructor(streamId) {
     this.streamId = streamId;
     this.state = {
-      balance: 0,
+      // { [currency]: amount in integer minor units } (see Money.js)
+      balances: {},
+      // The currency the account was opened in
+      currency: null,
+      // "Closed" (never opened or closed) -> "Active" <-> "Frozen"
       status: "Closed",
+      // { [currency]: how far below zero that balance may go }
+      overdraftLimits: {},
+      // [{ timestamp, amount, currency, transferId? }] of the last
+      // WITHDRAWAL_WINDOW_MS (see getWithdrawnToday)
+      recentWithdrawals: [],
+      // { ["CommandType:commandId"]: { firstSeq, lastSeq, timestamp } }
+      // (see getProcessedCommand)
+      processedCommands: {},
     };
     // Tracks the version of this specific instance in memory
     this.lastSeq = 0;
+    // True when loaded with loadAsOf(): a view of the past, not writable
+    this.isHistorical = false;
   }
 
   // --- CONCEPT: HYDRATION STRATEGY ---
   // The Aggregate is responsible for choosing the most efficient way to load.
   // Logic: Try Snapshot -> If Hit, load "Delta" (remaining) events.
   async load() {
+    // 0. Throw away snapshots taken with an older state shape
+    const discarded = snapshotManager.discardIncompatible(
+      this.streamId,
+      BankAccount.SNAPSHOT_VERSION
+    );
+
     // 1. Check Snapshot Manager (Optimization)
-    const snapshot = snapshotManager.getSnapshot(this.streamId);
+    const snapshot = snapshotManager.getSnapshot(
+      this.streamId,
+      BankAccount.SNAPSHOT_VERSION
+    );
 
     let eventsToApply = [];
 
@@ -61,6 +129,63 @@ class BankAccount {
     for (const event of eventsToApply) {
       this.applyEventToState(event);
     }
+
+    // 4. Replace discarded snapshots with one in the current shape
+    if (discarded > 0 && this.lastSeq > 0) this.saveSnapshot();
+  }
+
+  // --- CONCEPT: DELTA REFRESH ---
+  // A long-lived instance (e.g. in the AggregateCache) falls behind when
+  // another writer appends to the same stream. Instead of reloading
+  // everything, apply only the events we haven't seen yet.
+  catchUp() {
+    const missing = eventStore.getStream(this.streamId, {
+      startingFromSeqNum: this.lastSeq + 1,
+      direction: "forwards",
+    });
+
+    for (const event of missing) {
+      this.applyEventToState(event);
+      this.lastSeq = event.seqNum;
+    }
+    return missing.length;
+  }
+
+  // --- CONCEPT: TEMPORAL QUERY (As-Of Hydration) ---
+  // Because we never delete events, we can rebuild the account as it was at
+  // ANY point in the past: "What was the balance on date X / at Seq N?"
+  // Same strategy as load(), but with an upper bound:
+  // nearest earlier Snapshot -> apply events UP TO the bound -> stop.
+  // The result is a read-only view: commands on it are rejected.
+  async loadAsOf({ seqNum, timestamp } = {}) {
+    this.isHistorical = true;
+
+    const isWithinBound = (event) =>
+      (seqNum === undefined || event.seqNum <= seqNum) &&
+      (timestamp === undefined || event.timestamp <= timestamp);
+
+    const snapshot = snapshotManager.getSnapshotAsOf(
+      this.streamId,
+      { seqNum, timestamp },
+      BankAccount.SNAPSHOT_VERSION
+    );
+    if (snapshot) {
+      this.state = snapshot.state;
+      this.lastSeq = snapshot.lastSeqNum;
+    }
+
+    const events = eventStore.getStream(this.streamId, {
+      startingFromSeqNum: snapshot ? snapshot.lastSeqNum + 1 : undefined,
+      direction: "forwards",
+    });
+
+    // Events are ordered by seqNum AND time, so the first one past the
+    // bound means every later one is past it too.
+    for (const event of events) {
+      if (!isWithinBound(event)) break;
+      this.applyEventToState(event);
+      this.lastSeq = event.seqNum;
+    }
   }
 
   // --- INTERNAL STATE TRANSITION ---
@@ -70,87 +195,429 @@ class BankAccount {
     switch (event.type) {
       case "AccountOpened":
         this.state.status = "Active";
-        this.state.balance = event.data.initialAmount;
+        this.state.currency = event.data.currency;
+        this.state.balances = {
+          [event.data.currency]: event.data.initialAmount,
+        };
+        this.state.overdraftLimits = {};
         break;
       case "MoneyDeposited":
-        this.state.balance += event.data.amount;
+      case "ExchangeCredited":
+        this.adjustBalance(event.data.currency, event.data.amount);
         break;
       case "MoneyWithdrawn":
-        this.state.balance -= event.data.amount;
+        this.adjustBalance(event.data.currency, -event.data.amount);
+        this.state.recentWithdrawals.push({
+          timestamp: event.timestamp,
+          amount: event.data.amount,
+          currency: event.data.currency,
+        });
+        break;
+      case "ExchangeDebited":
+        this.adjustBalance(event.data.currency, -event.data.amount);
+        break;
+      // Committed right after the transfer's MoneyWithdrawn (see transferOut)
+      case "TransferInitiated": {
+        const withdrawal = this.state.recentWithdrawals.at(-1);
+        if (withdrawal) withdrawal.transferId = event.data.transferId;
+        break;
+      }
+      // The money came back: that withdrawal no longer uses up the cap
+      case "TransferRefunded":
+        this.state.recentWithdrawals = this.state.recentWithdrawals.filter(
+          (w) => w.transferId !== event.data.transferId
+        );
+        break;
+      case "AccountClosed":
+        this.state.status = "Closed";
+        break;
+      case "AccountFrozen":
+        this.state.status = "Frozen";
+        break;
+      case "AccountUnfrozen":
+        this.state.status = "Active";
+        break;
+      case "OverdraftLimitSet":
+        this.state.overdraftLimits[event.data.currency] = event.data.limit;
         break;
     }
+
+    this.trackProcessedCommand(event);
+    this.pruneRecentWithdrawals(event.timestamp);
   }
 
-  updateSnapshot() {
-    // Optimization: Don't snapshot every event.
-    // Only do it when we cross the threshold (e.g., every 5 events).
-    if (this.lastSeq > 0 && this.lastSeq % config.SNAPSHOT_THRESHOLD === 0) {
-      snapshotManager.saveSnapshot(this.streamId, this.state, this.lastSeq);
+  // Integer minor units: '+' and '-' are exact, no rounding drift.
+  adjustBalance(currency, delta) {
+    this.state.balances[currency] = this.getBalance(currency) + delta;
+  }
+
+  getBalance(currency) {
+    return this.state.balances[currency] || 0;
+  }
+
+  holdsCurrency(currency) {
+    return Object.hasOwn(this.state.balances, currency);
+  }
+
+  // --- CONCEPT: ROLLING WINDOW FROM HISTORY ---
+  // The daily cap needs "how much left this account in the last 24h?".
+  // No extra table: the MoneyWithdrawn events already hold the answer.
+  // The state keeps only the withdrawals still inside the window
+  // (pruned by EVENT time, so replays stay deterministic), minus the
+  // transfers that were refunded. Each currency has its own cap: minor
+  // units of different currencies can't be added up.
+  pruneRecentWithdrawals(now) {
+    this.state.recentWithdrawals = this.state.recentWithdrawals.filter(
+      (w) => now - w.timestamp < config.WITHDRAWAL_WINDOW_MS
+    );
+  }
+
+  getWithdrawnToday(currency, now = Date.now()) {
+    return this.state.recentWithdrawals
+      .filter((w) => w.currency === currency)
+      .filter((w) => now - w.timestamp < config.WITHDRAWAL_WINDOW_MS)
+      .reduce((sum, w) => sum + w.amount, 0);
+  }
+
+  // --- CONCEPT: WRITE-SIDE IDEMPOTENCY ---
+  // A client that times out will retry. Without protection, a retried
+  // 'deposit' writes a SECOND 'MoneyDeposited' event (free money).
+  // Every command may carry a client-supplied commandId, stored in the
+  // metadata of the events it produced, with the command's type. Replaying
+  // the stream therefore rebuilds the list of processed commands, no extra
+  // table needed. The type is part of the key: a Withdraw that reuses the
+  // id of a Deposit is a new command, not a retry of the Deposit.
+  //
+  // Only the last COMMAND_ID_RETENTION_MS are kept (measured in EVENT time,
+  // so a replay always produces exactly the same state).
+  trackProcessedCommand(event) {
+    const key = event.metadata && commandKey(event.metadata);
+    const processed = this.state.processedCommands;
+
+    if (key) {
+      const entry = processed[key];
+      processed[key] = {
+        firstSeq: entry ? entry.firstSeq : event.seqNum,
+        lastSeq: event.seqNum,
+        timestamp: event.timestamp,
+      };
+    }
+
+    for (const [id, entry] of Object.entries(processed)) {
+      if (event.timestamp - entry.timestamp > config.COMMAND_ID_RETENTION_MS) {
+        delete processed[id];
+      }
     }
   }
 
-  // --- COMMANDS (The Public API) ---
-  // Pattern: Validate -> Save -> Apply -> Publish -> Snapshot
+  // Returns { firstSeq, lastSeq, timestamp } if this command (type and
+  // commandId, as in the metadata envelope) was already handled within the
+  // retention window, otherwise null.
+  getProcessedCommand(metadata) {
+    const key = commandKey(metadata);
+    if (!key) return null;
+
+    const entry = this.state.processedCommands[key];
+    if (!entry) return null;
+    if (Date.now() - entry.timestamp > config.COMMAND_ID_RETENTION_MS) {
+      return null;
+    }
+    return entry;
+  }
+
+  saveSnapshot() {
+    snapshotManager.saveSnapshot(
+      this.streamId,
+      this.state,
+      this.lastSeq,
+      BankAccount.SNAPSHOT_VERSION
+    );
+  }
 
-  async openAccount(amount) {
-    // 1. VALIDATE (Business Logic Guard)
-    if (this.state.status === "Active") throw new Error("Already active");
+  updateSnapshot(previousSeq, events) {
+    // Optimization: Don't snapshot every event.
+    // The configured strategy decides (every N events, by age, by event type...).
+    const shouldSnapshot = BankAccount.snapshotStrategy.shouldSnapshot({
+      previousSeq,
+      lastSeq: this.lastSeq,
+      events,
+      lastSnapshotAt: snapshotManager.getLastSnapshotTime(this.streamId),
+      now: Date.now(),
+    });
+    if (shouldSnapshot) this.saveSnapshot();
+  }
 
-    // 2. SAVE (Persist Intent)
+  // --- CONCEPT: UNIT OF WORK ---
+  // Every command ends here. A command may emit ONE or SEVERAL events;
+  // they are saved atomically (all-or-nothing) and then applied in order.
+  // 'metadata' is the envelope of the command (see EventMetadata.js).
+  commit(changes, metadata = {}) {
+    if (this.isHistorical) {
+      throw new Error("Cannot run commands on a historical (as-of) view");
+    }
+
+    const previousSeq = this.lastSeq;
+
+    // 1. SAVE (Persist Intent)
     // We pass 'this.lastSeq' to lock the version and prevent race conditions.
-    const event = eventStore.save(
+    const events = eventStore.saveBatch(
       this.streamId,
-      "AccountOpened",
-      { initialAmount: amount },
-      this.lastSeq
+      changes,
+      this.lastSeq,
+      metadata
     );
 
-    // 3. APPLY (Update Local State immediately so we are ready for next command)
-    this.applyEventToState(event);
-    this.lastSeq = event.seqNum; // Move pointer forward
+    // 2. APPLY (Update Local State immediately so we are ready for next command)
+    for (const event of events) {
+      this.applyEventToState(event);
+      this.lastSeq = event.seqNum; // Move pointer forward
+    }
 
-    // 4. PUBLISH (Notify Read Models / External Systems)
-    await eventPublisher.publish(event);
+    // 3. SNAPSHOT (Optimization maintenance)
+    this.updateSnapshot(previousSeq, events);
 
-    // 5. SNAPSHOT (Optimization maintenance)
-    this.updateSnapshot();
+    return events;
   }
 
-  async deposit(amount) {
-    if (this.state.status !== "Active") throw new Error("Account closed");
+  // --- COMMANDS (The Public API) ---
+  // Pattern: Validate -> Commit (Save -> Apply -> Snapshot)
+  // Publishing is NOT done here. Saving the event also puts it in the
+  // Transactional Outbox, and the Outbox relay publishes it (see Outbox.js).
+  // Awaiting a publish here would re-open the "crash between save and publish" gap.
 
-    const event = eventStore.save(
-      this.streamId,
-      "MoneyDeposited",
-      { amount },
-      this.lastSeq
-    );
+  // Each command accepts the metadata envelope of its command. A repeated
+  // metadata.commandId is a no-op: the check runs BEFORE validation, because
+  // the original command may have changed the state so much that the retry
+  // would now fail (e.g. funds spent).
+
+  // --- BUSINESS LOGIC GUARDS ---
+  // Rejects the command unless the account is in one of the 'allowed' statuses.
+  assertStatus(action, allowed) {
+    const { status } = this.state;
+    if (allowed.includes(status)) return;
 
-    this.applyEventToState(event);
-    this.lastSeq = event.seqNum;
+    if (status === "Closed") throw new AccountClosedError(this.streamId);
+    if (status === "Frozen") throw new AccountFrozenError(this.streamId);
+    throw new InvalidTransitionError(this.streamId, status, action);
+  }
 
-    await eventPublisher.publish(event);
-    this.updateSnapshot();
+  // --- CONCEPT: NO IMPLICIT CONVERSION ---
+  // Taking EUR out of an account that only holds USD is rejected, not
+  // silently converted at some rate nobody agreed on. Use exchange() first.
+  assertHoldsCurrency(currency) {
+    if (!this.holdsCurrency(currency)) {
+      throw new CurrencyMismatchError(
+        this.streamId,
+        currency,
+        Object.keys(this.state.balances)
+      );
+    }
   }
 
-  async withdraw(amount) {
-    if (this.state.status !== "Active") throw new Error("Account closed");
+  // Shared by withdraw() and transferOut(): every debit obeys the same rules.
+  assertCanDebit(amount, currency) {
+    this.assertStatus("withdraw", ["Active"]);
+    this.assertHoldsCurrency(currency);
 
     // Critical Logic: Validation happens against the Computed State
-    if (this.state.balance < amount) throw new Error("Insufficient funds");
+    const available =
+      this.getBalance(currency) + (this.state.overdraftLimits[currency] || 0);
+    if (available < amount) {
+      throw new InsufficientFundsError(this.streamId, available, amount);
+    }
 
-    const event = eventStore.save(
-      this.streamId,
-      "MoneyWithdrawn",
-      { amount },
-      this.lastSeq
+    // Still fail closed if the config changed since load: no cap = 0
+    const configured = config.DAILY_WITHDRAWAL_LIMITS[currency];
+    const limit = Number.isSafeInteger(configured) ? configured : 0;
+    const remaining = limit - this.getWithdrawnToday(currency);
+    if (amount > remaining) {
+      throw new DailyLimitExceededError(
+        this.streamId,
+        limit,
+        remaining,
+        currency
+      );
+    }
+  }
+
+  // Amounts are integer minor units of 'currency' (see Money.js).
+  // 'holder' ({ name, email }, optional) is personal data: the EventStore
+  // stores it encrypted, so it can be crypto-shredded (see PiiVault.js).
+  async openAccount(amount, currency, holder, metadata = {}) {
+    if (this.getProcessedCommand(metadata)) return;
+
+    // VALIDATE (Business Logic Guard)
+    // A closed account may be re-opened, an active or frozen one may not.
+    this.assertStatus("open", ["Closed"]);
+
+    const data = { initialAmount: amount, currency };
+    if (holder) data.holder = holder;
+    this.commit([{ type: "AccountOpened", data }], metadata);
+  }
+
+  // A frozen account can still RECEIVE money, it just can't send any.
+  // A deposit in a new currency simply opens a balance in that currency.
+  async deposit(amount, currency, metadata = {}) {
+    if (this.getProcessedCommand(metadata)) return;
+    this.assertStatus("deposit", ["Active", "Frozen"]);
+
+    this.commit(
+      [{ type: "MoneyDeposited", data: { amount, currency } }],
+      metadata
+    );
+  }
+
+  async withdraw(amount, currency, metadata = {}) {
+    if (this.getProcessedCommand(metadata)) return;
+    this.assertCanDebit(amount, currency);
+
+    this.commit(
+      [{ type: "MoneyWithdrawn", data: { amount, currency } }],
+      metadata
+    );
+  }
+
+  // --- CONCEPT: CURRENCY EXCHANGE ---
+  // One command, two facts committed atomically: a debit in one currency and
+  // a credit in the other. Both record the rate used, so the conversion can
+  // be audited (and replayed) exactly, whatever the market rate is today.
+  // 'rate' is a decimal string ("0.92"): 1 unit of 'from' = rate units of 'to'.
+  async exchange(amount, fromCurrency, toCurrency, rate, metadata = {}) {
+    if (this.getProcessedCommand(metadata)) return;
+    this.assertStatus("exchange", ["Active"]);
+    this.assertHoldsCurrency(fromCurrency);
+
+    // No overdraft here: only money the account really holds is exchanged.
+    const balance = this.getBalance(fromCurrency);
+    if (balance < amount) {
+      throw new InsufficientFundsError(this.streamId, balance, amount);
+    }
+
+    const converted = Money.convert(amount, fromCurrency, toCurrency, rate);
+    if (converted <= 0) {
+      throw new DomainError(
+        `${Money.format(amount, fromCurrency)} is too small to exchange`
+      );
+    }
+
+    const exchangeId = crypto.randomUUID();
+    this.commit(
+      [
+        {
+          type: "ExchangeDebited",
+          data: { exchangeId, amount, currency: fromCurrency, rate },
+        },
+        {
+          type: "ExchangeCredited",
+          data: { exchangeId, amount: converted, currency: toCurrency, rate },
+        },
+      ],
+      metadata
+    );
+  }
+
+  // Multi-event command: the debit and its audit record are committed together.
+  // 'TransferInitiated' doesn't change the balance, it documents WHY money left.
+  async transferOut(amount, currency, toStreamId, transferId, metadata = {}) {
+    this.assertCanDebit(amount, currency);
+
+    this.commit(
+      [
+        { type: "MoneyWithdrawn", data: { amount, currency } },
+        {
+          type: "TransferInitiated",
+          data: { amount, currency, toStreamId, transferId },
+        },
+      ],
+      metadata
+    );
+  }
+
+  async transferIn(amount, currency, fromStreamId, transferId, metadata = {}) {
+    this.assertStatus("deposit", ["Active", "Frozen"]);
+
+    this.commit(
+      [
+        { type: "MoneyDeposited", data: { amount, currency } },
+        {
+          type: "TransferReceived",
+          data: { amount, currency, fromStreamId, transferId },
+        },
+      ],
+      metadata
+    );
+  }
+
+  // --- COMPENSATION ---
+  // Gives the money back when the other leg of a transfer failed.
+  // Deliberately no status check: a refund must succeed even if the account
+  // was frozen or closed in the meantime, otherwise the money is lost.
+  async refundTransfer(amount, currency, transferId, metadata = {}) {
+    this.commit(
+      [
+        { type: "MoneyDeposited", data: { amount, currency } },
+        { type: "TransferRefunded", data: { amount, currency, transferId } },
+      ],
+      metadata
+    );
+  }
+
+  // --- LIFECYCLE COMMANDS ---
+  // Status changes are facts too. They don't move money, but they change
+  // which commands are allowed from now on.
+
+  // Closing with money (or debt) left would make it vanish from the books.
+  async closeAccount(metadata = {}) {
+    if (this.getProcessedCommand(metadata)) return;
+    this.assertStatus("close", ["Active"]);
+    const leftovers = Object.entries(this.state.balances).filter(
+      ([, amount]) => amount !== 0
     );
+    if (leftovers.length > 0) {
+      throw new NonZeroBalanceError(
+        this.streamId,
+        Object.fromEntries(leftovers)
+      );
+    }
+
+    this.commit([{ type: "AccountClosed", data: {} }], metadata);
+  }
+
+  async freeze(reason, metadata = {}) {
+    if (this.getProcessedCommand(metadata)) return;
+    this.assertStatus("freeze", ["Active"]);
+
+    this.commit([{ type: "AccountFrozen", data: { reason } }], metadata);
+  }
+
+  async unfreeze(metadata = {}) {
+    if (this.getProcessedCommand(metadata)) return;
+    this.assertStatus("unfreeze", ["Frozen"]);
+
+    this.commit([{ type: "AccountUnfrozen", data: {} }], metadata);
+  }
 
-    this.applyEventToState(event);
-    this.lastSeq = event.seqNum;
+  async setOverdraftLimit(limit, currency, metadata = {}) {
+    if (this.getProcessedCommand(metadata)) return;
+    this.assertStatus("set an overdraft limit", ["Active"]);
+    this.assertHoldsCurrency(currency);
 
-    await eventPublisher.publish(event);
-    this.updateSnapshot();
+    // The account may already be using its overdraft: the new limit must
+    // still cover the current debt.
+    const balance = this.getBalance(currency);
+    if (balance < -limit) {
+      throw new DomainError(
+        `Overdraft limit ${Money.format(
+          limit,
+          currency
+        )} does not cover the balance ${Money.format(balance, currency)}`
+      );
+    }
+
+    this.commit(
+      [{ type: "OverdraftLimitSet", data: { limit, currency } }],
+      metadata
+    );
   }
 }
 
@@ -0,0 +1,111 @@
+const eventStore = require("./EventStore");
+
+const PAGE_SIZE = 100;
+
+// --- CONCEPT: CATCH-UP SUBSCRIPTION ---
+// A subscriber that starts at some position in the $all stream, replays
+// everything it missed (history), and then keeps receiving new events (live).
+//
+// Why one loop instead of "replay, then attach a listener"?
+// Events can be appended WHILE we are replaying. If we switched to a listener
+// at the wrong moment we would either miss those events or deliver them twice.
+// Instead we ALWAYS read from the store, starting after the last position we
+// delivered. "Live" mode simply means: the store had nothing new, so we sleep
+// until the store tells us something was appended.
+//
+// --- CONCEPT: FAILING SUBSCRIPTION ---
+// If onEvent throws, the subscription STOPS: skipping the event would lose
+// it, retrying it blindly could loop forever. lastPosition still points
+// before the failed event, so a new subscription started from
+// lastPosition + 1 (once the cause is fixed) retries it.
+// onError(err, subscription) is told; by default the error is logged.
+//
+// onPage(page), if given, runs before the events of each page: once per
+// batch during catch-up, once per wake-up when live. A place for work that
+// must not run once per event.
+class CatchUpSubscription {
+  constructor(
+    onEvent,
+    {
+      fromPosition = 1,
+      pageSize = PAGE_SIZE,
+      onError = logError,
+      onPage = null,
+    } = {}
+  ) {
+    this.onEvent = onEvent;
+    this.onError = onError;
+    this.onPage = onPage;
+    this.pageSize = pageSize;
+
+    // Position of the last event handed to onEvent (checkpoint)
+    this.lastPosition = fromPosition - 1;
+
+    this.isLive = false;
+    this.isStopped = false;
+    this.error = null;
+    this.wakeUp = null;
+    this.onAppended = () => this.wakeUp && this.wakeUp();
+  }
+
+  start() {
+    eventStore.on("appended", this.onAppended);
+    // Never rejects: a failure goes to fail(), not to an unhandled rejection
+    this.done = this.run().catch((err) => this.fail(err));
+    return this;
+  }
+
+  fail(err) {
+    this.error = err;
+    this.isStopped = true;
+    eventStore.off("appended", this.onAppended);
+    try {
+      this.onError(err, this);
+    } catch (callbackErr) {
+      logError(callbackErr, this);
+    }
+  }
+
+  async run() {
+    while (!this.isStopped) {
+      const page = eventStore.readAll({
+        fromPosition: this.lastPosition + 1,
+        maxCount: this.pageSize,
+      });
+
+      if (page.length === 0) {
+        if (!this.isLive) {
+          this.isLive = true;
+          console.log(
+            `[Subscription] Caught up at position ${this.lastPosition}. Switching to live.`
+          );
+        }
+        await new Promise((resolve) => (this.wakeUp = resolve));
+        this.wakeUp = null;
+        continue;
+      }
+
+      if (this.onPage) await this.onPage(page);
+      for (const event of page) {
+        if (this.isStopped) break;
+        await this.onEvent(event);
+        this.lastPosition = event.position;
+      }
+    }
+  }
+
+  async stop() {
+    this.isStopped = true;
+    eventStore.off("appended", this.onAppended);
+    if (this.wakeUp) this.wakeUp();
+    await this.done;
+  }
+}
+
+function logError(err, subscription) {
+  console.error(
+    `[Subscription] ❌ Stopped after position ${subscription.lastPosition}: ${err.message}`
+  );
+}
+
+module.exports = CatchUpSubscription;
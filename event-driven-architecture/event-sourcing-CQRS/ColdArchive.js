@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic, readJsonFile } = require("./fileUtils");
+
+// --- CONCEPT: TIERED STORAGE (Hot / Cold) ---
+// Old events are almost never read: an account is hydrated from its latest
+// snapshot plus the few events after it. Keeping years of history in the
+// hot log (and in RAM) costs a lot for nothing.
+// So old events move to "cold" files: cheap, slow, read only on demand
+// (full replays, audits, projection rebuilds).
+//
+// Each archive run writes ONE file (JSON lines, oldest position first)
+// and records it in a manifest:
+// [{ file, fromPosition, toPosition, streams: { [streamId]: lastArchivedSeq } }]
+// A stream is always archived as a PREFIX: every event with
+// seqNum <= lastArchivedSeq is cold, everything after it is still hot.
+class ColdArchive {
+  constructor(dir) {
+    this.dir = dir;
+    this.manifestFile = path.join(dir, "manifest.json");
+    this.entries = readJsonFile(this.manifestFile) || [];
+  }
+
+  // Highest seqNum of 'streamId' that lives in cold storage (0 = none).
+  getArchivedSeq(streamId) {
+    return Math.max(0, ...this.entries.map((e) => e.streams[streamId] || 0));
+  }
+
+  // Events must already be in their stored form (PII encrypted).
+  write(events) {
+    const streams = {};
+    for (const event of events) {
+      streams[event.streamId] = Math.max(
+        streams[event.streamId] || 0,
+        event.seqNum
+      );
+    }
+
+    const sorted = [...events].sort((a, b) => a.position - b.position);
+    const nextNo = this.entries.length + 1;
+    const entry = {
+      file: `archive-${String(nextNo).padStart(6, "0")}.jsonl`,
+      fromPosition: sorted[0].position,
+      toPosition: sorted.at(-1).position,
+      streams,
+    };
+
+    // 1. The cold copy is durable BEFORE the manifest points to it...
+    writeFileAtomic(path.join(this.dir, entry.file), this.serialize(sorted));
+    // 2. ...and the manifest BEFORE the hot copy is dropped (EventStore).
+    // A crash in between leaves the events in BOTH tiers, which readers
+    // tolerate (same position = same event), never in neither.
+    this.entries.push(entry);
+    this.saveManifest();
+
+    console.log(
+      `[ColdArchive] 🧊 Archived ${events.length} events to ${entry.file}`
+    );
+    return entry;
+  }
+
+  // Every cold event of one stream, oldest first.
+  readStream(streamId) {
+    return this.entries
+      .filter((entry) => entry.streams[streamId])
+      .flatMap((entry) => this.readEntry(entry))
+      .filter((event) => event.streamId === streamId);
+  }
+
+  // Every cold event whose position is in [fromPosition, toPosition].
+  readRange(fromPosition, toPosition) {
+    const overlaps = (entry) =>
+      entry.toPosition >= fromPosition && entry.fromPosition <= toPosition;
+    return this.entries
+      .filter(overlaps)
+      .flatMap((entry) => this.readEntry(entry))
+      .filter((e) => e.position >= fromPosition && e.position <= toPosition);
+  }
+
+  // Hard delete: the cold copies must go too, not only the hot ones.
+  purgeStream(streamId) {
+    let purged = 0;
+    for (const entry of this.entries) {
+      if (!entry.streams[streamId]) continue;
+
+      const events = this.readEntry(entry);
+      const kept = events.filter((event) => event.streamId !== streamId);
+      purged += events.length - kept.length;
+
+      writeFileAtomic(path.join(this.dir, entry.file), this.serialize(kept));
+      delete entry.streams[streamId];
+    }
+
+    if (purged > 0) this.saveManifest();
+    return purged;
+  }
+
+  readEntry(entry) {
+    return fs
+      .readFileSync(path.join(this.dir, entry.file), "utf8")
+      .split("\n")
+      .filter((line) => line !== "")
+      .map((line) => JSON.parse(line));
+  }
+
+  serialize(events) {
+    return events.map((event) => JSON.stringify(event) + "\n").join("");
+  }
+
+  saveManifest() {
+    writeFileAtomic(this.manifestFile, JSON.stringify(this.entries, null, 2));
+  }
+}
+
+module.exports = ColdArchive;
@@ -1,58 +1,75 @@
 const eventPublisher = require("./EventPublisher");
-const startProjector = require("./Projector");
+const outbox = require("./Outbox");
+const { startProjector } = require("./Projector");
 const BankAccount = require("./BankAccount");
 const readModel = require("./ReadModelDB");
 const aggregateCache = require("./AggregateCache");
+const accountRepository = require("./AccountRepository");
+const commandBus = require("./commands");
+const {
+  openAccount,
+  deposit,
+  withdraw,
+  requestTransfer,
+  closeAccount,
+  freezeAccount,
+  unfreezeAccount,
+  setOverdraftLimit,
+  exchangeCurrency,
+} = require("./commands/accountCommands");
+const transferManager = require("./TransferProcessManager");
+const projectionRebuilder = require("./ProjectionRebuilder");
+const projectionManager = require("./projections/ProjectionManager");
+const statementQuery = require("./AccountStatementQuery");
+const eventStore = require("./EventStore");
+const streamLifecycle = require("./StreamLifecycle");
+const parkingLot = require("./ParkingLot");
+const {
+  ConcurrencyError,
+  StreamDeletedError,
+  AccountFrozenError,
+  NonZeroBalanceError,
+  AccountClosedError,
+  CurrencyMismatchError,
+} = require("./errors");
+const Money = require("./Money");
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-// Helper: Retrieves Aggregate from RAM if available, otherwise loads from EventStore
-async function getCachedAccount(userId) {
-  // 1. Try Memory
-  let account = aggregateCache.get(userId);
-  if (account) {
-    console.log(`⚡ Cache Hit: User ${userId} found in RAM.`);
-    return account;
-  }
-
-  // 2. Cache Miss - Load from Disk (EventStore)
-  console.log(`⚠️ Cache Miss: Loading ${userId} from EventStore...`);
-  account = new BankAccount(userId);
-  await account.load();
-
-  // 3. Store in Memory for next time
-  aggregateCache.set(userId, account);
-  return account;
+// --- SELF-CHECKING SCENARIOS ---
+// A failed check sets a non-zero exit code. The same scenarios run as
+// automated tests in test/ (npm test).
+function check(description, passed) {
+  console.log(`${passed ? "✅" : "❌"} ${description}`);
+  if (!passed) process.exitCode = 1;
 }
 
 async function main() {
   await eventPublisher.init();
   await startProjector();
+  await outbox.start();
+  transferManager.start();
 
   const userId = "user_Final_1";
   console.log("\n--- SIMULATION START ---\n");
 
-  async function runCmd(cmd, amount) {
-    try {
-      // Use the cached aggregate for speed
-      const account = await getCachedAccount(userId);
-
-      if (cmd === "open") await account.openAccount(amount);
-      if (cmd === "deposit") await account.deposit(amount);
-      if (cmd === "withdraw") await account.withdraw(amount);
-    } catch (e) {
-      console.error(`❌ Error: ${e.message}`);
-    }
-  }
+  // Every command goes through the Command Bus (logging, validation,
+  // idempotency, retry-on-conflict). The demo keeps going if one fails;
+  // the bus has already logged the reason.
+  const send = (command) => commandBus.dispatch(command).catch(() => null);
 
   // 1. Cache Miss (Loads from EventStore)
-  await runCmd("open", 100);
+  // Amounts are integer minor units (cents): 10000 = 100.00 USD
+  await send(openAccount(userId, 10000));
 
   // 2. Cache Hits (Uses RAM)
-  await runCmd("deposit", 50);
-  await runCmd("withdraw", 20);
-  await runCmd("deposit", 10);
-  await runCmd("deposit", 10); // Seq 5 (Snapshot Triggered)
+  await send(deposit(userId, 5000));
+  await send(withdraw(userId, 2000));
+  await send(deposit(userId, 1000));
+  await send(deposit(userId, 1000)); // Seq 5 (Snapshot Triggered)
+
+  // 3. Validation (rejected before any Aggregate is loaded)
+  await send(deposit(userId, -1000));
 
   await sleep(200);
 
@@ -63,23 +80,39 @@ async function main() {
   await staleAccount.load();
   staleAccount.lastSeq = 2; // Intentionally wrong version (Real is 5)
 
+  let conflict = null;
   try {
     console.log("Attempting concurrent write with old version...");
-    await staleAccount.withdraw(5);
+    await staleAccount.withdraw(500, "USD");
   } catch (e) {
-    console.log(`✅ Concurrency Guard Caught it: ${e.message}`);
+    conflict = e;
   }
+  check(
+    `Concurrency Guard caught it: ${conflict && conflict.message}`,
+    conflict instanceof ConcurrencyError
+  );
+
+  // --- WRITE-SIDE IDEMPOTENCY TEST ---
+  console.log("\n--- TESTING IDEMPOTENCY (Write Side, Command IDs) ---");
+  // Client retries the same deposit (e.g. after a timeout) with the same ID
+  const commandId = `deposit-${Date.now()}`;
+  const first = await send(deposit(userId, 2500, { commandId }));
+  const retry = await send(deposit(userId, 2500, { commandId }));
+  check(
+    `First: Seq ${first.lastSeq} | Retry: Seq ${retry.lastSeq} (same = no double deposit)`,
+    first.lastSeq === retry.lastSeq
+  );
 
   // --- IDEMPOTENCY TEST ---
   console.log("\n--- TESTING IDEMPOTENCY (Read Model) ---");
-  const balanceBefore = readModel.getAccount(userId).balance;
+  const balanceBefore = readModel.getAccount(userId).balances.USD;
   console.log(`Balance Before Attack: ${balanceBefore}`);
 
   // Manual Injection of a Duplicate Event
   const duplicateEvent = {
     streamId: userId,
     type: "MoneyDeposited",
-    data: { amount: 999999 }, // Obvious fake amount
+    data: { amount: 999999, currency: "USD" }, // Obvious fake amount
     seqNum: 2, // Old Sequence Number
     timestamp: Date.now(),
   };
@@ -92,16 +125,193 @@ async function main() {
     duplicateEvent.seqNum
   );
 
-  const balanceAfter = readModel.getAccount(userId).balance;
+  const balanceAfter = readModel.getAccount(userId).balances.USD;
   console.log(`Balance After Attack: ${balanceAfter}`);
 
-  if (balanceBefore === balanceAfter) {
-    console.log("✅ SUCCESS: Read Model ignored the duplicate event.");
-  } else {
-    console.log("❌ FAIL: Data corruption occurred.");
+  check(
+    balanceBefore === balanceAfter
+      ? "SUCCESS: Read Model ignored the duplicate event."
+      : "FAIL: Data corruption occurred.",
+    balanceBefore === balanceAfter
+  );
+
+  // --- TRANSFER TEST ---
+  console.log("\n--- TESTING TRANSFER (Process Manager) ---");
+  const savingsId = "user_Final_2";
+  const savings = await accountRepository.getAccount(savingsId);
+  if (savings.state.status !== "Active") {
+    await send(openAccount(savingsId, 0));
   }
 
-  setTimeout(() => process.exit(0), 1000);
+  const correlationId = `transfer-demo-${Date.now()}`;
+  const { transferId: okTransfer } = await commandBus.dispatch(
+    requestTransfer(userId, savingsId, 3000, { correlationId, actor: userId })
+  );
+  // Destination was never opened -> credit fails -> source gets refunded
+  const { transferId: refundedTransfer } = await commandBus.dispatch(
+    requestTransfer(userId, "user_Never_Opened", 1000)
+  );
+
+  await sleep(200);
+  const okStatus = transferManager.getTransfer(okTransfer).status;
+  const refundedStatus = transferManager.getTransfer(refundedTransfer).status;
+  check(`Transfer 1: ${okStatus}`, okStatus === "COMPLETED");
+  check(`Transfer 2: ${refundedStatus}`, refundedStatus === "REFUNDED");
+
+  // --- CORRELATION TRACE ---
+  // Every event caused by Transfer 1, across 3 streams, in one lookup.
+  console.log(`\nTrace of ${correlationId}:`);
+  console.table(
+    eventStore.getByCorrelationId(correlationId).map((e) => ({
+      stream: e.streamId,
+      type: e.type,
+      eventId: e.metadata.eventId.slice(0, 8),
+      causedBy: (e.metadata.causationId || "-").slice(0, 8),
+      actor: e.metadata.actor,
+    }))
+  );
+
+  // --- ACCOUNT LIFECYCLE TEST ---
+  console.log("\n--- TESTING ACCOUNT LIFECYCLE (Freeze, Overdraft, Close) ---");
+  const tempId = `user_Temp_${Date.now()}`;
+  // Returns the error the bus rejected the command with (or null)
+  const rejection = (command) =>
+    commandBus.dispatch(command).then(
+      () => null,
+      (err) => err
+    );
+
+  await send(openAccount(tempId, 0));
+  await send(setOverdraftLimit(tempId, 5000));
+  await send(withdraw(tempId, 3000)); // Balance -30.00, allowed by the overdraft
+  check(
+    "Cannot close with a negative balance",
+    (await rejection(closeAccount(tempId))) instanceof NonZeroBalanceError
+  );
+
+  await send(deposit(tempId, 3000));
+  await send(freezeAccount(tempId, "Suspicious activity"));
+  check(
+    "Frozen account cannot withdraw",
+    (await rejection(withdraw(tempId, 500))) instanceof AccountFrozenError
+  );
+
+  await send(unfreezeAccount(tempId));
+  await send(closeAccount(tempId));
+  check(
+    "Closed account rejects deposits",
+    (await rejection(deposit(tempId, 500))) instanceof AccountClosedError
+  );
+
+  // --- MULTI-CURRENCY TEST ---
+  console.log("\n--- TESTING MULTI-CURRENCY (Exchange at a recorded rate) ---");
+  const fxId = `user_Fx_${Date.now()}`;
+  await send(openAccount(fxId, 10000)); // 100.00 USD
+  const exchanged = await send(
+    exchangeCurrency(fxId, 5000, "USD", "EUR", "0.92")
+  );
+  check(
+    `50.00 USD -> EUR at 0.92: ${Money.formatBalances(exchanged.balances)}`,
+    exchanged.balances.USD === 5000 && exchanged.balances.EUR === 4600
+  );
+  check(
+    "No GBP balance: GBP withdrawal rejected (no implicit conversion)",
+    (await rejection(withdraw(fxId, 100, { currency: "GBP" }))) instanceof
+      CurrencyMismatchError
+  );
+
+  // --- DATA LIFECYCLE TEST ---
+  console.log("\n--- TESTING DATA LIFECYCLE (Archive, Shred, Delete) ---");
+  const beforeArchive = new BankAccount(userId);
+  await beforeArchive.load();
+  const archived = streamLifecycle.archive(Date.now());
+  const afterArchive = new BankAccount(userId);
+  await afterArchive.load();
+  check(
+    `Archived ${archived} snapshot-covered events, balance unchanged`,
+    afterArchive.state.balances.USD === beforeArchive.state.balances.USD
+  );
+
+  const gdprId = `user_Gdpr_${Date.now()}`;
+  const holder = { name: "Grace Hopper", email: "grace@example.com" };
+  await send(openAccount(gdprId, 0, { holder }));
+  streamLifecycle.shredPii(gdprId);
+  check(
+    "Crypto-shredded: the holder can't be read anymore",
+    eventStore.getStream(gdprId)[0].data.holder === null
+  );
+  streamLifecycle.hardDelete(gdprId, "Right to be forgotten");
+  check(
+    "Hard-deleted: stream reads as empty and can never be reopened",
+    eventStore.getStream(gdprId).length === 0 &&
+      (await rejection(openAccount(gdprId, 0))) instanceof StreamDeletedError
+  );
+
+  // --- POISON EVENT TEST ---
+  console.log("\n--- TESTING POISON EVENTS (Retry, Park, Replay) ---");
+  const poisonId = `user_Poison_${Date.now()}`;
+  const flowingId = `user_Flowing_${Date.now()}`;
+  // Simulate a Read Model bug that only hits one account
+  const applyUpdate = readModel.applyUpdate;
+  readModel.applyUpdate = function (id, ...rest) {
+    if (id === poisonId) throw new Error("Simulated projection bug");
+    return applyUpdate.call(this, id, ...rest);
+  };
+  await send(openAccount(poisonId, 1000));
+  await send(deposit(poisonId, 500)); // Must wait behind the parked event
+  await send(openAccount(flowingId, 700)); // Another stream: not affected
+  await sleep(1000); // Retries with backoff happen in the meantime
+
+  const parked = parkingLot.list({ streamId: poisonId });
+  const summary = parked.map((e) => `#${e.seqNum} (${e.reason})`).join(", ");
+  check(
+    `Parked after retries: ${summary}`,
+    parked.length === 2 && parked[0].reason === "failed"
+  );
+  check("Other streams keep flowing", readModel.getAccount(flowingId) !== null);
+
+  readModel.applyUpdate = applyUpdate; // "Deploy the fix", then replay
+  parkingLot.replay({ streamId: poisonId });
+  check(
+    "Replayed in order: 10.00 + 5.00 = 15.00 USD",
+    readModel.getAccount(poisonId).balances.USD === 1500 &&
+      !parkingLot.isBlocked(poisonId)
+  );
+
+  // --- PROJECTION REBUILD TEST ---
+  console.log("\n--- TESTING PROJECTION REBUILD ---");
+  const liveBalance = readModel.getAccount(userId).balances.USD;
+  await projectionRebuilder.rebuild();
+  const rebuiltBalance = readModel.getAccount(userId).balances.USD;
+  check(
+    `Live: ${liveBalance} | Rebuilt from history: ${rebuiltBalance}`,
+    liveBalance === rebuiltBalance
+  );
+
+  // --- TEMPORAL QUERY TEST ---
+  console.log("\n--- TESTING TEMPORAL QUERIES (As-Of) ---");
+  const asOfSeq3 = await statementQuery.getBalanceAsOf(userId, { seqNum: 3 });
+  console.log(`Balance at Seq 3: ${Money.formatBalances(asOfSeq3.balances)}`);
+  const statement = await statementQuery.getStatement(userId, {
+    from: Date.now() - 60 * 1000,
+  });
+  const opening = Money.formatBalances(statement.openingBalances);
+  const closing = Money.formatBalances(statement.closingBalances);
+  console.log(
+    `Last minute: opening ${opening}, closing ${closing}, ${statement.entries.length} entries`
+  );
+
+  // --- PROJECTIONS STATUS ---
+  console.log("\n--- PROJECTIONS (Checkpoint vs Store Head) ---");
+  console.table(projectionManager.getStatus());
+  console.log("Top accounts:", projectionManager.get("top-accounts").getTop(3));
+  console.log("Aggregate cache:", aggregateCache.getStats());
+
+  // Exit code 1 if any check failed (see check())
+  setTimeout(() => process.exit(), 1000);
 }
 
-main();
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
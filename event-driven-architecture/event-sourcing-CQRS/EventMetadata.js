@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+
+// --- CONCEPT: METADATA ENVELOPE ---
+// 'data' is the business fact ("50 was deposited"). The metadata envelope
+// answers the operational questions around it:
+// - eventId:       unique ID of this event (set by the EventStore)
+// - correlationId: shared by EVERY event of one business flow, e.g. the
+//                  TransferRequested event AND all account events it caused
+// - causationId:   the ID of the command or event that directly caused it
+// - actor:         who triggered the flow (user ID, "system", ...)
+// - headers:       free-form extras (client IP, user agent, ...)
+// - commandId:     client-supplied idempotency key (see BankAccount)
+// - commandType:   type of that command: an id is only a duplicate of the
+//                  SAME command type
+//
+// correlationId + causationId turn the log into a tree:
+// "which request caused this withdrawal?" is just a lookup.
+
+const withoutUndefined = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+
+// The command starts the flow: it is the first "cause".
+function fromCommand(command) {
+  return withoutUndefined({
+    commandId: command.commandId,
+    commandType: command.commandId ? command.type : undefined,
+    correlationId:
+      command.correlationId || command.commandId || crypto.randomUUID(),
+    causationId: command.causationId || command.commandId,
+    actor: command.actor,
+    headers: command.headers,
+  });
+}
+
+// Metadata for events written IN REACTION to another event
+// (e.g. by a process manager): same flow, caused by that event.
+// The commandId (and its type) is NOT inherited, it belongs to the
+// original command only.
+function causedBy(event, overrides = {}) {
+  const metadata = event.metadata || {};
+  return withoutUndefined({
+    correlationId: metadata.correlationId || metadata.eventId,
+    causationId: metadata.eventId,
+    actor: metadata.actor,
+    headers: metadata.headers,
+    ...overrides,
+  });
+}
+
+module.exports = { fromCommand, causedBy };
@@ -1,5 +1,6 @@
-const amqp = require("amqplib");
+const broker = require("./broker");
 const config = require("./config");
+const piiVault = require("./PiiVault");
 
 class EventPublisher {
   constructor() {
@@ -7,8 +8,10 @@ class EventPublisher {
   }
 
   async init() {
-    const conn = await amqp.connect(config.RABBIT_URL);
-    this.channel = await conn.createChannel();
+    // --- CONCEPT: PUBLISHER CONFIRMS ---
+    // A confirm channel makes RabbitMQ acknowledge every publish.
+    // The Outbox only marks an event as "dispatched" after this confirmation.
+    this.channel = await broker.createChannel({ confirm: true });
 
     // --- CONCEPT: DURABILITY ---
     // We assert the exchange as 'durable: true'.
@@ -18,7 +21,7 @@ class EventPublisher {
       durable: true,
     });
 
-    console.log("[EventPublisher] Connected to RabbitMQ");
+    console.log(`[EventPublisher] Connected (${config.BROKER_DRIVER} broker)`);
   }
 
   async publish(event) {
@@ -28,11 +31,42 @@ class EventPublisher {
     // The Aggregate (BankAccount) calls this. It doesn't know about RabbitMQ buffers,
     // routing keys, or serialization. It just hands over the object.
     // This makes testing the Aggregate easier (we can mock this class).
-    this.channel.publish(
-      config.EXCHANGE,
-      config.ROUTING_KEY,
-      Buffer.from(JSON.stringify(event))
-    );
+    // Resolves once the broker confirms the message, rejects if it refuses it.
+    //
+    // --- CONCEPT: SEALED MESSAGES ---
+    // Persistent messages are one more copy of the event, one we can't
+    // delete (queues, mirrors, dead-letter queues...). So they carry the
+    // PII fields in their stored (encrypted) form, like the segments:
+    // shredding the stream's key erases them too. Consumers decrypt.
+    await new Promise((resolve, reject) => {
+      this.channel.publish(
+        config.EXCHANGE,
+        config.ROUTING_KEY,
+        Buffer.from(JSON.stringify(piiVault.encrypt(event))),
+        { persistent: true, ...this.toMessageProperties(event) },
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+  }
+
+  // --- CONCEPT: METADATA AS MESSAGE PROPERTIES ---
+  // The envelope is also in the JSON body, but AMQP has standard slots for
+  // it. Consumers, tracing tools and the RabbitMQ UI can then read
+  // messageId / correlationId without parsing the payload.
+  // messageId = eventId also lets consumers spot broker redeliveries.
+  toMessageProperties(event) {
+    const metadata = event.metadata || {};
+    const headers = { ...metadata.headers };
+    if (metadata.causationId) headers["x-causation-id"] = metadata.causationId;
+    if (metadata.actor) headers["x-actor"] = metadata.actor;
+
+    return {
+      messageId: metadata.eventId,
+      correlationId: metadata.correlationId,
+      type: event.type,
+      timestamp: Math.floor(event.timestamp / 1000), // AMQP uses seconds
+      headers,
+    };
   }
 }
 
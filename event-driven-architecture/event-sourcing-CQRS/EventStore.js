@@ -1,10 +1,202 @@
-class EventStore {
-  constructor() {
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const config = require("./config");
+const SegmentLog = require("./SegmentLog");
+const ColdArchive = require("./ColdArchive");
+const { ConcurrencyError, StreamDeletedError } = require("./errors");
+const upcasterRegistry = require("./UpcasterRegistry");
+const piiVault = require("./PiiVault");
+
+// --- CONCEPT: TOMBSTONE ---
+// Deleting a stream is itself a fact, so it is an event: the LAST one the
+// stream will ever get. The "$" prefix marks store-level (system) events.
+// data: { reason, hard }
+const TOMBSTONE = "$StreamDeleted";
+
+class EventStore extends EventEmitter {
+  constructor(log = null, { coldArchive = null } = {}) {
+    super();
+
     // DATA STRUCTURE OPTIMIZATION:
     // Using a Map gives us O(1) access time.
     // If we used an Array, we would have to loop through every user
     // in the system to find one user's events (O(N)).
     this.streams = new Map();
+
+    // --- CONCEPT: GLOBAL ORDERED LOG ($all) ---
+    // Every event also gets a "position" in ONE global sequence, across all
+    // streams. allEvents[position - 1] is the event at that position, or
+    // null if that event left the hot index (deleted or archived).
+    // seqNum answers "what version is THIS account at?",
+    // position answers "how far through the WHOLE store am I?" (for projections).
+    this.allEvents = [];
+
+    // --- CONCEPT: SECONDARY INDEX ---
+    // Map<CorrelationId, Event[]>: every event of one business flow, across
+    // all streams, in global order (see EventMetadata.js).
+    this.byCorrelationId = new Map();
+
+    // Map<StreamId, { version, deletedAtSeq, hard }>
+    // Kept apart from 'streams' because the newest event is not always in
+    // the hot index anymore (e.g. a fully archived stream).
+    this.streamInfo = new Map();
+
+    // Where archived events go (see ColdArchive.js). null = no archiving.
+    this.coldArchive = coldArchive;
+
+    // --- CONCEPT: DURABILITY ---
+    // The Map above is only an INDEX. The source of truth is the append-only
+    // log on disk (if one is configured). On startup we replay the log to
+    // rebuild the index, so a restart no longer wipes account history.
+    this.log = log;
+    if (this.log) this.rebuildIndex();
+  }
+
+  rebuildIndex() {
+    // Each log record is one committed batch (an array of events).
+    // Older logs stored one bare event per record, so we accept both.
+    const events = this.log
+      .readAll()
+      .flatMap((record) => (Array.isArray(record) ? record : [record]));
+
+    // Old events are lifted to the current schema ONCE, here, so every
+    // reader (aggregate hydration, projections, $all) sees the current shape.
+    // PII is decrypted first: it was encrypted in the CURRENT schema.
+    for (const event of events) {
+      // A compacted-away event leaves only its position behind, so that
+      // positions are never handed out twice.
+      if (event.purged) {
+        this.allEvents[event.position - 1] = null;
+        continue;
+      }
+      this.indexEvent(this.fromStoredForm(event));
+    }
+
+    console.log(
+      `[EventStore] Recovered ${events.length} events across ${this.streams.size} streams`
+    );
+  }
+
+  // Log / cold archive -> what readers see
+  fromStoredForm(event) {
+    return upcasterRegistry.upcast(piiVault.decrypt(event));
+  }
+
+  getStreamInfo(streamId) {
+    if (!this.streamInfo.has(streamId)) {
+      this.streamInfo.set(streamId, {
+        version: 0,
+        deletedAtSeq: null,
+        hard: false,
+      });
+    }
+    return this.streamInfo.get(streamId);
+  }
+
+  isDeleted(streamId) {
+    const info = this.streamInfo.get(streamId);
+    return Boolean(info && info.deletedAtSeq !== null);
+  }
+
+  // Hidden = written before the stream's tombstone.
+  isHidden(event) {
+    const info = this.streamInfo.get(event.streamId);
+    return Boolean(
+      info && info.deletedAtSeq !== null && event.seqNum < info.deletedAtSeq
+    );
+  }
+
+  // Purged = must physically leave the hot log (see compact()).
+  isPurged(event) {
+    const info = this.streamInfo.get(event.streamId);
+    if (info && info.hard && event.seqNum < info.deletedAtSeq) return true;
+    return this.isArchived(event);
+  }
+
+  isArchived(event) {
+    return Boolean(
+      this.coldArchive &&
+        event.seqNum <= this.coldArchive.getArchivedSeq(event.streamId)
+    );
+  }
+
+  indexEvent(event) {
+    const info = this.getStreamInfo(event.streamId);
+    info.version = Math.max(info.version, event.seqNum);
+
+    // Still in the hot log because a crash hit between archiving and
+    // compaction: the cold copy is the one that counts.
+    if (this.isArchived(event)) {
+      this.allEvents[event.position - 1] = null;
+      return;
+    }
+
+    if (!this.streams.has(event.streamId)) {
+      this.streams.set(event.streamId, []);
+    }
+    this.streams.get(event.streamId).push(event);
+    this.allEvents[event.position - 1] = event;
+
+    const correlationId = event.metadata && event.metadata.correlationId;
+    if (correlationId) {
+      if (!this.byCorrelationId.has(correlationId)) {
+        this.byCorrelationId.set(correlationId, []);
+      }
+      this.byCorrelationId.get(correlationId).push(event);
+    }
+
+    if (event.type === TOMBSTONE) this.applyTombstone(event);
+  }
+
+  // Everything before the tombstone leaves the index. After a soft delete
+  // it is still in the log (recoverable), after a hard delete compact()
+  // removes it. Only the tombstone itself stays readable in $all, so
+  // projections learn about the deletion.
+  applyTombstone(tombstone) {
+    const info = this.getStreamInfo(tombstone.streamId);
+    info.deletedAtSeq = tombstone.seqNum;
+    info.hard = Boolean(tombstone.data.hard);
+
+    const stream = this.streams.get(tombstone.streamId);
+    this.unindex(stream.filter((e) => e.seqNum < tombstone.seqNum));
+  }
+
+  // Removes events from every in-memory index (not from disk).
+  unindex(events) {
+    if (events.length === 0) return;
+    const removed = new Set(events);
+
+    for (const event of events) {
+      this.allEvents[event.position - 1] = null;
+
+      const correlationId = event.metadata && event.metadata.correlationId;
+      const flow = correlationId && this.byCorrelationId.get(correlationId);
+      if (flow) {
+        const kept = flow.filter((e) => !removed.has(e));
+        if (kept.length > 0) this.byCorrelationId.set(correlationId, kept);
+        else this.byCorrelationId.delete(correlationId);
+      }
+    }
+
+    for (const streamId of new Set(events.map((e) => e.streamId))) {
+      const kept = this.streams.get(streamId).filter((e) => !removed.has(e));
+      this.streams.set(streamId, kept);
+    }
+  }
+
+  // --- CONCEPT: CALCULATING NEXT SEQUENCE ---
+  // Instead of loading the whole history to count length, we keep the
+  // newest seqNum of every stream. It stays right even when that event
+  // was archived, or hidden by a tombstone (a deleted stream never
+  // restarts at 1). O(1), whatever the size of the history.
+  getStreamVersion(streamId) {
+    const info = this.streamInfo.get(streamId);
+    return info ? info.version : 0;
+  }
+
+  // The position of the newest event in the store (0 = empty store).
+  getHeadPosition() {
+    return this.allEvents.length;
   }
 
   // --- CONCEPT: FLEXIBLE STREAM QUERYING ---
@@ -12,14 +204,42 @@ class EventStore {
   // specific "Slices" of time.
   // - 'forwards': Standard replay (Oldest -> Newest)
   // - 'backwards': Useful for finding the latest state or last N events (Newest -> Oldest)
+  //
+  // A deleted stream reads as empty. Archived events are fetched from cold
+  // storage only if the slice reaches back that far: hydration from a
+  // snapshot never does, because archiving stops at the latest snapshot.
   getStream(streamId, options = {}) {
+    if (this.isDeleted(streamId)) return [];
+
+    const hot = this.streams.get(streamId) || [];
+    const result = this.sliceStream(hot, options);
+
+    const archivedSeq = this.coldArchive
+      ? this.coldArchive.getArchivedSeq(streamId)
+      : 0;
+    if (archivedSeq === 0) return result;
+
+    const { startingFromSeqNum, direction = "forwards", maxCount } = options;
+    const reachesCold =
+      direction === "forwards"
+        ? (startingFromSeqNum || 1) <= archivedSeq
+        : maxCount === undefined || result.length < maxCount;
+    if (!reachesCold) return result;
+
+    console.log(`[EventStore] 🧊 Reading archived events of ${streamId}`);
+    const cold = this.coldArchive
+      .readStream(streamId)
+      .map((event) => this.fromStoredForm(event));
+    return this.sliceStream([...cold, ...hot], options);
+  }
+
+  sliceStream(allEvents, options) {
     const {
       startingFromSeqNum, // undefined = start from beginning (or end if backwards)
       direction = "forwards",
       maxCount = undefined, // undefined = no limit
     } = options;
 
-    const allEvents = this.streams.get(streamId) || [];
     let result = [];
 
     if (direction === "forwards") {
@@ -51,52 +271,242 @@ class EventStore {
     return result;
   }
 
-  save(streamId, eventType, data, expectedSeq) {
-    // 1. Ensure stream storage exists
-    if (!this.streams.has(streamId)) {
-      this.streams.set(streamId, []);
+  // --- CONCEPT: READING THE $all STREAM ---
+  // Same slicing rules as getStream(), but over the global log and keyed by
+  // position instead of seqNum. Positions are dense (1, 2, 3, ...), so we can
+  // slice the array directly, then skip the holes (null) of events that left
+  // the hot index. Archived ones are merged back in from cold storage, so
+  // projections (and rebuilds) still see the whole history.
+  readAll(options = {}) {
+    const {
+      fromPosition, // undefined = start from beginning (or end if backwards)
+      direction = "forwards",
+      maxCount = undefined, // undefined = no limit
+    } = options;
+
+    let result = [];
+
+    if (direction === "forwards") {
+      const start =
+        fromPosition !== undefined ? Math.max(fromPosition - 1, 0) : 0;
+      result = this.allEvents.slice(start);
+    } else {
+      // Backwards: events at or BEFORE fromPosition, newest first.
+      const end =
+        fromPosition !== undefined
+          ? Math.min(fromPosition, this.allEvents.length)
+          : this.allEvents.length;
+      result = this.allEvents.slice(0, Math.max(end, 0)).reverse();
     }
+    result = result.filter(Boolean);
 
-    // --- CONCEPT: CALCULATING NEXT SEQUENCE ---
-    // Instead of loading the whole history to count length, we request
-    // ONLY the very last event using our new query capabilities.
-    // This keeps the save operation fast (O(1) effectively) even if history is huge.
-    const lastEvents = this.getStream(streamId, {
-      direction: "backwards",
-      maxCount: 1,
-    });
+    const cold = this.readArchivedRange(fromPosition, direction);
+    if (cold.length > 0) {
+      result = [...result, ...cold].sort((a, b) =>
+        direction === "forwards"
+          ? a.position - b.position
+          : b.position - a.position
+      );
+    }
+
+    if (maxCount !== undefined) {
+      result = result.slice(0, maxCount);
+    }
+
+    return result;
+  }
+
+  readArchivedRange(fromPosition, direction) {
+    if (!this.coldArchive) return [];
+    const [from, to] =
+      direction === "forwards"
+        ? [fromPosition || 1, Infinity]
+        : [1, fromPosition === undefined ? Infinity : fromPosition];
+
+    return this.coldArchive
+      .readRange(from, to)
+      .filter((event) => this.allEvents[event.position - 1] === null)
+      .filter((event) => !this.isHidden(event))
+      .map((event) => this.fromStoredForm(event));
+  }
+
+  // Everything that happened in one business flow (e.g. one HTTP request or
+  // one transfer), whatever stream it landed in. Oldest first.
+  getByCorrelationId(correlationId) {
+    return [...(this.byCorrelationId.get(correlationId) || [])];
+  }
+
+  save(streamId, eventType, data, expectedSeq, metadata) {
+    const [newEvent] = this.saveBatch(
+      streamId,
+      [{ type: eventType, data }],
+      expectedSeq,
+      metadata
+    );
+    return newEvent;
+  }
+
+  // --- CONCEPT: ATOMIC MULTI-EVENT APPEND ---
+  // One command can produce several facts (e.g. 'MoneyWithdrawn' + 'TransferInitiated').
+  // They must be committed ALL-OR-NOTHING: a reader should never see only half
+  // of a command's outcome. One version check guards the whole batch, and the
+  // events get consecutive sequence numbers.
+  //
+  // 'metadata' is stored on every event of the batch. It describes the
+  // command that produced them (commandId, correlationId, actor...), not the
+  // business fact itself. Each event additionally gets its own eventId.
+  saveBatch(streamId, events, expectedSeq, metadata = {}) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error(`Cannot save an empty batch for ${streamId}`);
+    }
 
-    // If we found an event, that's the current head. If not, we are at 0.
-    const currentVersion = lastEvents.length > 0 ? lastEvents[0].seqNum : 0;
+    // 1. A tombstone is final
+    if (this.isDeleted(streamId)) throw new StreamDeletedError(streamId);
+
+    const currentVersion = this.getStreamVersion(streamId);
 
     // 3. OPTIMISTIC CONCURRENCY CONTROL:
     // If the Aggregate thinks it is at Version 5, but the Store is at Version 6,
     // it means another process modified this account in the background.
     // We MUST fail to prevent data corruption (Double Spending).
     if (expectedSeq !== undefined && currentVersion !== expectedSeq) {
-      throw new Error(
-        `Concurrency Conflict for ${streamId}: Expected version ${expectedSeq}, but found ${currentVersion}.`
-      );
+      throw new ConcurrencyError(streamId, expectedSeq, currentVersion);
     }
 
-    const nextSeq = currentVersion + 1;
+    const headPosition = this.getHeadPosition();
+    const timestamp = Date.now();
 
-    const newEvent = {
+    const newEvents = events.map(({ type, data }, i) => ({
       streamId,
-      type: eventType,
+      type,
       data,
-      seqNum: nextSeq,
-      timestamp: Date.now(),
-    };
+      schemaVersion: upcasterRegistry.getCurrentVersion(type),
+      seqNum: currentVersion + 1 + i,
+      position: headPosition + 1 + i,
+      timestamp,
+      metadata: { ...metadata, eventId: crypto.randomUUID() },
+    }));
 
-    // 4. Append to the master list
+    // 4. Commit to disk FIRST (write + fsync).
+    // The whole batch is ONE log record, so a crash mid-write drops the entire
+    // batch on recovery (truncated record), never just part of it.
+    // If this throws, the in-memory index is untouched and the caller sees
+    // the failure. We never acknowledge an event that isn't durable.
+    // Only the log gets the encrypted PII: the index keeps plain events.
+    if (this.log) this.log.append(newEvents.map((e) => piiVault.encrypt(e)));
+
+    // 5. Append to the master list (stream index + global log)
     // Note: We push to the Map's array, not the sliced array from getStream
-    this.streams.get(streamId).push(newEvent);
+    for (const newEvent of newEvents) {
+      this.indexEvent(newEvent);
+      console.log(`[EventStore] Saved: ${newEvent.type} #${newEvent.seqNum}`);
+    }
 
-    console.log(`[EventStore] Saved: ${eventType} #${nextSeq}`);
+    // 6. Wake up live subscribers (see CatchUpSubscription)
+    for (const newEvent of newEvents) {
+      this.emit("appended", newEvent);
+    }
 
-    return newEvent;
+    return newEvents;
+  }
+
+  // --- CONCEPT: SOFT vs HARD DELETE ---
+  // Both append a tombstone: the stream reads as empty and rejects writes.
+  // - Soft: the old events stay on disk (audit, legal hold, undo by an admin).
+  // - Hard: "truncate before" the tombstone. Every older event (hot AND
+  //   cold) is physically removed. Only the tombstone remains, so the
+  //   stream's version (and its seqNums) are never reused.
+  deleteStream(streamId, { reason, hard = false } = {}, metadata = {}) {
+    const tombstone = this.save(
+      streamId,
+      TOMBSTONE,
+      { reason, hard },
+      undefined,
+      metadata
+    );
+
+    if (hard) {
+      if (this.coldArchive) this.coldArchive.purgeStream(streamId);
+      this.compact();
+    }
+
+    const kind = hard ? "Hard" : "Soft";
+    console.log(`[EventStore] 🪦 ${kind}-deleted ${streamId} (${reason})`);
+    return tombstone;
+  }
+
+  // --- CONCEPT: ARCHIVING ---
+  // Moves events older than 'cutoff' (ms timestamp) to cold storage, but
+  // per stream ONLY up to coveredSeqOf(streamId): the newest seqNum a
+  // snapshot already contains. So the hot path (snapshot + newer events)
+  // never needs the archive. Without a snapshot, reads still work: they
+  // just take the slow trip to the cold file.
+  archive(cutoff, coveredSeqOf) {
+    if (!this.coldArchive) {
+      throw new Error("Archiving needs the 'file' event store driver");
+    }
+
+    const events = this.allEvents.filter(
+      (e) =>
+        e !== null &&
+        !this.isDeleted(e.streamId) &&
+        e.timestamp < cutoff &&
+        e.seqNum <= coveredSeqOf(e.streamId)
+    );
+    if (events.length === 0) return 0;
+
+    // Cold copy first (durable), THEN drop the hot one.
+    this.coldArchive.write(events.map((e) => piiVault.encrypt(e)));
+    this.unindex(events);
+    this.compact();
+    return events.length;
+  }
+
+  // --- CONCEPT: CRYPTO-SHREDDING (in memory) ---
+  // Destroying the key (PiiVault) erases the stored copies. The decrypted
+  // copies already in RAM are erased here.
+  erasePii(streamId) {
+    for (const event of this.streams.get(streamId) || []) {
+      event.data = piiVault.erasedData(event);
+    }
+  }
+
+  // Physically drops purged events from the log. Each one is replaced by
+  // a { position, purged: true } placeholder: no data, but the position
+  // stays taken, so the next append can't reuse it after a restart.
+  compact() {
+    if (!this.log) return 0;
+
+    let purged = 0;
+    this.log.rewrite((record) => {
+      const events = Array.isArray(record) ? record : [record];
+      if (!events.some((e) => !e.purged && this.isPurged(e))) return record;
+
+      return events.map((event) => {
+        if (event.purged || !this.isPurged(event)) return event;
+        purged++;
+        return { position: event.position, purged: true };
+      });
+    });
+
+    if (purged > 0) {
+      console.log(`[EventStore] 🧹 Compaction removed ${purged} events`);
+    }
+    return purged;
   }
 }
 
-module.exports = new EventStore();
+// --- CONCEPT: PLUGGABLE STORAGE ---
+// "file" keeps history across restarts. "memory" is handy for quick experiments.
+const log =
+  config.EVENT_STORE_DRIVER === "file"
+    ? new SegmentLog(config.EVENT_STORE_DIR, {
+        maxSegmentBytes: config.SEGMENT_MAX_BYTES,
+      })
+    : null;
+const coldArchive =
+  config.EVENT_STORE_DRIVER === "file"
+    ? new ColdArchive(config.ARCHIVE_DIR)
+    : null;
+
+module.exports = new EventStore(log, { coldArchive });
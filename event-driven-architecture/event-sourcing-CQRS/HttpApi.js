@@ -0,0 +1,329 @@
+const http = require("http");
+const crypto = require("crypto");
+const commandBus = require("./commands");
+const {
+  openAccount,
+  deposit,
+  withdraw,
+} = require("./commands/accountCommands");
+const readModel = require("./ReadModelDB");
+const eventStore = require("./EventStore");
+const parkingLot = require("./ParkingLot");
+const {
+  ConcurrencyError,
+  StreamDeletedError,
+  ValidationError,
+  DomainError,
+} = require("./errors");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// An error that already knows its HTTP status (404, 400, ...).
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// --- CONCEPT: CQRS OVER HTTP ---
+// WRITE endpoints build a command and dispatch it through the Command Bus
+// (-> BankAccount -> EventStore). They answer with the new version.
+// READ endpoints never touch the Aggregate:
+// - GET /accounts/:id        -> ReadModelDB (fast, eventually consistent)
+// - GET /accounts/:id/events -> EventStore (the raw history)
+// - GET /correlations/:id    -> EventStore (every event of one request)
+// Operations endpoints manage the Projector's ParkingLot (poison events):
+// list, fix (PATCH merges into the event's data), replay, discard.
+const COMMAND_FACTORIES = { open: openAccount, deposit, withdraw };
+
+const ROUTES = [
+  {
+    method: "POST",
+    pattern: /^\/accounts\/([^/]+)\/(open|deposit|withdraw)$/,
+    handler: handleCommand,
+  },
+  {
+    method: "GET",
+    pattern: /^\/accounts\/([^/]+)$/,
+    handler: handleGetAccount,
+  },
+  {
+    method: "GET",
+    pattern: /^\/accounts\/([^/]+)\/events$/,
+    handler: handleGetEvents,
+  },
+  {
+    method: "GET",
+    pattern: /^\/correlations\/([^/]+)$/,
+    handler: handleGetCorrelation,
+  },
+  {
+    method: "GET",
+    pattern: /^\/parking-lot$/,
+    handler: handleListParked,
+  },
+  {
+    method: "POST",
+    pattern: /^\/parking-lot\/replay$/,
+    handler: handleReplayParked,
+  },
+  {
+    method: "PATCH",
+    pattern: /^\/parking-lot\/([^/]+)$/,
+    handler: handleFixParked,
+  },
+  {
+    method: "DELETE",
+    pattern: /^\/parking-lot\/([^/]+)$/,
+    handler: handleDiscardParked,
+  },
+];
+
+// --- CONCEPT: ETAG = AGGREGATE VERSION ---
+// The ETag of an account is the lastSeq of its stream.
+// A client sends it back in 'If-Match' to say: "only apply my command if
+// nobody changed the account since I read it".
+const toETag = (seqNum) => `"${seqNum}"`;
+
+function parseIfMatch(header) {
+  if (header === undefined) return undefined;
+
+  const match = /^"(\d+)"$/.exec(header.trim());
+  if (!match) throw new ValidationError(`Invalid If-Match header: ${header}`);
+  return Number(match[1]);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on("data", (chunk) => {
+      if (tooLarge) return; // Read and dropped
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // The socket stays open: destroying it would also kill the 413
+        // the error handler is about to send. We stop buffering and let
+        // the rest of the body drain.
+        tooLarge = true;
+        chunks.length = 0;
+        reject(new HttpError(413, "Request body too large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      if (tooLarge) return;
+      if (size === 0) return resolve({});
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch (e) {
+        return reject(new HttpError(400, "Body must be valid JSON"));
+      }
+      // Valid JSON, but not what handlers read fields from
+      // (e.g. 'null', '42', '[]')
+      if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return reject(new HttpError(400, "Body must be a JSON object"));
+      }
+      resolve(body);
+    });
+
+    req.on("error", reject);
+  });
+}
+
+async function handleCommand(req, res, [accountId, action]) {
+  const body = await readJsonBody(req);
+  const expectedSeq = parseIfMatch(req.headers["if-match"]);
+
+  // --- CONCEPT: REQUEST TRACING ---
+  // A caller (e.g. an upstream service) may pass its own correlation ID so
+  // its trace continues here. Otherwise this request starts a new one.
+  // It is echoed back, so the client can later ask GET /correlations/:id.
+  const correlationId = req.headers["x-correlation-id"] || crypto.randomUUID();
+
+  // Amounts are integer minor units: { "amount": 1050, "currency": "EUR" }
+  const command = COMMAND_FACTORIES[action](accountId, body.amount, {
+    currency: body.currency,
+    // Either the body or the standard header can carry the command ID.
+    commandId: body.commandId || req.headers["idempotency-key"],
+    expectedSeq,
+    correlationId,
+    // No authentication in this demo: the caller simply names itself.
+    actor: req.headers["x-actor"],
+    headers: req.headers["user-agent"]
+      ? { userAgent: req.headers["user-agent"] }
+      : undefined,
+  });
+
+  const result = await commandBus.dispatch(command);
+
+  sendJson(res, result.duplicate ? 200 : 201, result, {
+    ETag: toETag(result.lastSeq),
+    "X-Correlation-Id": correlationId,
+  });
+}
+
+function handleGetAccount(req, res, [accountId]) {
+  const account = readModel.getAccount(accountId);
+  if (!account) throw new HttpError(404, `Account ${accountId} not found`);
+  if (account.status === "Deleted") {
+    throw new HttpError(410, `Account ${accountId} has been deleted`);
+  }
+
+  // The Read Model may lag behind. The ETag comes from the write side, so
+  // If-Match always compares against the real current version.
+  sendJson(res, 200, account, {
+    ETag: toETag(eventStore.getStreamVersion(accountId)),
+  });
+}
+
+function handleGetEvents(req, res, [accountId], query) {
+  const parseIntParam = (name) => {
+    if (!query.has(name)) return undefined;
+    const value = Number(query.get(name));
+    if (!Number.isInteger(value) || value < 0) {
+      throw new ValidationError(`${name} must be a non-negative integer`);
+    }
+    return value;
+  };
+
+  const direction = query.get("direction") || "forwards";
+  if (direction !== "forwards" && direction !== "backwards") {
+    throw new ValidationError("direction must be 'forwards' or 'backwards'");
+  }
+
+  // Same answer as GET /accounts/:id: a deleted history never comes back
+  if (eventStore.isDeleted(accountId)) {
+    throw new HttpError(410, `Account ${accountId} has been deleted`);
+  }
+  const version = eventStore.getStreamVersion(accountId);
+  if (version === 0) throw new HttpError(404, `Account ${accountId} not found`);
+
+  const events = eventStore.getStream(accountId, {
+    startingFromSeqNum: parseIntParam("fromSeq"),
+    maxCount: parseIntParam("maxCount"),
+    direction,
+  });
+
+  sendJson(res, 200, { accountId, events }, { ETag: toETag(version) });
+}
+
+function handleGetCorrelation(req, res, [correlationId]) {
+  const events = eventStore.getByCorrelationId(correlationId);
+  if (events.length === 0) {
+    throw new HttpError(404, `No events for correlation ${correlationId}`);
+  }
+  sendJson(res, 200, { correlationId, events });
+}
+
+function handleListParked(req, res, params, query) {
+  const streamId = query.get("streamId") || undefined;
+  sendJson(res, 200, { entries: parkingLot.list({ streamId }) });
+}
+
+function handleReplayParked(req, res, params, query) {
+  const streamId = query.get("streamId") || undefined;
+  sendJson(res, 200, parkingLot.replay({ streamId }));
+}
+
+function requireParked(id) {
+  if (!parkingLot.list().some((entry) => entry.id === id)) {
+    throw new HttpError(404, `No parked event with id ${id}`);
+  }
+}
+
+// Body: { "data": { ...fields to overwrite } }
+async function handleFixParked(req, res, [id]) {
+  requireParked(id);
+  const body = await readJsonBody(req);
+  if (!body.data || typeof body.data !== "object") {
+    throw new ValidationError("data must be an object");
+  }
+  const entry = parkingLot.fix(id, (event) => ({
+    ...event,
+    data: { ...event.data, ...body.data },
+  }));
+  sendJson(res, 200, entry);
+}
+
+function handleDiscardParked(req, res, [id]) {
+  requireParked(id);
+  parkingLot.discard(id);
+  res.writeHead(204);
+  res.end();
+}
+
+// Path segments come from the client: '%E0%A4%A' is not valid encoding.
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    throw new HttpError(400, `Malformed URL encoding: ${value}`);
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// --- CONCEPT: ERROR MAPPING ---
+// Domain errors become meaningful HTTP status codes, so clients can react
+// (e.g. re-read and retry on 409) instead of parsing messages.
+// - 409: Concurrency conflict. Either the If-Match version is stale, or we
+//        lost a race even after the bus' retries. The response carries the
+//        CURRENT version as ETag, so the client can re-read and decide again.
+// - 410: The stream was deleted (tombstone). Unlike 404, it never comes back.
+// - 422: Malformed command (ValidationError) or business rule (DomainError).
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+  if (err instanceof ConcurrencyError) {
+    const httpError = new HttpError(409, err.message);
+    httpError.headers = { ETag: toETag(err.actualSeq) };
+    return httpError;
+  }
+  if (err instanceof StreamDeletedError) return new HttpError(410, err.message);
+  if (err instanceof ValidationError) return new HttpError(422, err.message);
+  if (err instanceof DomainError) return new HttpError(422, err.message);
+
+  console.error("[HttpApi] Unexpected error:", err);
+  return new HttpError(500, "Internal Server Error");
+}
+
+function createHttpServer() {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      const pathMatches = ROUTES.filter((r) => r.pattern.test(url.pathname));
+      if (pathMatches.length === 0) throw new HttpError(404, "Not Found");
+
+      const route = pathMatches.find((r) => r.method === req.method);
+      if (!route) {
+        res.setHeader("Allow", pathMatches.map((r) => r.method).join(", "));
+        throw new HttpError(405, "Method Not Allowed");
+      }
+
+      const params = route.pattern
+        .exec(url.pathname)
+        .slice(1)
+        .map(decodePathParam);
+      await route.handler(req, res, params, url.searchParams);
+    } catch (err) {
+      const httpError = toHttpError(err);
+      sendJson(
+        res,
+        httpError.status,
+        { error: httpError.message },
+        httpError.headers
+      );
+    }
+  });
+}
+
+module.exports = { createHttpServer };
@@ -0,0 +1,74 @@
+// --- CONCEPT: MONEY AS INTEGER MINOR UNITS ---
+// 0.1 + 0.2 !== 0.3 in floating point. Repeated '+=' on balances slowly
+// drifts away from the truth, and a ledger must add up to the cent.
+// So every amount is an INTEGER count of the currency's smallest unit
+// (cents for USD, yen for JPY): 12.34 USD is stored as 1234.
+// Integer addition/subtraction is exact (up to Number.MAX_SAFE_INTEGER).
+//
+// --- DATA STRUCTURE: SUPPORTED CURRENCIES ---
+// ISO 4217 code -> number of decimal digits of its minor unit.
+const CURRENCIES = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CHF: 2,
+  JPY: 0,
+};
+
+const isCurrency = (currency) =>
+  Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+
+const isMinorUnits = (amount) => Number.isSafeInteger(amount);
+
+// Exchange rates are decimal strings ("0.9213"), never floats.
+const isRate = (rate) => /^\d+(\.\d+)?$/.test(String(rate)) && Number(rate) > 0;
+
+// 1234, "USD" -> "12.34 USD" (for logs and humans only, never for math)
+function format(amount, currency) {
+  const digits = CURRENCIES[currency];
+  const sign = amount < 0 ? "-" : "";
+  const abs = Math.abs(amount);
+  if (!digits) return `${sign}${abs} ${currency}`;
+
+  const scale = 10 ** digits;
+  const fraction = String(abs % scale).padStart(digits, "0");
+  return `${sign}${Math.floor(abs / scale)}.${fraction} ${currency}`;
+}
+
+// { USD: 1234, EUR: 500 } -> "12.34 USD, 5.00 EUR"
+const formatBalances = (balances) =>
+  Object.entries(balances)
+    .map(([currency, amount]) => format(amount, currency))
+    .join(", ") || "0";
+
+// --- CONCEPT: EXACT CONVERSION ---
+// amount (minor units of 'from') * rate -> minor units of 'to'.
+// Done in BigInt: the rate is split into an integer and a power of ten,
+// so nothing is ever rounded except the final result (half-up, once).
+function convert(amount, fromCurrency, toCurrency, rate) {
+  const [whole, fraction = ""] = String(rate).split(".");
+  const rateNumerator = BigInt(whole + fraction);
+  const rateScale = 10n ** BigInt(fraction.length);
+
+  const numerator =
+    BigInt(amount) * rateNumerator * 10n ** BigInt(CURRENCIES[toCurrency]);
+  const denominator = rateScale * 10n ** BigInt(CURRENCIES[fromCurrency]);
+
+  return Number((numerator * 2n + denominator) / (2n * denominator));
+}
+
+// Events written before currencies existed held plain numbers in the
+// (then only) currency's major unit: 12.5 -> 1250.
+const fromLegacyAmount = (amount, currency) =>
+  Math.round(amount * 10 ** CURRENCIES[currency]);
+
+module.exports = {
+  CURRENCIES,
+  isCurrency,
+  isMinorUnits,
+  isRate,
+  format,
+  formatBalances,
+  convert,
+  fromLegacyAmount,
+};
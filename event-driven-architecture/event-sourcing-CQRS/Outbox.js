@@ -0,0 +1,198 @@
+const eventStore = require("./EventStore");
+const eventPublisher = require("./EventPublisher");
+const config = require("./config");
+const { writeFileAtomic, readJsonFile } = require("./fileUtils");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// --- CONCEPT: TRANSACTIONAL OUTBOX ---
+// Problem (Dual Write): "save to EventStore" and "publish to RabbitMQ" are two
+// separate systems. If we crash between them, the event is stored but the
+// Read Model never hears about it.
+//
+// Solution: The Event Store IS the outbox.
+// - Saving an event is ONE atomic append. Every event whose position is
+//   greater than the "dispatched" checkpoint is, by definition, pending publish.
+// - A Relay loop reads pending events in position order, publishes them,
+//   and only then moves the checkpoint forward (marks them dispatched).
+// - On startup, the Relay sweeps everything after the checkpoint, so events
+//   left behind by a crash are republished.
+//
+// Trade-off: The checkpoint is written once per BATCH (OUTBOX_BATCH_SIZE
+// events), not per event: one fsync instead of hundreds. A crash AFTER
+// publish but BEFORE the checkpoint write republishes at most that batch.
+// That is fine: delivery is At-Least-Once and the Read Model is idempotent
+// (lastProcessedSeq).
+class Outbox {
+  constructor() {
+    // Highest global position confirmed by the broker
+    this.dispatchedPosition = 0;
+    // ...and the one last written to the checkpoint file
+    this.savedPosition = 0;
+
+    // The checkpoint only makes sense if the events themselves survive restarts.
+    this.checkpointFile =
+      config.EVENT_STORE_DRIVER === "file"
+        ? config.OUTBOX_CHECKPOINT_FILE
+        : null;
+
+    this.isDraining = false;
+    this.drainRequested = false;
+    this.timer = null;
+    this.retryTimer = null;
+    this.consecutiveFailures = 0;
+    this.onAppended = () => this.requestDrain();
+  }
+
+  loadCheckpoint() {
+    if (!this.checkpointFile) return;
+
+    const checkpoint = readJsonFile(this.checkpointFile);
+    if (checkpoint) this.dispatchedPosition = checkpoint.dispatchedPosition;
+    this.savedPosition = this.dispatchedPosition;
+  }
+
+  // The checkpoint is written atomically (temp file + rename), so a crash
+  // leaves either the old or the new position, never a half-written file.
+  saveCheckpoint() {
+    const position = this.dispatchedPosition;
+    if (position === this.savedPosition) return;
+
+    if (this.checkpointFile) {
+      writeFileAtomic(
+        this.checkpointFile,
+        JSON.stringify({ dispatchedPosition: position })
+      );
+    }
+    this.savedPosition = position;
+  }
+
+  getPending(options = {}) {
+    return eventStore.readAll({
+      fromPosition: this.dispatchedPosition + 1,
+      ...options,
+    });
+  }
+
+  // Retries ONE event with exponential backoff (200ms, 400ms, 800ms...).
+  // Returns false if every attempt failed; the event stays pending.
+  async publishWithRetry(event) {
+    for (let attempt = 1; attempt <= config.OUTBOX_MAX_RETRIES; attempt++) {
+      try {
+        await eventPublisher.publish(event);
+        return true;
+      } catch (err) {
+        console.warn(
+          `[Outbox] ⚠️ Publish of position ${event.position} failed (attempt ${attempt}/${config.OUTBOX_MAX_RETRIES}): ${err.message}`
+        );
+        if (attempt < config.OUTBOX_MAX_RETRIES) {
+          await sleep(config.OUTBOX_RETRY_BASE_MS * 2 ** (attempt - 1));
+        }
+      }
+    }
+    return false;
+  }
+
+  // --- CONCEPT: IN-ORDER RELAY ---
+  // We never skip a failed event and move on. The Projector relies on
+  // receiving a stream's events in order, so a stuck event blocks the ones
+  // behind it until the next drain (poll timer) succeeds.
+  async drain() {
+    if (this.isDraining) {
+      this.drainRequested = true;
+      return;
+    }
+    this.isDraining = true;
+
+    try {
+      do {
+        this.drainRequested = false;
+
+        let batch;
+        while (
+          (batch = this.getPending({ maxCount: config.OUTBOX_BATCH_SIZE }))
+            .length > 0
+        ) {
+          for (const event of batch) {
+            const ok = await this.publishWithRetry(event);
+            if (!ok) {
+              // What WAS confirmed must not be republished
+              this.saveCheckpoint();
+              return;
+            }
+            this.dispatchedPosition = event.position;
+          }
+          this.saveCheckpoint();
+        }
+      } while (this.drainRequested);
+
+      // A checkpoint write that failed last time is retried here
+      this.saveCheckpoint();
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  // --- CONCEPT: FIRE-AND-FORGET, SAFELY ---
+  // Drains triggered by a save or the poll timer have no caller to report
+  // to. A drain that throws (e.g. the checkpoint can't be written) must
+  // not become an unhandled rejection, which would crash the process:
+  // it is logged and retried with exponential backoff.
+  requestDrain() {
+    this.drain().then(
+      () => {
+        this.consecutiveFailures = 0;
+      },
+      (err) => this.scheduleRetry(err)
+    );
+  }
+
+  scheduleRetry(err) {
+    this.consecutiveFailures++;
+    const delay = Math.min(
+      config.OUTBOX_RETRY_BASE_MS * 2 ** (this.consecutiveFailures - 1),
+      config.OUTBOX_MAX_BACKOFF_MS
+    );
+    console.error(
+      `[Outbox] ❌ Drain failed (${this.consecutiveFailures} in a row): ${err.message}. Retry in ${delay}ms`
+    );
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.requestDrain(), delay);
+    this.retryTimer.unref();
+  }
+
+  async start() {
+    this.loadCheckpoint();
+
+    // 1. STARTUP SWEEP: Republish anything a previous run left behind.
+    const pending = this.getPending().length;
+    if (pending > 0) {
+      console.log(
+        `[Outbox] Startup sweep: ${pending} pending events after position ${this.dispatchedPosition}`
+      );
+    }
+    await this.drain();
+
+    // 2. RELAY LOOP: React to new saves immediately, and poll as a safety net
+    // (e.g. to retry after the broker was down).
+    eventStore.on("appended", this.onAppended);
+    this.timer = setInterval(
+      () => this.requestDrain(),
+      config.OUTBOX_POLL_INTERVAL_MS
+    );
+    this.timer.unref();
+
+    console.log("[Outbox] Relay started");
+  }
+
+  stop() {
+    eventStore.off("appended", this.onAppended);
+    clearInterval(this.timer);
+    clearTimeout(this.retryTimer);
+    this.timer = null;
+    this.retryTimer = null;
+  }
+}
+
+module.exports = new Outbox();
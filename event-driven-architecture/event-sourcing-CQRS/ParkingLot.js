@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const config = require("./config");
+const projectionManager = require("./projections/ProjectionManager");
+const piiVault = require("./PiiVault");
+const { writeFileAtomic, readJsonFile } = require("./fileUtils");
+
+// --- CONCEPT: PARKING LOT (Dead Letters) ---
+// A "poison" event fails every time it is applied (bad data, a bug in a
+// handler...). Retrying it forever stalls the whole projection behind it
+// (head-of-line blocking). So after a few attempts the Projector PARKS it
+// here and moves on. An operator can then inspect it, fix it (or the
+// handler) and replay it.
+//
+// --- CONCEPT: PER-STREAM ORDERING ---
+// Moving on must not reorder an account's history: applying Seq 8 while
+// Seq 7 is parked would make ReadModelDB skip Seq 7 forever ("already
+// processed"). So once a stream has a parked event, every LATER event of
+// that stream is parked behind it ("blocked"). Other streams keep flowing.
+// Replay walks each stream oldest-first and stops at its first failure.
+//
+// Entry: { id, streamId, seqNum, event, projections, reason, error,
+//          attempts, parkedAt, fixedAt }
+// 'projections' lists the projections that still need the event: the
+// others already applied it and must not get it twice.
+//
+// --- CONCEPT: SEALED COPIES ---
+// A parked event is a copy of the account's personal data, so on disk its
+// PII fields stay sealed with the stream's key (see PiiVault), like the
+// Read Model's rows. Shredding the key erases them here too.
+function sealPii(event) {
+  const fields = piiVault.getPiiFields(event);
+  if (fields.length === 0) return event;
+
+  const data = { ...event.data };
+  for (const field of fields) {
+    data[field] = piiVault.seal(event.streamId, data[field]);
+  }
+  return { ...event, data };
+}
+
+class ParkingLot {
+  constructor(file = null) {
+    this.file = file;
+    this.entries = (readJsonFile(file) || []).map((entry) => ({
+      ...entry,
+      event: piiVault.decrypt(entry.event),
+    }));
+  }
+
+  isBlocked(streamId) {
+    return this.entries.some((entry) => entry.streamId === streamId);
+  }
+
+  // A redelivered message (e.g. crash before the ack) is parked once.
+  // Parked again for other projections (e.g. by a rebuild), the entry
+  // now owes the event to those as well.
+  park(event, { projections, error, attempts = 0 }) {
+    const existing = this.entries.find(
+      (e) => e.streamId === event.streamId && e.seqNum === event.seqNum
+    );
+    if (existing) {
+      const missing = projections.filter(
+        (name) => !existing.projections.includes(name)
+      );
+      if (missing.length > 0) {
+        existing.projections.push(...missing);
+        this.persist();
+      }
+      return existing;
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      streamId: event.streamId,
+      seqNum: event.seqNum,
+      event,
+      projections,
+      reason: error ? "failed" : "blocked",
+      error: error ? error.message : null,
+      attempts,
+      parkedAt: Date.now(),
+      fixedAt: null,
+    };
+    this.entries.push(entry);
+    this.persist();
+
+    const why = error ? error.message : "stream blocked";
+    console.warn(
+      `[ParkingLot] 🅿️ Parked ${event.type} ${event.streamId} #${event.seqNum} (${why})`
+    );
+    return entry;
+  }
+
+  // In parking order, which within one stream is seqNum order.
+  list({ streamId } = {}) {
+    return this.entries
+      .filter((entry) => !streamId || entry.streamId === streamId)
+      .map((entry) => structuredClone(entry));
+  }
+
+  get(id) {
+    const entry = this.entries.find((e) => e.id === id);
+    if (!entry) throw new Error(`No parked event with id ${id}`);
+    return entry;
+  }
+
+  // fixer(copyOfEvent) -> corrected event. Only the content may change:
+  // a different stream, seqNum or position would break the ordering.
+  fix(id, fixer) {
+    const entry = this.get(id);
+    const fixed = fixer(structuredClone(entry.event));
+
+    for (const field of ["streamId", "seqNum", "position"]) {
+      if (fixed[field] !== entry.event[field]) {
+        throw new Error(`A fix may not change the event's ${field}`);
+      }
+    }
+
+    entry.event = fixed;
+    entry.fixedAt = Date.now();
+    this.persist();
+    console.log(`[ParkingLot] 🔧 Fixed ${entry.streamId} #${entry.seqNum}`);
+    return structuredClone(entry);
+  }
+
+  // Give up on an event for good (e.g. a test event that should never
+  // have been published). Later events of its stream stay parked until
+  // they are replayed.
+  discard(id) {
+    const entry = this.get(id);
+    this.entries.splice(this.entries.indexOf(entry), 1);
+    this.persist();
+    projectionManager.forgetReplayed(entry.event.position);
+    console.log(`[ParkingLot] 🗑️ Discarded ${entry.streamId} #${entry.seqNum}`);
+  }
+
+  // The stream itself is gone (hard delete): its parked events, and the
+  // personal data they hold, go with it.
+  dropStream(streamId) {
+    const dropped = this.entries.filter((e) => e.streamId === streamId);
+    if (dropped.length === 0) return 0;
+
+    this.entries = this.entries.filter((e) => e.streamId !== streamId);
+    this.persist();
+    for (const entry of dropped) {
+      projectionManager.forgetReplayed(entry.event.position);
+    }
+    console.log(
+      `[ParkingLot] 🗑️ Dropped ${dropped.length} parked event(s) of ${streamId}`
+    );
+    return dropped.length;
+  }
+
+  // Feeds parked events back to the projections that still need them.
+  // A stream is replayed oldest-first and stops at its first failure, so
+  // its remaining events stay parked, still in order.
+  replay({ streamId } = {}) {
+    const result = { replayed: 0, failed: 0 };
+    const parked = this.list({ streamId });
+    const streamIds = [...new Set(parked.map((entry) => entry.streamId))];
+
+    for (const id of streamIds) {
+      for (const { id: entryId } of this.list({ streamId: id })) {
+        const entry = this.get(entryId);
+        const failures = projectionManager.tryDispatch(
+          entry.event,
+          entry.projections,
+          { replay: true }
+        );
+
+        if (failures.length > 0) {
+          entry.projections = failures.map((f) => f.name);
+          entry.reason = "failed";
+          entry.error = failures[0].error.message;
+          entry.attempts++;
+          result.failed++;
+          break;
+        }
+
+        // Removed one by one. A crash between the projections' checkpoint
+        // and this write replays the entry again after a restart: each
+        // projection then skips it (see REPLAY MARKERS in Projection).
+        this.entries.splice(this.entries.indexOf(entry), 1);
+        this.persist();
+        projectionManager.forgetReplayed(entry.event.position);
+        result.replayed++;
+      }
+    }
+
+    this.persist();
+    console.log(
+      `[ParkingLot] ▶️ Replayed ${result.replayed} event(s), ${result.failed} still failing`
+    );
+    return result;
+  }
+
+  persist() {
+    if (!this.file) return;
+    const entries = this.entries.map((entry) => ({
+      ...entry,
+      event: sealPii(entry.event),
+    }));
+    writeFileAtomic(this.file, JSON.stringify(entries, null, 2));
+  }
+}
+
+// Parked events only need to survive restarts if the events themselves do.
+module.exports = new ParkingLot(
+  config.EVENT_STORE_DRIVER === "file" ? config.PARKING_LOT_FILE : null
+);
@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+const config = require("./config");
+const { writeFileAtomic, readJsonFile } = require("./fileUtils");
+
+// --- CONCEPT: CRYPTO-SHREDDING ---
+// "Delete my personal data" (GDPR) vs. an append-only log that never forgets,
+// plus its copies: segments, cold archives, backups, broker messages...
+// Instead of hunting down every copy, personal fields are ENCRYPTED with a
+// key per stream, and the keys live OUTSIDE the log. Destroying one key
+// turns every copy of that stream's personal data into unreadable noise at
+// once, while the rest of the history (amounts, dates) stays intact.
+
+// --- DATA STRUCTURE: PII FIELDS ---
+// Event type -> the fields of its 'data' that hold personal information.
+const PII_FIELDS = {
+  AccountOpened: ["holder"],
+};
+
+// What a shredded field reads as: the value is gone, not just hidden.
+const ERASED = null;
+
+const ALGORITHM = "aes-256-gcm";
+
+// value -> "iv.tag.ciphertext" (base64 parts)
+function encryptValue(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+  const parts = [iv, cipher.getAuthTag(), ciphertext];
+  return parts.map((p) => p.toString("base64")).join(".");
+}
+
+function decryptValue(key, sealed) {
+  const [iv, tag, ciphertext] = sealed
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  const plain = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return JSON.parse(plain.toString("utf8"));
+}
+
+class PiiVault {
+  constructor(keyFile = null) {
+    // Map<StreamId, base64 key>. Persisted to 'keyFile' when one is set.
+    this.keyFile = keyFile;
+    this.keys = new Map(Object.entries(readJsonFile(keyFile) || {}));
+  }
+
+  getPiiFields(event) {
+    return (PII_FIELDS[event.type] || []).filter(
+      (field) => event.data[field] !== undefined && event.data[field] !== ERASED
+    );
+  }
+
+  // The key is written to disk BEFORE any ciphertext that depends on it.
+  getOrCreateKey(streamId) {
+    if (!this.keys.has(streamId)) {
+      this.keys.set(streamId, crypto.randomBytes(32).toString("base64"));
+      this.persist();
+    }
+    return Buffer.from(this.keys.get(streamId), "base64");
+  }
+
+  // Stored form: each PII field becomes { $pii: "iv.tag.ciphertext" }.
+  // The event is copied, never mutated (the caller keeps the plain one).
+  encrypt(event) {
+    const fields = this.getPiiFields(event);
+    if (fields.length === 0) return event;
+
+    const key = this.getOrCreateKey(event.streamId);
+    const data = { ...event.data };
+    for (const field of fields) {
+      data[field] = { $pii: encryptValue(key, data[field]) };
+    }
+    return { ...event, data };
+  }
+
+  // Stored form -> plain form. Without a key the field reads as ERASED.
+  decrypt(event) {
+    const fields = (PII_FIELDS[event.type] || []).filter(
+      (field) => event.data[field] && event.data[field].$pii
+    );
+    if (fields.length === 0) return event;
+
+    const key = this.getKey(event.streamId);
+    const data = { ...event.data };
+    for (const field of fields) {
+      data[field] = key ? decryptValue(key, data[field].$pii) : ERASED;
+    }
+    return { ...event, data };
+  }
+
+  getKey(streamId) {
+    return this.keys.has(streamId)
+      ? Buffer.from(this.keys.get(streamId), "base64")
+      : null;
+  }
+
+  // --- CONCEPT: SEALED COPIES ---
+  // Other files that hold a stream's personal data (e.g. projection
+  // checkpoints) store it sealed with the SAME key, so shredding the key
+  // erases those copies too. Never creates a key: a stream without one
+  // has been shredded, so there is nothing left to seal.
+  seal(streamId, value) {
+    const key = this.getKey(streamId);
+    return key ? { $pii: encryptValue(key, value) } : ERASED;
+  }
+
+  // Sealed -> plain, or ERASED once the key is gone. Anything that isn't
+  // sealed is returned as is.
+  unseal(streamId, sealed) {
+    if (!sealed || !sealed.$pii) return sealed;
+    const key = this.getKey(streamId);
+    return key ? decryptValue(key, sealed.$pii) : ERASED;
+  }
+
+  // The data of an already decrypted copy (e.g. the in-memory index),
+  // with its PII fields erased.
+  erasedData(event) {
+    const fields = this.getPiiFields(event);
+    if (fields.length === 0) return event.data;
+    return {
+      ...event.data,
+      ...Object.fromEntries(fields.map((field) => [field, ERASED])),
+    };
+  }
+
+  // Destroy the key. There is no undo: that is the whole point.
+  shred(streamId) {
+    if (!this.keys.delete(streamId)) return false;
+    this.persist();
+    console.log(`[PiiVault] 🔥 Destroyed the PII key of ${streamId}`);
+    return true;
+  }
+
+  persist() {
+    if (!this.keyFile) return;
+    writeFileAtomic(
+      this.keyFile,
+      JSON.stringify(Object.fromEntries(this.keys), null, 2)
+    );
+  }
+}
+
+// Keys are only worth persisting if the events are ("file" driver).
+module.exports = new PiiVault(
+  config.EVENT_STORE_DRIVER === "file" ? config.KEYSTORE_FILE : null
+);
@@ -0,0 +1,130 @@
+const eventStore = require("./EventStore");
+const readModel = require("./ReadModelDB");
+const projectionManager = require("./projections/ProjectionManager");
+const parkingLot = require("./ParkingLot");
+const config = require("./config");
+const { writeFileAtomic, readJsonFile } = require("./fileUtils");
+const fs = require("fs");
+
+// --- CONCEPT: PROJECTION REBUILD (Replay) ---
+// The Read Model is DISPOSABLE: it is only a view derived from the events.
+// If the projection logic changes (or had a bug), we can throw the view
+// away and recompute it from the full history in the Event Store.
+//
+// Steps:
+// 1. Create an empty SHADOW read model (the live one keeps serving queries)
+// 2. Replay the $all stream into the shadow, in batches
+// 3. Checkpoint after every batch (position + shadow rows)
+// 4. Swap the shadow in atomically
+//
+// --- CONCEPT: RESUMABLE REBUILD ---
+// Replaying millions of events can take hours. If the process dies half-way,
+// the next rebuild loads the checkpoint and continues from that position
+// instead of starting over.
+//
+// --- CONCEPT: POISON EVENTS DURING A REBUILD ---
+// An event that throws must not stop the rebuild for good: like the
+// Projector, it is parked (see ParkingLot.js) for the balances projection
+// and the rebuild moves on. Later events of that stream queue behind it,
+// and a replay applies them to the swapped-in Read Model.
+const PROJECTION = "balances";
+
+function applyToShadow(shadow, event) {
+  if (parkingLot.isBlocked(event.streamId)) {
+    parkingLot.park(event, { projections: [PROJECTION] });
+    return;
+  }
+  try {
+    shadow.applyUpdate(event.streamId, event.type, event.data, event.seqNum);
+  } catch (error) {
+    parkingLot.park(event, { projections: [PROJECTION], error, attempts: 1 });
+  }
+}
+
+class ProjectionRebuilder {
+  constructor() {
+    this.checkpointFile =
+      config.EVENT_STORE_DRIVER === "file"
+        ? config.REBUILD_CHECKPOINT_FILE
+        : null;
+    this.isRunning = false;
+  }
+
+  loadCheckpoint(shadow) {
+    const checkpoint = this.checkpointFile
+      ? readJsonFile(this.checkpointFile)
+      : null;
+    if (!checkpoint) return 0;
+
+    shadow.importRows(checkpoint.rows);
+    console.log(
+      `[Rebuild] Resuming from checkpoint at position ${checkpoint.position}`
+    );
+    return checkpoint.position;
+  }
+
+  saveCheckpoint(shadow, position) {
+    if (!this.checkpointFile) return;
+    writeFileAtomic(
+      this.checkpointFile,
+      JSON.stringify({ position, rows: shadow.exportRows() })
+    );
+  }
+
+  clearCheckpoint() {
+    if (this.checkpointFile) fs.rmSync(this.checkpointFile, { force: true });
+  }
+
+  async rebuild({ batchSize = config.REBUILD_BATCH_SIZE, onProgress } = {}) {
+    if (this.isRunning) throw new Error("A rebuild is already running");
+    this.isRunning = true;
+
+    try {
+      const shadow = readModel.createShadow();
+      let position = this.loadCheckpoint(shadow);
+
+      while (true) {
+        const batch = eventStore.readAll({
+          fromPosition: position + 1,
+          maxCount: batchSize,
+        });
+
+        // --- CONCEPT: ATOMIC SWAP ---
+        // Nothing left to replay. This check and the swap below run in the
+        // same synchronous block, so no event can be appended in between.
+        if (batch.length === 0) break;
+
+        for (const event of batch) applyToShadow(shadow, event);
+        position = batch.at(-1).position;
+        this.saveCheckpoint(shadow, position);
+
+        // Head can move while we rebuild, so progress is measured against
+        // the head at THIS moment.
+        const progress = {
+          position,
+          headPosition: eventStore.getHeadPosition(),
+        };
+        if (onProgress) onProgress(progress);
+        console.log(
+          `[Rebuild] ${progress.position}/${progress.headPosition} events replayed`
+        );
+
+        // Yield to the event loop so live commands and queries keep running.
+        await new Promise((r) => setImmediate(r));
+      }
+
+      readModel.swapFrom(shadow);
+      // The live rows changed all at once: persist them with the
+      // projection's position now, not with its next batched checkpoint
+      projectionManager.get(PROJECTION).saveCheckpoint();
+      this.clearCheckpoint();
+      console.log(`[Rebuild] ✅ Read Model swapped in at position ${position}`);
+
+      return { position };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new ProjectionRebuilder();
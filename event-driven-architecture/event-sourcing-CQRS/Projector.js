@@ -1,10 +1,78 @@
-const amqp = require("amqplib");
+const broker = require("./broker");
+const eventStore = require("./EventStore");
 const config = require("./config");
-const readModel = require("./ReadModelDB");
+const projectionManager = require("./projections/ProjectionManager");
+const CatchUpSubscription = require("./CatchUpSubscription");
+const upcasterRegistry = require("./UpcasterRegistry");
+const parkingLot = require("./ParkingLot");
+const piiVault = require("./PiiVault");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// --- CONCEPT: BOUNDED RETRIES WITH BACKOFF ---
+// A failure may be transient (a lock, a full disk...), so we retry, waiting
+// longer each time: 100ms, 200ms, 400ms... But never forever: after
+// PROJECTOR_MAX_ATTEMPTS the event is parked (see ParkingLot.js), and the
+// projection moves on to the next one.
+// Only the projections that failed are retried; the others already have it.
+async function projectEvent(event) {
+  let pending = projectionManager.getNames();
+
+  // An earlier event of this stream is parked: this one queues behind it.
+  if (parkingLot.isBlocked(event.streamId)) {
+    parkingLot.park(event, { projections: pending });
+    return;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const failures = projectionManager.tryDispatch(event, pending);
+    if (failures.length === 0) return;
+
+    pending = failures.map((f) => f.name);
+    const { error } = failures[0];
+    if (attempt >= config.PROJECTOR_MAX_ATTEMPTS) {
+      parkingLot.park(event, {
+        projections: pending,
+        error,
+        attempts: attempt,
+      });
+      return;
+    }
+
+    const delay = config.PROJECTOR_RETRY_BASE_MS * 2 ** (attempt - 1);
+    const failed = pending.join(", ");
+    console.warn(
+      `[Projector] ⚠️ ${event.type} #${event.seqNum} failed in ${failed} (${error.message}). Retry in ${delay}ms`
+    );
+    await sleep(delay);
+  }
+}
+
+// --- CONCEPT: STARTUP CATCH-UP ---
+// Checkpoints are batched (see Projection), so after a crash a projection
+// can be behind events that were already acked, which RabbitMQ will
+// never redeliver. The Event Store still has them: replay from the
+// slowest checkpoint to the head before consuming the queue. Projections
+// skip what they already have (position check).
+async function catchUpFromStore() {
+  let position = projectionManager.getLowestPosition();
+  let page;
+  while (
+    (page = eventStore.readAll({
+      fromPosition: position + 1,
+      maxCount: config.REBUILD_BATCH_SIZE,
+    })).length > 0
+  ) {
+    for (const event of page) await projectEvent(event);
+    position = page.at(-1).position;
+  }
+  projectionManager.flushCheckpoints();
+}
 
 async function startProjector() {
-  const conn = await amqp.connect(config.RABBIT_URL);
-  const channel = await conn.createChannel();
+  await catchUpFromStore();
+
+  const channel = await broker.createChannel();
 
   await channel.assertQueue(config.QUEUE, { durable: true });
   await channel.bindQueue(config.QUEUE, config.EXCHANGE, config.ROUTING_KEY);
@@ -19,30 +87,61 @@ async function startProjector() {
 
   console.log("[Projector] Started Listening...");
 
-  channel.consume(config.QUEUE, (msg) => {
+  channel.consume(config.QUEUE, async (msg) => {
     if (!msg) return;
-    const event = JSON.parse(msg.content.toString());
 
+    let event;
     try {
-      // Apply the change to the Read Database
-      readModel.applyUpdate(
-        event.streamId,
-        event.type,
-        event.data,
-        event.seqNum
-      );
+      // Messages may have been queued by an older version of the app,
+      // so they are upcast just like events read from the store. Their PII
+      // is sealed (see EventPublisher): decrypted first, as in the store.
+      const message = JSON.parse(msg.content.toString());
+      event = upcasterRegistry.upcast(piiVault.decrypt(message));
+    } catch (err) {
+      // Not even an event (broken JSON, unknown schema): nothing to park or
+      // replay. Rejected without requeue, so RabbitMQ hands it to the
+      // queue's dead-letter exchange if one is configured, or drops it.
+      console.error("[Projector] ☠️ Unreadable message rejected:", err.message);
+      channel.nack(msg, false, false);
+      return;
+    }
 
-      // --- CONCEPT: AT-LEAST-ONCE DELIVERY ---
-      // We Ack ONLY after the DB update is successful.
-      // If the Node process crashes at the line above, the Ack is never sent.
-      // RabbitMQ will redeliver this message later, ensuring we never lose data.
-      // This is why the Idempotency check in ReadModelDB is mandatory.
-      channel.ack(msg);
+    // Apply the change to every hosted projection (balances, reports, ...),
+    // retrying and, as a last resort, parking it.
+    try {
+      await projectEvent(event);
     } catch (err) {
-      console.error("[Projector] Error applying event:", err);
-      // In a real app, you might Dead-Letter this message to avoid infinite loops.
+      // Even parking failed (e.g. the ParkingLot file can't be written):
+      // the event is handed back to RabbitMQ, which redelivers it, still
+      // first in line. The pause keeps a lasting failure from spinning.
+      console.error(
+        `[Projector] ❌ ${event.type} #${event.seqNum} not projected (${err.message}). Requeued`
+      );
+      await sleep(config.PROJECTOR_RETRY_BASE_MS);
+      channel.nack(msg);
+      return;
     }
+
+    // --- CONCEPT: AT-LEAST-ONCE DELIVERY ---
+    // We Ack ONLY after the DB update (or the parking) is successful.
+    // If the Node process crashes before this line, the Ack is never sent.
+    // RabbitMQ will redeliver this message later, ensuring we never lose data.
+    // This is why the Idempotency checks (ReadModelDB, projection checkpoints) are mandatory.
+    channel.ack(msg);
   });
 }
 
-module.exports = startProjector;
+// --- CONCEPT: BROKER-LESS PROJECTION ---
+// Reads straight from the Event Store's $all stream instead of RabbitMQ.
+// By default it starts right after the slowest projection's checkpoint;
+// starting at position 1 replays the full history.
+// Once caught up it keeps applying new events as they are saved.
+function startCatchUpProjector(
+  fromPosition = projectionManager.getLowestPosition() + 1
+) {
+  console.log(`[Projector] Catch-up projection from position ${fromPosition}`);
+
+  return new CatchUpSubscription(projectEvent, { fromPosition }).start();
+}
+
+module.exports = { startProjector, startCatchUpProjector, projectEvent };
@@ -1,20 +1,70 @@
+const Money = require("./Money");
+const piiVault = require("./PiiVault");
+
+const ROW_STARTING_EVENTS = new Set(["AccountOpened", "$StreamDeleted"]);
+
 class ReadModelDB {
-  constructor() {
+  constructor({ silent = false } = {}) {
     // This simulates a SQL Table or NoSQL Collection optimized for QUERYING.
-    // Structure: { id, balance, status, lastProcessedSeq }
+    // Structure: { id, balances, currency, status, overdraftLimits, holder, lastProcessedSeq }
+    // Money is in integer minor units per currency: { USD: 1050 } = 10.50 USD
     this.db = new Map();
+
+    // Rebuilds replay thousands of events; logging each one would drown the output.
+    this.silent = silent;
   }
 
   getAccount(id) {
     return this.db.get(id) || null;
   }
 
+  // --- CONCEPT: SHADOW TABLE (Blue/Green Rebuild) ---
+  // A rebuild writes into a separate, empty Read Model while the live one
+  // keeps serving queries. When the shadow is complete, swapFrom() replaces
+  // the live rows in ONE assignment, so readers never see a half-built table.
+  createShadow() {
+    return new ReadModelDB({ silent: true });
+  }
+
+  swapFrom(shadow) {
+    this.db = shadow.db;
+    shadow.db = new Map();
+  }
+
+  // Plain rows, so a half-built shadow can be checkpointed to disk.
+  // The holder is personal data: on disk it stays sealed with the
+  // account's PII key (see PiiVault), like in the events.
+  exportRows() {
+    return [...this.db.values()].map((row) =>
+      row.holder ? { ...row, holder: piiVault.seal(row.id, row.holder) } : row
+    );
+  }
+
+  // Checkpoints from before the account-only rule (see applyUpdate) may
+  // hold rows of other streams: never opened (no currency), never deleted.
+  importRows(rows) {
+    const accounts = rows
+      .filter((row) => row.currency !== null || row.status === "Deleted")
+      .map((row) => ({ ...row, holder: piiVault.unseal(row.id, row.holder) }));
+    this.db = new Map(accounts.map((row) => [row.id, row]));
+  }
+
   applyUpdate(id, eventType, data, seqNum) {
+    // --- CONCEPT: ACCOUNT STREAMS ONLY ---
+    // Every stream goes through the projector, not only accounts: e.g. the
+    // "transfer-<id>" streams of the Transfer Process Manager. A row starts
+    // with the account's first event; anything else for an unknown id is
+    // another kind of stream and must not show up as an "account".
+    // (The tombstone counts too: a hard-deleted stream keeps only that.)
+    if (!this.db.has(id) && !ROW_STARTING_EVENTS.has(eventType)) return;
+
     // Load existing record or initialize default state
     let record = this.db.get(id) || {
       id,
-      balance: 0,
+      balances: {},
+      currency: null,
       status: "Closed",
+      overdraftLimits: {},
       lastProcessedSeq: 0, // <--- Critical for Idempotency
     };
 
@@ -24,6 +74,7 @@ class ReadModelDB {
     // By checking if (IncomingSeq <= LastSeenSeq), we essentially say:
     // "If I have already seen this event (or a newer one), ignore this."
     if (seqNum <= record.lastProcessedSeq) {
+      if (this.silent) return;
       console.log(
         `[ReadDB] ⚠️ Idempotency Check: Event ${seqNum} already processed. Skipping.`
       );
@@ -38,13 +89,51 @@ class ReadModelDB {
     switch (eventType) {
       case "AccountOpened":
         record.status = "Active";
-        record.balance = data.initialAmount;
+        record.currency = data.currency;
+        record.balances = { [data.currency]: data.initialAmount };
+        record.overdraftLimits = {};
+        record.holder = data.holder || null;
         break;
       case "MoneyDeposited":
-        record.balance += data.amount;
+      case "ExchangeCredited":
+        record.balances[data.currency] =
+          (record.balances[data.currency] || 0) + data.amount;
         break;
       case "MoneyWithdrawn":
-        record.balance -= data.amount;
+      case "ExchangeDebited":
+        record.balances[data.currency] =
+          (record.balances[data.currency] || 0) - data.amount;
+        break;
+      case "AccountClosed":
+        record.status = "Closed";
+        break;
+      case "AccountFrozen":
+        record.status = "Frozen";
+        record.frozenReason = data.reason;
+        break;
+      case "AccountUnfrozen":
+        record.status = "Active";
+        delete record.frozenReason;
+        break;
+      case "OverdraftLimitSet":
+        record.overdraftLimits[data.currency] = data.limit;
+        break;
+      // The key is gone (crypto-shredding): our plain copy must go too.
+      case "$PiiShredded":
+        record.holder = null;
+        break;
+      // Tombstone: the row stays (with its lastProcessedSeq), so a late
+      // duplicate of an older event can't bring the account back.
+      case "$StreamDeleted":
+        record = {
+          id,
+          balances: {},
+          currency: null,
+          status: "Deleted",
+          overdraftLimits: {},
+          holder: null,
+          lastProcessedSeq: record.lastProcessedSeq,
+        };
         break;
     }
 
@@ -52,8 +141,10 @@ class ReadModelDB {
     record.lastProcessedSeq = seqNum;
 
     this.db.set(id, record);
+    if (this.silent) return;
+    const balances = Money.formatBalances(record.balances);
     console.log(
-      `[ReadDB] ✅ Updated User ${id} -> Bal: ${record.balance} (Seq: ${seqNum})`
+      `[ReadDB] ✅ Updated User ${id} -> Bal: ${balances} (Seq: ${seqNum})`
     );
   }
 }
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./fileUtils");
+const { LogCorruptedError } = require("./errors");
+
+const SEGMENT_PREFIX = "segment-";
+const SEGMENT_SUFFIX = ".log";
+
+class SegmentLog {
+  constructor(dir, { maxSegmentBytes }) {
+    this.dir = dir;
+    this.maxSegmentBytes = maxSegmentBytes;
+
+    // The "active" segment is the only file we ever write to.
+    // Older segments are sealed and become read-only.
+    this.activeSegment = 0;
+    this.activeFd = null;
+    this.activeSize = 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // --- CONCEPT: SEGMENTED LOG ---
+  // Instead of one giant file, the log is split into numbered segments
+  // (segment-000001.log, segment-000002.log, ...).
+  // Reading them in numeric order gives us the exact order events were committed.
+  listSegments() {
+    return fs
+      .readdirSync(this.dir)
+      .filter((f) => f.startsWith(SEGMENT_PREFIX) && f.endsWith(SEGMENT_SUFFIX))
+      .map((f) =>
+        Number(f.slice(SEGMENT_PREFIX.length, -SEGMENT_SUFFIX.length))
+      )
+      .sort((a, b) => a - b);
+  }
+
+  segmentPath(segmentNo) {
+    const padded = String(segmentNo).padStart(6, "0");
+    return path.join(this.dir, `${SEGMENT_PREFIX}${padded}${SEGMENT_SUFFIX}`);
+  }
+
+  // --- CONCEPT: STARTUP RECOVERY ---
+  // Reads every record from disk (oldest -> newest) so the EventStore can rebuild
+  // its in-memory index. A record is one JSON document terminated by '\n'.
+  // A record is written in ONE call, its '\n' last. So if the process crashed
+  // in the middle of a write, only the tail of the LAST segment can be hurt:
+  // bytes after the last '\n'. We cut the file back to that boundary, so the
+  // next append starts on a clean one.
+  // A COMPLETE line (with its '\n') that doesn't parse is real corruption,
+  // wherever it is: records after it were committed, so we refuse to guess
+  // and never truncate.
+  readAll() {
+    const segments = this.listSegments();
+    const records = [];
+
+    segments.forEach((segmentNo, i) => {
+      const isLast = i === segments.length - 1;
+      const file = this.segmentPath(segmentNo);
+      const content = fs.readFileSync(file);
+
+      let offset = 0;
+      while (offset < content.length) {
+        const newline = content.indexOf(0x0a, offset);
+
+        if (newline === -1) {
+          if (!isLast) throw new LogCorruptedError(file, offset);
+
+          console.warn(
+            `[SegmentLog] ⚠️ Truncated record in ${file} at byte ${offset}. Discarding tail.`
+          );
+          fs.truncateSync(file, offset);
+          break;
+        }
+
+        try {
+          records.push(
+            JSON.parse(content.subarray(offset, newline).toString("utf8"))
+          );
+        } catch (e) {
+          throw new LogCorruptedError(file, offset);
+        }
+        offset = newline + 1;
+      }
+    });
+
+    this.openActiveSegment(segments.at(-1) || 1);
+
+    return records;
+  }
+
+  openActiveSegment(segmentNo) {
+    if (this.activeFd !== null) fs.closeSync(this.activeFd);
+
+    const file = this.segmentPath(segmentNo);
+    const isNew = !fs.existsSync(file);
+
+    this.activeFd = fs.openSync(file, "a");
+    this.activeSegment = segmentNo;
+    this.activeSize = fs.fstatSync(this.activeFd).size;
+
+    // A new file only "exists" after a crash once its directory entry is flushed.
+    if (isNew) this.fsyncDir();
+  }
+
+  fsyncDir() {
+    const dirFd = fs.openSync(this.dir, "r");
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  }
+
+  // --- CONCEPT: DURABLE COMMIT ---
+  // 1. Write the whole record (append-only, never overwrite). writeSync may
+  //    write only part of the buffer, so we loop until it is all out.
+  // 2. fsync: force the OS to flush its page cache to the physical disk.
+  // Only after fsync returns may we tell the caller "your event is saved".
+  // Without it, a power loss could erase events we already acknowledged.
+  // If either fails, the bytes already written are cut off again
+  // (ftruncate back to activeSize): the next record must not follow half a
+  // record, or the log would hold a complete but corrupt line.
+  append(record) {
+    if (this.activeFd === null) {
+      throw new Error("SegmentLog not opened. Call readAll() first.");
+    }
+
+    const buffer = Buffer.from(JSON.stringify(record) + "\n", "utf8");
+
+    // Roll over to a new segment once the active one is full.
+    if (
+      this.activeSize > 0 &&
+      this.activeSize + buffer.length > this.maxSegmentBytes
+    ) {
+      this.openActiveSegment(this.activeSegment + 1);
+    }
+
+    try {
+      let written = 0;
+      while (written < buffer.length) {
+        written += fs.writeSync(this.activeFd, buffer, written);
+      }
+      fs.fsyncSync(this.activeFd);
+    } catch (e) {
+      this.discardTail();
+      throw e;
+    }
+    this.activeSize += buffer.length;
+  }
+
+  // Cuts a failed append off the active segment. If even that fails, the
+  // log is closed: no record may be appended after the partial one (a
+  // restart cuts it, as it has no '\n').
+  discardTail() {
+    try {
+      fs.ftruncateSync(this.activeFd, this.activeSize);
+    } catch (e) {
+      console.error(
+        `[SegmentLog] ❌ Could not discard a failed append: ${e.message}. Log closed.`
+      );
+      this.close();
+    }
+  }
+
+  // --- CONCEPT: COMPACTION ---
+  // Appends never touch a byte that was already written. Compaction is the
+  // one exception: it rewrites whole segments to PHYSICALLY drop data that
+  // must go (hard-deleted or archived events).
+  // transformRecord(record) returns the record to keep: the same object if
+  // nothing changed (that segment is then left alone).
+  // Each segment is replaced atomically (temp file + fsync + rename), so a
+  // crash leaves the old or the new version of a file, never a mix.
+  rewrite(transformRecord) {
+    if (this.activeFd === null) {
+      throw new Error("SegmentLog not opened. Call readAll() first.");
+    }
+    this.close();
+
+    let rewritten = 0;
+    for (const segmentNo of this.listSegments()) {
+      const file = this.segmentPath(segmentNo);
+      const records = fs
+        .readFileSync(file, "utf8")
+        .split("\n")
+        .filter((line) => line !== "")
+        .map((line) => JSON.parse(line));
+
+      const transformed = records.map(transformRecord);
+      if (transformed.every((record, i) => record === records[i])) continue;
+
+      writeFileAtomic(
+        file,
+        transformed.map((record) => JSON.stringify(record) + "\n").join("")
+      );
+      rewritten++;
+    }
+
+    if (rewritten > 0) this.fsyncDir();
+    this.openActiveSegment(this.activeSegment);
+    return rewritten;
+  }
+
+  close() {
+    if (this.activeFd === null) return;
+    fs.closeSync(this.activeFd);
+    this.activeFd = null;
+  }
+}
+
+module.exports = SegmentLog;
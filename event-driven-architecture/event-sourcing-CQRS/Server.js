@@ -0,0 +1,28 @@
+const eventPublisher = require("./EventPublisher");
+const outbox = require("./Outbox");
+const { startProjector } = require("./Projector");
+const transferManager = require("./TransferProcessManager");
+const { createHttpServer } = require("./HttpApi");
+const config = require("./config");
+
+// =========================================================
+// --- HTTP SERVER BOOTSTRAP ---
+// Same wiring as Controller.js, but driven by HTTP requests
+// instead of a hardcoded script.
+// =========================================================
+
+async function main() {
+  await eventPublisher.init();
+  await startProjector();
+  await outbox.start();
+  transferManager.start();
+
+  createHttpServer().listen(config.HTTP_PORT, () => {
+    console.log(`[Server] Listening on http://localhost:${config.HTTP_PORT}`);
+  });
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
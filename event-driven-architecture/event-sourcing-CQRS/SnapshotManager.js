@@ -1,15 +1,76 @@
+const config = require("./config");
+
 class SnapshotManager {
   constructor() {
     // In-memory storage for snapshots.
     // In production, this would be a fast KV store like Redis or DynamoDB.
+    // Map<StreamID, Snapshot[]> (oldest -> newest). We keep older snapshots
+    // too, so historical (as-of) queries can start from the nearest one.
     this.snapshots = new Map();
   }
 
-  getSnapshot(streamId) {
-    return this.snapshots.get(streamId) || null;
+  // --- CONCEPT: SNAPSHOT VERSIONING ---
+  // A snapshot stores the Aggregate's 'state' object AS IT WAS SHAPED when it
+  // was taken. If the Aggregate's state shape changes (new field, renamed
+  // field), old snapshots would silently load garbage.
+  // So every snapshot is stamped with the Aggregate's SNAPSHOT_VERSION, and
+  // readers only accept snapshots with the version they expect.
+
+  // Drops every snapshot of a stream whose version doesn't match.
+  // Events are the source of truth, so nothing is lost: the Aggregate
+  // simply replays the history and takes a fresh snapshot.
+  discardIncompatible(streamId, version) {
+    const history = this.snapshots.get(streamId) || [];
+    const compatible = history.filter((s) => s.version === version);
+    const discarded = history.length - compatible.length;
+
+    if (discarded > 0) {
+      this.snapshots.set(streamId, compatible);
+      console.log(
+        `[SnapshotManager] 🗑️ Discarded ${discarded} snapshot(s) of ${streamId} (expected v${version})`
+      );
+    }
+    return discarded;
+  }
+
+  // Returns a COPY: the caller (an Aggregate) mutates its state afterwards,
+  // and that must never leak back into the stored snapshot.
+  getSnapshot(streamId, version) {
+    return this.getSnapshotAsOf(streamId, {}, version);
+  }
+
+  // Timestamp of the newest snapshot (any version), or null if none.
+  getLastSnapshotTime(streamId) {
+    const history = this.snapshots.get(streamId) || [];
+    return history.length > 0 ? history.at(-1).timestamp : null;
   }
 
-  saveSnapshot(streamId, state, lastSeqNum) {
+  // --- CONCEPT: NEAREST EARLIER SNAPSHOT ---
+  // For "what was the state at Seq N / at time T?" we need the newest snapshot
+  // that does NOT include anything after that point.
+  // A snapshot's timestamp is when it was taken, which is never earlier than
+  // its last event, so comparing it against T is always safe.
+  getSnapshotAsOf(streamId, { seqNum, timestamp } = {}, version) {
+    const history = this.snapshots.get(streamId) || [];
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const snapshot = history[i];
+      if (snapshot.version !== version) continue;
+      if (seqNum !== undefined && snapshot.lastSeqNum > seqNum) continue;
+      if (timestamp !== undefined && snapshot.timestamp > timestamp) continue;
+      return structuredClone(snapshot);
+    }
+    return null;
+  }
+
+  // Hard delete: a snapshot is a copy of the data, it must go too.
+  deleteSnapshots(streamId) {
+    const deleted = (this.snapshots.get(streamId) || []).length;
+    this.snapshots.delete(streamId);
+    return deleted;
+  }
+
+  saveSnapshot(streamId, state, lastSeqNum, version) {
     // --- CONCEPT: IMMUTABILITY ---
     // We must perform a Deep Copy of the state before saving.
     // Why? In JavaScript, objects are passed by reference.
@@ -18,12 +79,22 @@ class SnapshotManager {
     // structuredClone is a simple way to break the reference link.
     const stateCopy = structuredClone(state);
 
-    this.snapshots.set(streamId, {
+    if (!this.snapshots.has(streamId)) this.snapshots.set(streamId, []);
+    const history = this.snapshots.get(streamId);
+    history.push({
       state: stateCopy,
       lastSeqNum: lastSeqNum,
+      version,
       timestamp: Date.now(),
     });
 
+    // --- CONCEPT: RETENTION POLICY ---
+    // Snapshots are a cache, not history. Keeping only the last K per stream
+    // bounds storage; as-of queries older than that replay from events.
+    if (history.length > config.SNAPSHOT_RETENTION) {
+      history.splice(0, history.length - config.SNAPSHOT_RETENTION);
+    }
+
     console.log(
       `[SnapshotManager] 📸 Saved snapshot for ${streamId} at Seq ${lastSeqNum}`
     );
@@ -0,0 +1,45 @@
+// --- CONCEPT: PLUGGABLE SNAPSHOT STRATEGIES ---
+// WHEN to take a snapshot is a trade-off (storage vs. load time), and the
+// right answer differs per aggregate. So the decision is a small object:
+//   { name, shouldSnapshot(context) -> boolean }
+// The Aggregate builds the context after every commit:
+//   { previousSeq, lastSeq, events, lastSnapshotAt, now }
+
+// Every N events. A batch can jump over the exact multiple (Seq 4 -> 6),
+// so we compare "which bucket of N" we were in before and after the commit.
+function everyNEvents(n) {
+  return {
+    name: `every-${n}-events`,
+    shouldSnapshot: ({ previousSeq, lastSeq }) =>
+      Math.floor(lastSeq / n) > Math.floor(previousSeq / n),
+  };
+}
+
+// When the newest snapshot is older than maxAgeMs.
+// No snapshot at all counts as "too old": it gives us a first baseline.
+function timeSinceLastSnapshot(maxAgeMs) {
+  return {
+    name: `older-than-${maxAgeMs}ms`,
+    shouldSnapshot: ({ lastSnapshotAt, now }) =>
+      lastSnapshotAt === null || now - lastSnapshotAt >= maxAgeMs,
+  };
+}
+
+// When the commit contains a "milestone" event (e.g. 'AccountOpened').
+function onEventTypes(types) {
+  return {
+    name: `on-${types.join("|")}`,
+    shouldSnapshot: ({ events }) => events.some((e) => types.includes(e.type)),
+  };
+}
+
+// Combine strategies: snapshot if ANY of them says so.
+function anyOf(...strategies) {
+  return {
+    name: strategies.map((s) => s.name).join(" OR "),
+    shouldSnapshot: (context) =>
+      strategies.some((s) => s.shouldSnapshot(context)),
+  };
+}
+
+module.exports = { everyNEvents, timeSinceLastSnapshot, onEventTypes, anyOf };
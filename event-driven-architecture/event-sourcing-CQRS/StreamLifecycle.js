@@ -0,0 +1,80 @@
+const eventStore = require("./EventStore");
+const snapshotManager = require("./SnapshotManager");
+const aggregateCache = require("./AggregateCache");
+const piiVault = require("./PiiVault");
+const parkingLot = require("./ParkingLot");
+const BankAccount = require("./BankAccount");
+
+// --- CONCEPT: DATA LIFECYCLE ---
+// "Events are forever" meets storage bills and privacy law.
+// This service runs the admin operations that end or shrink a stream, and
+// keeps every copy in line: the log, the cold archive, snapshots, the
+// aggregate cache, the parking lot and the PII keys.
+//
+// | Operation  | Stream writable? | Old events                 | PII        |
+// |------------|------------------|----------------------------|------------|
+// | softDelete | no (tombstone)   | hidden, kept on disk       | kept       |
+// | hardDelete | no (tombstone)   | physically removed         | key burned |
+// | shredPii   | yes              | kept                       | key burned |
+// | archive    | yes              | old ones moved to cold     | kept       |
+class StreamLifecycle {
+  requireStream(streamId) {
+    if (eventStore.getStreamVersion(streamId) === 0) {
+      throw new Error(`Stream ${streamId} does not exist`);
+    }
+  }
+
+  // e.g. a duplicate account opened by mistake
+  softDelete(streamId, reason, metadata = {}) {
+    this.requireStream(streamId);
+    const tombstone = eventStore.deleteStream(streamId, { reason }, metadata);
+    aggregateCache.evict(streamId, "deleted");
+    return tombstone;
+  }
+
+  // e.g. "right to be forgotten": nothing of the customer may remain
+  hardDelete(streamId, reason, metadata = {}) {
+    this.requireStream(streamId);
+    this.destroyPii(streamId);
+
+    const tombstone = eventStore.deleteStream(
+      streamId,
+      { reason, hard: true },
+      metadata
+    );
+    snapshotManager.deleteSnapshots(streamId);
+    parkingLot.dropStream(streamId);
+    aggregateCache.evict(streamId, "deleted");
+    return tombstone;
+  }
+
+  // Erase the personal data but keep the (legally required) financial
+  // history. The $PiiShredded event tells projections to drop their
+  // plain copies, and leaves an audit trail of the erasure itself.
+  shredPii(streamId, metadata = {}) {
+    this.requireStream(streamId);
+    this.destroyPii(streamId);
+    return eventStore.save(streamId, "$PiiShredded", {}, undefined, metadata);
+  }
+
+  destroyPii(streamId) {
+    piiVault.shred(streamId);
+    eventStore.erasePii(streamId);
+  }
+
+  // Archive what is older than 'olderThan' (ms timestamp), as far as the
+  // newest snapshot of each account covers it. Accounts without a
+  // snapshot keep their whole history hot.
+  archive(olderThan) {
+    const coveredSeqOf = (streamId) => {
+      const snapshot = snapshotManager.getSnapshot(
+        streamId,
+        BankAccount.SNAPSHOT_VERSION
+      );
+      return snapshot ? snapshot.lastSeqNum : 0;
+    };
+    return eventStore.archive(olderThan, coveredSeqOf);
+  }
+}
+
+module.exports = new StreamLifecycle();
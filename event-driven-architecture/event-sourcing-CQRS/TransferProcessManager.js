@@ -0,0 +1,354 @@
+const crypto = require("crypto");
+const eventStore = require("./EventStore");
+const BankAccount = require("./BankAccount");
+const CatchUpSubscription = require("./CatchUpSubscription");
+const { causedBy } = require("./EventMetadata");
+const Money = require("./Money");
+const { ConcurrencyError, ValidationError } = require("./errors");
+const config = require("./config");
+
+const TRANSFER_STREAM_PREFIX = "transfer-";
+
+// --- DATA STRUCTURE: TRANSFER STATUSES ---
+// REQUESTED -> SOURCE_DEBITED -> COMPLETED
+//           -> FAILED                        (debit rejected, nothing to undo)
+//              SOURCE_DEBITED -> CREDIT_REJECTED -> REFUNDED (compensation)
+const STATUS = {
+  REQUESTED: "REQUESTED",
+  SOURCE_DEBITED: "SOURCE_DEBITED",
+  CREDIT_REJECTED: "CREDIT_REJECTED",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+  REFUNDED: "REFUNDED",
+};
+
+// UUID-shaped, so derived and random ids look alike in logs and URLs.
+function transferIdFor(commandId) {
+  const hex = crypto
+    .createHash("sha256")
+    .update(`RequestTransfer:${commandId}`)
+    .digest("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20, 32),
+  ].join("-");
+}
+
+// --- CONCEPT: PROCESS MANAGER ---
+// A transfer touches TWO aggregates (source and destination BankAccount).
+// One aggregate = one consistency boundary, so we cannot update both in a
+// single atomic save. Instead, this Process Manager coordinates the steps:
+//   1. Debit the source       (BankAccount.transferOut)
+//   2. Credit the destination (BankAccount.transferIn)
+//   3. If the credit fails -> Compensate by refunding the source
+//
+// --- CONCEPT: PERSISTED PROCESS STATE ---
+// The progress of every transfer is itself event-sourced in its own stream
+// ("transfer-<id>"). After a crash, we replay that stream to know which
+// step comes next.
+class TransferProcessManager {
+  constructor() {
+    this.subscription = null;
+
+    // Transfers whose last run threw (e.g. conflicts outlasted the retries).
+    // They are driven again on the next event (see start()).
+    this.stuck = new Set();
+  }
+
+  // Entry point for clients: records the intent. The work happens asynchronously
+  // when the manager sees the 'TransferRequested' event.
+  // 'metadata' comes from the command (correlationId, actor...).
+  // 'amount' is in integer minor units of 'currency' (see Money.js).
+  requestTransfer(fromStreamId, toStreamId, amount, currency, metadata = {}) {
+    if (fromStreamId === toStreamId) {
+      throw new ValidationError("Cannot transfer to the same account");
+    }
+    if (!(amount > 0))
+      throw new ValidationError("Transfer amount must be positive");
+
+    // --- CONCEPT: DETERMINISTIC PROCESS ID ---
+    // A client retry (same commandId) can arrive after a restart, when the
+    // command bus no longer remembers the first attempt. Deriving the id
+    // from the commandId sends the retry to the SAME stream, where
+    // "must be new" (expected version 0) rejects it: no second transfer.
+    const transferId = metadata.commandId
+      ? transferIdFor(metadata.commandId)
+      : crypto.randomUUID();
+    try {
+      eventStore.save(
+        TRANSFER_STREAM_PREFIX + transferId,
+        "TransferRequested",
+        { transferId, fromStreamId, toStreamId, amount, currency },
+        0,
+        metadata
+      );
+    } catch (err) {
+      if (!(err instanceof ConcurrencyError) || !metadata.commandId) throw err;
+      console.log(
+        `[Transfer] ♻️ Duplicate request ${metadata.commandId}: ${transferId} already exists`
+      );
+    }
+    return transferId;
+  }
+
+  // Rebuilds the transfer's state from its own stream.
+  getTransfer(transferId) {
+    const events = eventStore.getStream(TRANSFER_STREAM_PREFIX + transferId);
+    if (events.length === 0) return null;
+
+    const transfer = {
+      ...events[0].data,
+      status: STATUS.REQUESTED,
+      // { [step]: account version when the step started } (see runStep)
+      startedSteps: {},
+      // Every event this transfer causes (on both accounts and in its own
+      // stream) joins the request's flow: same correlationId, caused by
+      // the 'TransferRequested' event.
+      metadata: causedBy(events[0]),
+    };
+    for (const event of events) {
+      switch (event.type) {
+        case "TransferStepStarted":
+          transfer.startedSteps[event.data.step] = event.data.accountSeq;
+          break;
+        case "TransferSourceDebited":
+          transfer.status = STATUS.SOURCE_DEBITED;
+          break;
+        case "TransferCreditRejected":
+          transfer.status = STATUS.CREDIT_REJECTED;
+          transfer.reason = event.data.reason;
+          break;
+        case "TransferCompleted":
+          transfer.status = STATUS.COMPLETED;
+          break;
+        case "TransferFailed":
+          transfer.status = STATUS.FAILED;
+          transfer.reason = event.data.reason;
+          break;
+        case "TransferCompensated":
+          transfer.status = STATUS.REFUNDED;
+          transfer.reason = event.data.reason;
+          break;
+      }
+    }
+    transfer.lastSeq = events.at(-1).seqNum;
+    return transfer;
+  }
+
+  // --- CONCEPT: CATCH-UP = CRASH RECOVERY ---
+  // Subscribing from position 1 means every 'TransferRequested' is seen again
+  // on startup. Finished transfers are skipped, unfinished ones resume
+  // exactly where they stopped.
+  //
+  // --- CONCEPT: RE-DRIVING STUCK TRANSFERS ---
+  // A transfer can also stop while we run (e.g. an account so busy that
+  // every conflict retry lost). Leaving it until the next restart would
+  // keep the money in limbo, so it is driven again before the next page
+  // of events: by then the contention is most likely over. Once per page,
+  // not per event, or a catch-up over a long history would retry it
+  // thousands of times.
+  start() {
+    this.subscription = new CatchUpSubscription(
+      async (event) => {
+        if (event.type === "TransferRequested") {
+          await this.drive(event.data.transferId);
+        }
+      },
+      {
+        onPage: async () => {
+          for (const transferId of [...this.stuck]) {
+            await this.drive(transferId);
+          }
+        },
+      }
+    ).start();
+    console.log("[Transfer] Process manager started");
+  }
+
+  // process() that never throws: a failed run marks the transfer as stuck.
+  async drive(transferId) {
+    try {
+      await this.process(transferId);
+      if (this.stuck.delete(transferId)) {
+        console.log(`[Transfer] ▶️ ${transferId} unstuck`);
+      }
+    } catch (err) {
+      if (!this.stuck.has(transferId)) {
+        console.error(
+          `[Transfer] ❌ ${transferId} stuck (${err.message}), retrying on the next event`
+        );
+      }
+      this.stuck.add(transferId);
+    }
+  }
+
+  async stop() {
+    if (this.subscription) await this.subscription.stop();
+  }
+
+  async process(transferId) {
+    let transfer = this.getTransfer(transferId);
+
+    if (transfer.status === STATUS.REQUESTED) {
+      try {
+        await this.runStep(
+          transfer,
+          "debit",
+          transfer.fromStreamId,
+          "TransferInitiated",
+          (account) =>
+            account.transferOut(
+              transfer.amount,
+              transfer.currency,
+              transfer.toStreamId,
+              transferId,
+              transfer.metadata
+            )
+        );
+      } catch (err) {
+        if (err instanceof ConcurrencyError) throw err;
+        this.record(transfer, "TransferFailed", { reason: err.message });
+        console.log(`[Transfer] ❌ ${transferId} failed: ${err.message}`);
+        return;
+      }
+      this.record(transfer, "TransferSourceDebited", {});
+      transfer = this.getTransfer(transferId);
+    }
+
+    if (transfer.status === STATUS.SOURCE_DEBITED) {
+      try {
+        await this.runStep(
+          transfer,
+          "credit",
+          transfer.toStreamId,
+          "TransferReceived",
+          (account) =>
+            account.transferIn(
+              transfer.amount,
+              transfer.currency,
+              transfer.fromStreamId,
+              transferId,
+              transfer.metadata
+            )
+        );
+      } catch (err) {
+        if (err instanceof ConcurrencyError) throw err;
+        // Recorded BEFORE the refund: once the money goes back, a resumed
+        // run must never try the credit again
+        this.record(transfer, "TransferCreditRejected", {
+          reason: err.message,
+        });
+        transfer = this.getTransfer(transferId);
+      }
+      if (transfer.status === STATUS.SOURCE_DEBITED) {
+        this.record(transfer, "TransferCompleted", {});
+        const amount = Money.format(transfer.amount, transfer.currency);
+        console.log(
+          `[Transfer] ✅ ${transferId}: ${amount} from ${transfer.fromStreamId} to ${transfer.toStreamId}`
+        );
+        return;
+      }
+    }
+
+    if (transfer.status === STATUS.CREDIT_REJECTED) {
+      await this.compensate(transfer, transfer.reason);
+    }
+  }
+
+  // --- COMPENSATION ---
+  // The source was already debited but the destination refused the money.
+  // We can't "delete" the withdrawal (events are immutable), so we append a
+  // new fact that reverses it.
+  async compensate(transfer, reason) {
+    console.log(
+      `[Transfer] ↩️ Credit failed for ${transfer.transferId} (${reason}). Refunding ${transfer.fromStreamId}.`
+    );
+    await this.runStep(
+      transfer,
+      "refund",
+      transfer.fromStreamId,
+      "TransferRefunded",
+      (account) =>
+        account.refundTransfer(
+          transfer.amount,
+          transfer.currency,
+          transfer.transferId,
+          transfer.metadata
+        )
+    );
+    this.record(transfer, "TransferCompensated", { reason });
+  }
+
+  // --- CONCEPT: RETRY ON CONFLICT ---
+  // Another command may write to the same account between our load and save.
+  // The Event Store rejects our stale write (optimistic concurrency), so we
+  // simply reload the latest state and run the step again.
+  async withConflictRetry(streamId, step) {
+    for (let attempt = 1; ; attempt++) {
+      const account = new BankAccount(streamId);
+      await account.load();
+      try {
+        return await step(account);
+      } catch (err) {
+        if (
+          !(err instanceof ConcurrencyError) ||
+          attempt >= config.TRANSFER_MAX_RETRIES
+        ) {
+          throw err;
+        }
+        console.log(
+          `[Transfer] ⚠️ Conflict on ${streamId} (attempt ${attempt}). Reloading...`
+        );
+      }
+    }
+  }
+
+  // --- CONCEPT: STEP IDEMPOTENCY ---
+  // If we crashed after changing the account but before recording the step
+  // in the transfer stream, running the step again would debit twice.
+  // So before its first attempt, a step is marked as started in the
+  // transfer stream ('TransferStepStarted'), with the account's version.
+  // - No marker: the step never touched the account, just run it.
+  // - A marker: only the account events AFTER that version can be ours.
+  //   A short read, instead of the account's whole (maybe archived) history.
+  runStep(transfer, step, streamId, eventType, action) {
+    return this.withConflictRetry(streamId, (account) => {
+      if (!(step in transfer.startedSteps)) {
+        this.record(transfer, "TransferStepStarted", {
+          step,
+          accountSeq: account.lastSeq,
+        });
+        transfer.startedSteps[step] = account.lastSeq;
+      } else if (this.wasApplied(transfer, step, account, eventType)) {
+        return null; // Done before a crash: don't do it twice
+      }
+      return action(account);
+    });
+  }
+
+  wasApplied(transfer, step, account, eventType) {
+    return eventStore
+      .getStream(account.streamId, {
+        startingFromSeqNum: transfer.startedSteps[step] + 1,
+      })
+      .some(
+        (e) => e.type === eventType && e.data.transferId === transfer.transferId
+      );
+  }
+
+  record(transfer, type, data) {
+    eventStore.save(
+      TRANSFER_STREAM_PREFIX + transfer.transferId,
+      type,
+      { transferId: transfer.transferId, ...data },
+      transfer.lastSeq,
+      transfer.metadata
+    );
+    transfer.lastSeq++;
+  }
+}
+
+module.exports = new TransferProcessManager();
@@ -0,0 +1,103 @@
+const Money = require("./Money");
+
+// --- CONCEPT: EVENT SCHEMA VERSIONING ---
+// Events are immutable: an event written two years ago stays in its old shape
+// forever. When the shape of an event changes (new field, renamed field),
+// every stored event carries a 'schemaVersion' so we know which shape it has.
+//
+// --- CONCEPT: UPCASTING ---
+// An Upcaster is a pure function that converts ONE version to the NEXT one
+// (v1 -> v2). Chaining them (v1 -> v2 -> v3) lifts any old event to the
+// current shape ON READ. The stored bytes are never rewritten.
+// Result: BankAccount and ReadModelDB only ever need to understand the
+// CURRENT shape of each event.
+class UpcasterRegistry {
+  constructor() {
+    // Map<EventType, Map<FromVersion, (data) => data>>
+    this.upcasters = new Map();
+  }
+
+  register(eventType, fromVersion, upcastFn) {
+    if (!this.upcasters.has(eventType)) {
+      this.upcasters.set(eventType, new Map());
+    }
+    const chain = this.upcasters.get(eventType);
+
+    // Chains must be gapless (v1->v2, v2->v3, ...), otherwise some old
+    // events could never reach the current version.
+    const expectedVersion = chain.size + 1;
+    if (fromVersion !== expectedVersion) {
+      throw new Error(
+        `Upcaster for ${eventType} must start at v${expectedVersion}, got v${fromVersion}`
+      );
+    }
+
+    chain.set(fromVersion, upcastFn);
+    return this;
+  }
+
+  // The version newly saved events are stamped with.
+  // Without any upcaster, every event type is at version 1.
+  getCurrentVersion(eventType) {
+    const chain = this.upcasters.get(eventType);
+    return chain ? chain.size + 1 : 1;
+  }
+
+  upcast(event) {
+    const currentVersion = this.getCurrentVersion(event.type);
+
+    // Events written before versioning existed are treated as v1.
+    let version = event.schemaVersion || 1;
+    if (version === currentVersion) return event;
+
+    if (version > currentVersion) {
+      throw new Error(
+        `${event.type} v${version} is newer than this code understands (v${currentVersion})`
+      );
+    }
+
+    // Work on a copy: the original stays exactly as it was stored.
+    let data = structuredClone(event.data);
+    const chain = this.upcasters.get(event.type);
+    while (version < currentVersion) {
+      data = chain.get(version)(data);
+      version++;
+    }
+
+    return { ...event, data, schemaVersion: version };
+  }
+}
+
+const upcasterRegistry = new UpcasterRegistry();
+
+// --- REGISTERED UPCASTERS ---
+// When an event's shape changes, register the step here. New events are then
+// saved with the next version, and older ones are upcast to it on read.
+
+// v1 -> v2: Money in integer minor units + a currency code (see Money.js).
+// v1 amounts were plain numbers in dollars, the only currency back then.
+// This is "USD" on purpose, NOT config.DEFAULT_CURRENCY: changing the
+// default later must not change the meaning of old events.
+const LEGACY_CURRENCY = "USD";
+const withCurrency = (field) => (data) => ({
+  ...data,
+  [field]: Money.fromLegacyAmount(data[field], LEGACY_CURRENCY),
+  currency: LEGACY_CURRENCY,
+});
+
+upcasterRegistry.register("AccountOpened", 1, withCurrency("initialAmount"));
+upcasterRegistry.register("OverdraftLimitSet", 1, withCurrency("limit"));
+for (const type of [
+  "MoneyDeposited",
+  "MoneyWithdrawn",
+  "TransferRequested",
+  "TransferInitiated",
+  "TransferReceived",
+  "TransferRefunded",
+]) {
+  upcasterRegistry.register(type, 1, withCurrency("amount"));
+}
+
+module.exports = upcasterRegistry;
+// The class too, for a registry with its own chains (e.g. in tests)
+module.exports.UpcasterRegistry = UpcasterRegistry;
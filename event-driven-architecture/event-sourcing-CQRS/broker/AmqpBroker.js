@@ -0,0 +1,35 @@
+const amqp = require("amqplib");
+
+// --- CONCEPT: BROKER ADAPTER ---
+// The real RabbitMQ behind the same small interface as InMemoryBroker:
+// connect(), createChannel({ confirm }), close().
+// amqplib channels already speak the channel API we use, so they are
+// handed out as they are.
+class AmqpBroker {
+  constructor(url) {
+    this.url = url;
+    this.connecting = null;
+  }
+
+  // One shared connection (a TCP socket) with one channel per component.
+  connect() {
+    if (!this.connecting) this.connecting = amqp.connect(this.url);
+    return this.connecting;
+  }
+
+  async createChannel({ confirm = false } = {}) {
+    const connection = await this.connect();
+    return confirm
+      ? connection.createConfirmChannel()
+      : connection.createChannel();
+  }
+
+  async close() {
+    if (!this.connecting) return;
+    const connection = await this.connecting;
+    this.connecting = null;
+    await connection.close();
+  }
+}
+
+module.exports = AmqpBroker;
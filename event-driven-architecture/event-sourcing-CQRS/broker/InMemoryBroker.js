@@ -0,0 +1,314 @@
+// --- CONCEPT: IN-PROCESS BROKER (Test Double) ---
+// A tiny stand-in for RabbitMQ that lives in the Node process.
+// It speaks the same channel API as amqplib (assertExchange, bindQueue,
+// publish, consume, ack, nack, prefetch), so EventPublisher and the
+// Projector run unchanged, with no network and no server to install.
+//
+// It deliberately keeps the semantics that our code RELIES on:
+// - Topic routing:   '*' = exactly one word, '#' = zero or more words
+// - Prefetch:        at most N unacked messages per consumer
+// - Ack/Nack:        unacked messages go back to the queue as 'redelivered'
+//                    when nacked with requeue or when their channel closes
+// - Durability:      restart() keeps only durable queues/exchanges and
+//                    persistent messages, like a real broker reboot
+
+// Does a binding pattern ("account.*", "account.#") match a routing key?
+function topicMatches(pattern, routingKey) {
+  const match = (p, k) => {
+    if (p.length === 0) return k.length === 0;
+    if (p[0] === "#") {
+      return match(p.slice(1), k) || (k.length > 0 && match(p, k.slice(1)));
+    }
+    if (k.length === 0) return false;
+    return (p[0] === "*" || p[0] === k[0]) && match(p.slice(1), k.slice(1));
+  };
+  return match(pattern.split("."), routingKey.split("."));
+}
+
+const ROUTERS = {
+  topic: (pattern, routingKey) => topicMatches(pattern, routingKey),
+  direct: (pattern, routingKey) => pattern === routingKey,
+  fanout: () => true,
+};
+
+class InMemoryChannel {
+  constructor(broker, { confirm }) {
+    this.broker = broker;
+    this.confirm = confirm;
+    this.prefetchCount = 0; // 0 = unlimited (same default as RabbitMQ)
+    this.nextDeliveryTag = 1;
+    this.nextConsumerTag = 1;
+    // Map<DeliveryTag, { queue, consumer, message }>
+    this.unacked = new Map();
+    this.consumers = [];
+    this.isClosed = false;
+  }
+
+  ensureOpen() {
+    if (this.isClosed) throw new Error("Channel closed");
+  }
+
+  async assertExchange(name, type, { durable = true } = {}) {
+    this.ensureOpen();
+    if (!ROUTERS[type]) throw new Error(`Unsupported exchange type: ${type}`);
+    if (!this.broker.exchanges.has(name)) {
+      this.broker.exchanges.set(name, { name, type, durable, bindings: [] });
+    }
+    return { exchange: name };
+  }
+
+  async assertQueue(name, { durable = true } = {}) {
+    this.ensureOpen();
+    if (!this.broker.queues.has(name)) {
+      this.broker.queues.set(name, {
+        name,
+        durable,
+        messages: [],
+        consumers: [],
+        nextConsumer: 0,
+        isScheduled: false,
+      });
+    }
+    const queue = this.broker.queues.get(name);
+    return {
+      queue: name,
+      messageCount: queue.messages.length,
+      consumerCount: queue.consumers.length,
+    };
+  }
+
+  async bindQueue(queueName, exchangeName, pattern) {
+    this.ensureOpen();
+    const exchange = this.broker.getExchange(exchangeName);
+    this.broker.getQueue(queueName);
+    exchange.bindings.push({ queue: queueName, pattern });
+  }
+
+  async prefetch(count) {
+    this.ensureOpen();
+    this.prefetchCount = count;
+  }
+
+  // Same signature as amqplib. On a confirm channel the callback runs once
+  // the message is safely in its queues (here: on the next tick).
+  publish(exchangeName, routingKey, content, options = {}, callback) {
+    this.ensureOpen();
+    this.broker.route(exchangeName, routingKey, {
+      content: Buffer.from(content),
+      exchange: exchangeName,
+      routingKey,
+      properties: { ...options },
+      redelivered: false,
+    });
+    if (this.confirm && callback) setImmediate(() => callback(null));
+    return true;
+  }
+
+  async consume(queueName, onMessage) {
+    this.ensureOpen();
+    const queue = this.broker.getQueue(queueName);
+    const consumer = {
+      tag: `ctag-${this.nextConsumerTag++}`,
+      channel: this,
+      queue,
+      onMessage,
+      unackedCount: 0,
+    };
+    queue.consumers.push(consumer);
+    this.consumers.push(consumer);
+    this.broker.scheduleDelivery(queue);
+    return { consumerTag: consumer.tag };
+  }
+
+  // Called by the broker for every message handed to one of our consumers.
+  deliver(consumer, message) {
+    const deliveryTag = this.nextDeliveryTag++;
+    this.unacked.set(deliveryTag, { queue: consumer.queue, consumer, message });
+    consumer.unackedCount++;
+
+    consumer.onMessage({
+      content: message.content,
+      fields: {
+        deliveryTag,
+        consumerTag: consumer.tag,
+        exchange: message.exchange,
+        routingKey: message.routingKey,
+        redelivered: message.redelivered,
+      },
+      properties: message.properties,
+    });
+  }
+
+  hasCapacity(consumer) {
+    return (
+      this.prefetchCount === 0 || consumer.unackedCount < this.prefetchCount
+    );
+  }
+
+  // 'allUpTo' settles every unacked message up to this one (amqplib semantics).
+  settle(msg, allUpTo, onSettled) {
+    this.ensureOpen();
+    const { deliveryTag } = msg.fields;
+    if (!this.unacked.has(deliveryTag)) {
+      throw new Error(`Unknown delivery tag ${deliveryTag}`);
+    }
+
+    const tags = allUpTo
+      ? [...this.unacked.keys()].filter((tag) => tag <= deliveryTag)
+      : [deliveryTag];
+
+    // Requeued messages go back to the FRONT, oldest first, so walk the
+    // tags newest-first and unshift.
+    for (const tag of tags.reverse()) {
+      const delivery = this.unacked.get(tag);
+      this.unacked.delete(tag);
+      delivery.consumer.unackedCount--;
+      onSettled(delivery);
+      this.broker.scheduleDelivery(delivery.queue);
+    }
+  }
+
+  ack(msg, allUpTo = false) {
+    this.settle(msg, allUpTo, () => {});
+  }
+
+  nack(msg, allUpTo = false, requeue = true) {
+    this.settle(msg, allUpTo, ({ queue, message }) => {
+      if (requeue) queue.messages.unshift({ ...message, redelivered: true });
+    });
+  }
+
+  // Unacked messages are NOT lost when a consumer dies: they are requeued.
+  async close() {
+    if (this.isClosed) return;
+    for (const consumer of this.consumers) {
+      const { consumers } = consumer.queue;
+      consumers.splice(consumers.indexOf(consumer), 1);
+    }
+    const deliveries = [...this.unacked.values()].reverse();
+    for (const { queue, message } of deliveries) {
+      queue.messages.unshift({ ...message, redelivered: true });
+      this.broker.scheduleDelivery(queue);
+    }
+    this.unacked.clear();
+    this.consumers = [];
+    this.isClosed = true;
+    this.broker.channels.delete(this);
+  }
+}
+
+class InMemoryBroker {
+  constructor() {
+    // Map<ExchangeName, { name, type, durable, bindings: [{ queue, pattern }] }>
+    this.exchanges = new Map();
+    // Map<QueueName, { name, durable, messages, consumers, ... }>
+    this.queues = new Map();
+    this.channels = new Set();
+  }
+
+  async connect() {
+    return this;
+  }
+
+  async createChannel({ confirm = false } = {}) {
+    const channel = new InMemoryChannel(this, { confirm });
+    this.channels.add(channel);
+    return channel;
+  }
+
+  async close() {
+    for (const channel of [...this.channels]) await channel.close();
+  }
+
+  getExchange(name) {
+    const exchange = this.exchanges.get(name);
+    if (!exchange) throw new Error(`NOT_FOUND - no exchange '${name}'`);
+    return exchange;
+  }
+
+  getQueue(name) {
+    const queue = this.queues.get(name);
+    if (!queue) throw new Error(`NOT_FOUND - no queue '${name}'`);
+    return queue;
+  }
+
+  // A message is copied into EVERY queue whose binding matches.
+  // Unroutable messages are silently dropped (like RabbitMQ without 'mandatory').
+  route(exchangeName, routingKey, message) {
+    let queueNames;
+    if (exchangeName === "") {
+      queueNames = [routingKey]; // Default exchange: routing key = queue name
+    } else {
+      const exchange = this.getExchange(exchangeName);
+      const matches = ROUTERS[exchange.type];
+      queueNames = exchange.bindings
+        .filter(({ pattern }) => matches(pattern, routingKey))
+        .map(({ queue }) => queue);
+    }
+
+    for (const name of new Set(queueNames)) {
+      const queue = this.queues.get(name);
+      if (!queue) continue;
+      queue.messages.push(message);
+      this.scheduleDelivery(queue);
+    }
+  }
+
+  // Deliveries are asynchronous (next tick), like over a real network.
+  scheduleDelivery(queue) {
+    if (queue.isScheduled) return;
+    queue.isScheduled = true;
+    setImmediate(() => {
+      queue.isScheduled = false;
+      this.deliver(queue);
+    });
+  }
+
+  // Round-robin over the consumers that still have prefetch capacity.
+  deliver(queue) {
+    while (queue.messages.length > 0) {
+      const consumer = this.nextAvailableConsumer(queue);
+      if (!consumer) return; // Everyone is busy: wait for an ack/nack
+      consumer.channel.deliver(consumer, queue.messages.shift());
+    }
+  }
+
+  nextAvailableConsumer(queue) {
+    const { consumers } = queue;
+    for (let i = 0; i < consumers.length; i++) {
+      const index = (queue.nextConsumer + i) % consumers.length;
+      const consumer = consumers[index];
+      if (consumer.channel.hasCapacity(consumer)) {
+        queue.nextConsumer = index + 1;
+        return consumer;
+      }
+    }
+    return null;
+  }
+
+  // --- CONCEPT: DURABILITY (Simulated Crash) ---
+  // All channels drop (their unacked messages are requeued first), then
+  // everything non-durable is forgotten: transient exchanges/queues and
+  // messages published without { persistent: true }.
+  async restart() {
+    await this.close();
+
+    for (const [name, exchange] of this.exchanges) {
+      if (!exchange.durable) this.exchanges.delete(name);
+    }
+    for (const [name, queue] of this.queues) {
+      if (!queue.durable) {
+        this.queues.delete(name);
+        continue;
+      }
+      queue.messages = queue.messages.filter((m) => m.properties.persistent);
+    }
+    for (const exchange of this.exchanges.values()) {
+      exchange.bindings = exchange.bindings.filter(({ queue }) =>
+        this.queues.has(queue)
+      );
+    }
+  }
+}
+
+module.exports = InMemoryBroker;
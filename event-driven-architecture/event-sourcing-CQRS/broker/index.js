@@ -0,0 +1,11 @@
+const config = require("../config");
+const AmqpBroker = require("./AmqpBroker");
+const InMemoryBroker = require("./InMemoryBroker");
+
+// --- CONCEPT: PLUGGABLE BROKER ---
+// "amqp" talks to RabbitMQ. "memory" runs the whole pipeline inside this
+// process: handy for demos and automated runs without any network.
+module.exports =
+  config.BROKER_DRIVER === "memory"
+    ? new InMemoryBroker()
+    : new AmqpBroker(config.RABBIT_URL);
@@ -0,0 +1,53 @@
+// --- CONCEPT: COMMAND BUS ---
+// Callers don't call Aggregate methods directly anymore. They build a
+// COMMAND object ({ type, ... }) and dispatch it. The bus:
+// 1. Runs it through a MIDDLEWARE pipeline (logging, validation, idempotency, retry)
+// 2. Routes it to the ONE handler registered for its type
+//
+// Cross-cutting concerns live in middleware, written once, instead of being
+// copy-pasted into every command.
+class CommandBus {
+  constructor() {
+    // Map<CommandType, { handler, validate }>
+    this.handlers = new Map();
+    // Array<async (command, context, next) => result>
+    this.middleware = [];
+  }
+
+  register(type, handler, { validate } = {}) {
+    if (this.handlers.has(type)) {
+      throw new Error(`A handler for ${type} is already registered`);
+    }
+    this.handlers.set(type, { handler, validate });
+    return this;
+  }
+
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  async dispatch(command) {
+    const registration = this.handlers.get(command.type);
+    if (!registration) {
+      throw new Error(`No handler registered for ${command.type}`);
+    }
+
+    // Shared info for middleware (e.g. the validator of this command type)
+    const context = { validate: registration.validate, attempt: 0 };
+
+    // --- CONCEPT: ONION PIPELINE ---
+    // middleware[0] wraps middleware[1] wraps ... wraps the handler.
+    // Each one decides whether (and how many times) to call next().
+    const run = (index) => {
+      if (index === this.middleware.length) {
+        return registration.handler(command, context);
+      }
+      return this.middleware[index](command, context, () => run(index + 1));
+    };
+
+    return run(0);
+  }
+}
+
+module.exports = CommandBus;
@@ -0,0 +1,346 @@
+const accountRepository = require("../AccountRepository");
+const BankAccount = require("../BankAccount");
+const transferManager = require("../TransferProcessManager");
+const { ValidationError, ConcurrencyError } = require("../errors");
+const eventMetadata = require("../EventMetadata");
+const Money = require("../Money");
+const config = require("../config");
+
+// --- DATA STRUCTURE: COMMAND TYPES ---
+const COMMANDS = {
+  OPEN_ACCOUNT: "OpenAccount",
+  DEPOSIT: "Deposit",
+  WITHDRAW: "Withdraw",
+  REQUEST_TRANSFER: "RequestTransfer",
+  CLOSE_ACCOUNT: "CloseAccount",
+  FREEZE_ACCOUNT: "FreezeAccount",
+  UNFREEZE_ACCOUNT: "UnfreezeAccount",
+  SET_OVERDRAFT_LIMIT: "SetOverdraftLimit",
+  EXCHANGE_CURRENCY: "ExchangeCurrency",
+};
+
+// --- CONCEPT: TYPED COMMANDS ---
+// Commands are plain, immutable objects: "what the caller wants", in the
+// imperative (Deposit), as opposed to events: "what happened" (MoneyDeposited).
+// options: { commandId }   - client-supplied ID that makes retries safe.
+//          { expectedSeq } - only run if the account is still at this version.
+//          { correlationId, causationId, actor, headers } - copied into the
+//            metadata of every event the command produces (EventMetadata.js).
+//          { currency }    - money commands only, defaults to DEFAULT_CURRENCY.
+//          { holder }      - OpenAccount only: { name, email } (personal data).
+// Amounts are integer minor units (cents): 1050 = 10.50 (see Money.js).
+const moneyCommand = (type, accountId, amount, options) =>
+  Object.freeze({
+    type,
+    accountId,
+    amount,
+    ...options,
+    currency: options.currency || config.DEFAULT_CURRENCY,
+  });
+
+const openAccount = (accountId, amount, options = {}) =>
+  moneyCommand(COMMANDS.OPEN_ACCOUNT, accountId, amount, options);
+
+const deposit = (accountId, amount, options = {}) =>
+  moneyCommand(COMMANDS.DEPOSIT, accountId, amount, options);
+
+const withdraw = (accountId, amount, options = {}) =>
+  moneyCommand(COMMANDS.WITHDRAW, accountId, amount, options);
+
+const requestTransfer = (accountId, toAccountId, amount, options = {}) =>
+  moneyCommand(COMMANDS.REQUEST_TRANSFER, accountId, amount, {
+    toAccountId,
+    ...options,
+  });
+
+// 'rate' is a decimal string: 1 unit of fromCurrency = rate units of toCurrency
+const exchangeCurrency = (
+  accountId,
+  amount,
+  fromCurrency,
+  toCurrency,
+  rate,
+  options = {}
+) =>
+  Object.freeze({
+    type: COMMANDS.EXCHANGE_CURRENCY,
+    accountId,
+    amount,
+    fromCurrency,
+    toCurrency,
+    rate: String(rate),
+    ...options,
+  });
+
+const closeAccount = (accountId, options = {}) =>
+  Object.freeze({ type: COMMANDS.CLOSE_ACCOUNT, accountId, ...options });
+
+const freezeAccount = (accountId, reason, options = {}) =>
+  Object.freeze({
+    type: COMMANDS.FREEZE_ACCOUNT,
+    accountId,
+    reason,
+    ...options,
+  });
+
+const unfreezeAccount = (accountId, options = {}) =>
+  Object.freeze({ type: COMMANDS.UNFREEZE_ACCOUNT, accountId, ...options });
+
+const setOverdraftLimit = (accountId, limit, options = {}) =>
+  Object.freeze({
+    type: COMMANDS.SET_OVERDRAFT_LIMIT,
+    accountId,
+    limit,
+    ...options,
+    currency: options.currency || config.DEFAULT_CURRENCY,
+  });
+
+// --- VALIDATORS ---
+// Shape checks only. Business rules (enough funds, account active) stay in
+// the Aggregate, because they depend on its current state.
+function requireAccountId(command) {
+  if (typeof command.accountId !== "string" || command.accountId === "") {
+    throw new ValidationError("accountId must be a non-empty string");
+  }
+}
+
+function requireAmount(command, { field = "amount", allowZero = false } = {}) {
+  const amount = command[field];
+  if (typeof amount !== "number" || !Number.isFinite(amount)) {
+    throw new ValidationError(`${field} must be a number`);
+  }
+  // Fractions of a cent don't exist: 10.5 here would be a unit mix-up.
+  if (!Money.isMinorUnits(amount)) {
+    throw new ValidationError(
+      `${field} must be an integer in minor units (e.g. cents)`
+    );
+  }
+  if (amount < 0 || (!allowZero && amount === 0)) {
+    throw new ValidationError(
+      `${field} must be ${allowZero ? "zero or more" : "positive"}`
+    );
+  }
+}
+
+function requireCurrency(command, field = "currency") {
+  if (!Money.isCurrency(command[field])) {
+    const supported = Object.keys(Money.CURRENCIES).join(", ");
+    throw new ValidationError(`${field} must be one of ${supported}`);
+  }
+}
+
+// Personal data (see PiiVault.js): { name, email? }
+function requireHolder(holder) {
+  if (!holder || typeof holder.name !== "string" || holder.name === "") {
+    throw new ValidationError("holder.name must be a non-empty string");
+  }
+  if (holder.email !== undefined && typeof holder.email !== "string") {
+    throw new ValidationError("holder.email must be a string");
+  }
+}
+
+const validateMoneyCommand = (command) => {
+  requireAccountId(command);
+  requireAmount(command);
+  requireCurrency(command);
+};
+
+// The result every account command returns: the state right after it.
+const toResult = (account) => ({
+  accountId: account.streamId,
+  balances: { ...account.state.balances },
+  currency: account.state.currency,
+  status: account.state.status,
+  overdraftLimits: { ...account.state.overdraftLimits },
+  lastSeq: account.lastSeq,
+  duplicate: false,
+});
+
+// --- CONCEPT: REPLAYING THE ORIGINAL RESULT ---
+// If the commandId was already processed, the Aggregate won't write again.
+// The caller still deserves the SAME answer as the first time, so we rebuild
+// the account as it was right after the original command (as-of query).
+async function runAccountCommand(command, action) {
+  const account = await accountRepository.getAccount(command.accountId);
+  const metadata = eventMetadata.fromCommand(command);
+
+  const processed = account.getProcessedCommand(metadata);
+  if (processed) {
+    console.log(
+      `[CommandBus] ♻️ ${command.type} ${command.commandId} already applied at Seq ${processed.lastSeq}.`
+    );
+    const original = new BankAccount(command.accountId);
+    await original.loadAsOf({ seqNum: processed.lastSeq });
+    return { ...toResult(original), duplicate: true };
+  }
+
+  // --- CONCEPT: CLIENT-SIDE OPTIMISTIC CONCURRENCY ---
+  // The client decided based on the version it last saw (e.g. HTTP ETag).
+  // If the account moved on since then, its decision may no longer be valid.
+  if (
+    command.expectedSeq !== undefined &&
+    command.expectedSeq !== account.lastSeq
+  ) {
+    throw new ConcurrencyError(
+      command.accountId,
+      command.expectedSeq,
+      account.lastSeq
+    );
+  }
+
+  await action(account, metadata);
+  return toResult(account);
+}
+
+function registerAccountCommands(bus) {
+  bus.register(
+    COMMANDS.OPEN_ACCOUNT,
+    (command) =>
+      runAccountCommand(command, (account, metadata) =>
+        account.openAccount(
+          command.amount,
+          command.currency,
+          command.holder,
+          metadata
+        )
+      ),
+    {
+      validate: (command) => {
+        requireAccountId(command);
+        requireAmount(command, { allowZero: true });
+        requireCurrency(command);
+        if (command.holder !== undefined) requireHolder(command.holder);
+      },
+    }
+  );
+
+  bus.register(
+    COMMANDS.DEPOSIT,
+    (command) =>
+      runAccountCommand(command, (account, metadata) =>
+        account.deposit(command.amount, command.currency, metadata)
+      ),
+    { validate: validateMoneyCommand }
+  );
+
+  bus.register(
+    COMMANDS.WITHDRAW,
+    (command) =>
+      runAccountCommand(command, (account, metadata) =>
+        account.withdraw(command.amount, command.currency, metadata)
+      ),
+    { validate: validateMoneyCommand }
+  );
+
+  bus.register(
+    COMMANDS.CLOSE_ACCOUNT,
+    (command) =>
+      runAccountCommand(command, (account, metadata) =>
+        account.closeAccount(metadata)
+      ),
+    { validate: requireAccountId }
+  );
+
+  bus.register(
+    COMMANDS.FREEZE_ACCOUNT,
+    (command) =>
+      runAccountCommand(command, (account, metadata) =>
+        account.freeze(command.reason, metadata)
+      ),
+    {
+      validate: (command) => {
+        requireAccountId(command);
+        if (typeof command.reason !== "string" || command.reason === "") {
+          throw new ValidationError("reason must be a non-empty string");
+        }
+      },
+    }
+  );
+
+  bus.register(
+    COMMANDS.UNFREEZE_ACCOUNT,
+    (command) =>
+      runAccountCommand(command, (account, metadata) =>
+        account.unfreeze(metadata)
+      ),
+    { validate: requireAccountId }
+  );
+
+  bus.register(
+    COMMANDS.SET_OVERDRAFT_LIMIT,
+    (command) =>
+      runAccountCommand(command, (account, metadata) =>
+        account.setOverdraftLimit(command.limit, command.currency, metadata)
+      ),
+    {
+      validate: (command) => {
+        requireAccountId(command);
+        requireAmount(command, { field: "limit", allowZero: true });
+        requireCurrency(command);
+      },
+    }
+  );
+
+  bus.register(
+    COMMANDS.EXCHANGE_CURRENCY,
+    (command) =>
+      runAccountCommand(command, (account, metadata) =>
+        account.exchange(
+          command.amount,
+          command.fromCurrency,
+          command.toCurrency,
+          command.rate,
+          metadata
+        )
+      ),
+    {
+      validate: (command) => {
+        requireAccountId(command);
+        requireAmount(command);
+        requireCurrency(command, "fromCurrency");
+        requireCurrency(command, "toCurrency");
+        if (command.fromCurrency === command.toCurrency) {
+          throw new ValidationError("Cannot exchange a currency for itself");
+        }
+        if (!Money.isRate(command.rate)) {
+          throw new ValidationError("rate must be a positive decimal");
+        }
+      },
+    }
+  );
+
+  bus.register(
+    COMMANDS.REQUEST_TRANSFER,
+    async (command) => ({
+      transferId: transferManager.requestTransfer(
+        command.accountId,
+        command.toAccountId,
+        command.amount,
+        command.currency,
+        eventMetadata.fromCommand(command)
+      ),
+    }),
+    {
+      validate: (command) => {
+        validateMoneyCommand(command);
+        if (typeof command.toAccountId !== "string" || !command.toAccountId) {
+          throw new ValidationError("toAccountId must be a non-empty string");
+        }
+      },
+    }
+  );
+}
+
+module.exports = {
+  COMMANDS,
+  openAccount,
+  deposit,
+  withdraw,
+  requestTransfer,
+  closeAccount,
+  freezeAccount,
+  unfreezeAccount,
+  setOverdraftLimit,
+  exchangeCurrency,
+  registerAccountCommands,
+};
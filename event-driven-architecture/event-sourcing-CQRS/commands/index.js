@@ -0,0 +1,25 @@
+const CommandBus = require("./CommandBus");
+const middleware = require("./middleware");
+const { registerAccountCommands } = require("./accountCommands");
+const accountRepository = require("../AccountRepository");
+const config = require("../config");
+
+// --- WIRING ---
+// Order matters (outermost first):
+// logging -> validation -> idempotency -> retry -> handler
+// e.g. a duplicate idempotency key is answered before any retry logic runs,
+// and every retry attempt is still covered by a single log line.
+const commandBus = new CommandBus()
+  .use(middleware.logging())
+  .use(middleware.validation())
+  .use(middleware.idempotency({ ttlMs: config.IDEMPOTENCY_TTL_MS }))
+  .use(
+    middleware.retryOnConflict({
+      maxAttempts: config.COMMAND_MAX_ATTEMPTS,
+      onConflict: (command) => accountRepository.forget(command.accountId),
+    })
+  );
+
+registerAccountCommands(commandBus);
+
+module.exports = commandBus;
@@ -0,0 +1,104 @@
+const { ConcurrencyError } = require("../errors");
+
+// =========================================================
+// --- COMMAND BUS MIDDLEWARE ---
+// Signature: async (command, context, next) => result
+// =========================================================
+
+function logging() {
+  return async (command, context, next) => {
+    const startedAt = Date.now();
+    try {
+      const result = await next();
+      const tookMs = Date.now() - startedAt;
+      console.log(
+        `[CommandBus] ✅ ${command.type} (${command.accountId}) in ${tookMs}ms`
+      );
+      return result;
+    } catch (err) {
+      console.error(
+        `[CommandBus] ❌ ${command.type} (${command.accountId}): ${err.message}`
+      );
+      throw err;
+    }
+  };
+}
+
+// Rejects malformed commands BEFORE any Aggregate is loaded.
+function validation() {
+  return async (command, context, next) => {
+    if (context.validate) context.validate(command);
+    return next();
+  };
+}
+
+// --- CONCEPT: IDEMPOTENCY KEYS ---
+// A client that retries after a timeout sends the SAME commandId.
+// We remember the result (or the in-flight promise) per command type and
+// commandId for ttlMs, so the retry gets the original result instead of
+// executing twice. The type is part of the key: a client reusing an id
+// for a different command must not get another command's result.
+// This is only a fast, in-process shortcut: the durable guarantee lives in
+// the Aggregate (processed commandIds are stored in event metadata), which
+// also covers restarts and other processes.
+function idempotency({ ttlMs }) {
+  // Map<"CommandType:CommandId", { promise, expiresAt }>
+  const seen = new Map();
+
+  return async (command, context, next) => {
+    if (!command.commandId) return next();
+    const key = `${command.type}:${command.commandId}`;
+
+    const now = Date.now();
+    for (const [k, entry] of seen) {
+      if (entry.expiresAt <= now) seen.delete(k);
+    }
+
+    const previous = seen.get(key);
+    if (previous) {
+      console.log(
+        `[CommandBus] ♻️ Duplicate command ${key}. Replaying result.`
+      );
+      return previous.promise;
+    }
+
+    const promise = next();
+    seen.set(key, { promise, expiresAt: now + ttlMs });
+
+    // A FAILED command may be retried for real, so don't remember failures.
+    promise.catch(() => seen.delete(key));
+    return promise;
+  };
+}
+
+// --- CONCEPT: RELOAD-AND-RETRY ---
+// A ConcurrencyError means "someone wrote first", not "your command is wrong".
+// We drop the stale Aggregate and run the handler again: it reloads the
+// latest state and re-validates the business rules against it
+// (e.g. the balance may no longer cover the withdrawal).
+function retryOnConflict({ maxAttempts, onConflict }) {
+  return async (command, context, next) => {
+    for (let attempt = 1; ; attempt++) {
+      context.attempt = attempt;
+      try {
+        return await next();
+      } catch (err) {
+        // If the client pinned a version (expectedSeq / HTTP If-Match),
+        // reloading would silently ignore its precondition: fail instead.
+        if (
+          !(err instanceof ConcurrencyError) ||
+          command.expectedSeq !== undefined ||
+          attempt >= maxAttempts
+        ) {
+          throw err;
+        }
+        console.log(
+          `[CommandBus] ⚠️ Conflict on ${command.accountId} (attempt ${attempt}/${maxAttempts}). Reloading...`
+        );
+        if (onConflict) onConflict(command, err);
+      }
+    }
+  };
+}
+
+module.exports = { logging, validation, idempotency, retryOnConflict };
@@ -1,7 +1,66 @@
+const path = require("path");
+
+// Everything this app persists lives under one folder. DATA_DIR overrides it,
+// e.g. a throwaway folder per test run.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+
 module.exports = {
+  // "amqp" = RabbitMQ at RABBIT_URL, "memory" = in-process broker (no network)
+  BROKER_DRIVER: process.env.BROKER_DRIVER || "amqp",
   RABBIT_URL: "amqp://localhost",
   EXCHANGE: "events_topic",
   QUEUE: "read_model_updater",
   ROUTING_KEY: "account.events",
+  HTTP_PORT: 3000,
   SNAPSHOT_THRESHOLD: 5,
+  SNAPSHOT_RETENTION: 3, // Keep only the last 3 snapshots per stream
+  // Aggregate cache: LRU bound + sliding TTL (reset on every access)
+  CACHE_MAX_SIZE: 1000,
+  CACHE_TTL_MS: 5 * 60 * 1000,
+  // "file" = durable append-only segment log, "memory" = lost on restart
+  EVENT_STORE_DRIVER: "file",
+  EVENT_STORE_DIR: path.join(DATA_DIR, "events"),
+  SEGMENT_MAX_BYTES: 1024 * 1024, // Roll over to a new segment file at 1 MB
+  // Cold storage for archived events, and the per-stream PII keys
+  // (kept OUTSIDE the event log, so destroying one really erases data)
+  ARCHIVE_DIR: path.join(DATA_DIR, "archive"),
+  KEYSTORE_FILE: path.join(DATA_DIR, "keys.json"),
+  // Transactional Outbox relay
+  OUTBOX_CHECKPOINT_FILE: path.join(DATA_DIR, "outbox.json"),
+  OUTBOX_MAX_RETRIES: 5,
+  OUTBOX_RETRY_BASE_MS: 200, // Backoff: 200ms, 400ms, 800ms...
+  OUTBOX_POLL_INTERVAL_MS: 1000,
+  OUTBOX_BATCH_SIZE: 100, // Events published per checkpoint write
+  OUTBOX_MAX_BACKOFF_MS: 30000, // Longest wait between two failed drains
+  // Projector: attempts per event before it is parked (see ParkingLot.js)
+  PROJECTOR_MAX_ATTEMPTS: 3,
+  PROJECTOR_RETRY_BASE_MS: 100, // Backoff: 100ms, 200ms, 400ms...
+  PARKING_LOT_FILE: path.join(DATA_DIR, "parking-lot.json"),
+  // Named projections: one checkpoint file (position + state) per projection
+  PROJECTIONS_DIR: path.join(DATA_DIR, "projections"),
+  // ...written every N events, or this long after the first unsaved one
+  PROJECTION_CHECKPOINT_EVERY: 100,
+  PROJECTION_CHECKPOINT_INTERVAL_MS: 1000,
+  // Projection rebuild: events replayed (and checkpointed) per batch
+  REBUILD_BATCH_SIZE: 100,
+  REBUILD_CHECKPOINT_FILE: path.join(DATA_DIR, "rebuild.json"),
+  // Command Bus: attempts per command on a Concurrency Conflict (reload + retry)
+  COMMAND_MAX_ATTEMPTS: 3,
+  IDEMPOTENCY_TTL_MS: 10 * 60 * 1000, // In-process cache of recent command results
+  COMMAND_ID_RETENTION_MS: 24 * 60 * 60 * 1000, // Durable de-duplication window (write side)
+  // Money: amounts are integer minor units (cents), see Money.js
+  DEFAULT_CURRENCY: "USD",
+  // Rolling withdrawal cap per account and currency, checked against the
+  // last 24h of events. In minor units OF EACH CURRENCY (500000 USD =
+  // 5000.00 USD, but JPY has no decimals: 750000 JPY = 750000 yen)
+  DAILY_WITHDRAWAL_LIMITS: {
+    USD: 500000,
+    EUR: 500000,
+    GBP: 400000,
+    CHF: 500000,
+    JPY: 750000,
+  },
+  WITHDRAWAL_WINDOW_MS: 24 * 60 * 60 * 1000,
+  // Transfer Process Manager: reload-and-retry attempts on a Concurrency Conflict
+  TRANSFER_MAX_RETRIES: 3,
 };
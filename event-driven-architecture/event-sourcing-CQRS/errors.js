@@ -0,0 +1,151 @@
+const { format, formatBalances } = require("./Money");
+
+// --- CONCEPT: TYPED ERRORS ---
+// Callers need to tell "someone else wrote first, reload and retry"
+// apart from "this command is simply not allowed".
+// A dedicated class lets them check with 'instanceof' instead of parsing messages.
+
+class ConcurrencyError extends Error {
+  constructor(streamId, expectedSeq, actualSeq) {
+    super(
+      `Concurrency Conflict for ${streamId}: Expected version ${expectedSeq}, but found ${actualSeq}.`
+    );
+    this.name = "ConcurrencyError";
+    this.streamId = streamId;
+    this.expectedSeq = expectedSeq;
+    this.actualSeq = actualSeq;
+  }
+}
+
+// The stream was deleted (tombstone): it can never be written again.
+// Not a DomainError: it is the store refusing, whatever the Aggregate says.
+class StreamDeletedError extends Error {
+  constructor(streamId) {
+    super(`Stream ${streamId} has been deleted`);
+    this.name = "StreamDeletedError";
+    this.streamId = streamId;
+  }
+}
+
+// A complete record of the event log can't be read. Not something a crash
+// mid-write produces (see SegmentLog.readAll), so nothing is discarded:
+// committed events may come after it. An operator has to look.
+class LogCorruptedError extends Error {
+  constructor(file, offset) {
+    super(`Corrupted record in ${file} at byte ${offset}. Refusing to start.`);
+    this.name = "LogCorruptedError";
+    this.file = file;
+    this.offset = offset;
+  }
+}
+
+// The command itself is malformed (missing field, negative amount...).
+// Retrying the same command can never succeed.
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+// The command is well-formed, but the Aggregate's business rules reject it
+// in its CURRENT state (e.g. "Insufficient funds", "Account closed").
+class DomainError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DomainError";
+  }
+}
+
+// --- DOMAIN-SPECIFIC ERRORS ---
+// All of them are DomainErrors (HTTP 422, transfer failure...), but callers
+// that care about ONE rule can catch exactly that one.
+
+class AccountClosedError extends DomainError {
+  constructor(streamId) {
+    super("Account closed");
+    this.name = "AccountClosedError";
+    this.streamId = streamId;
+  }
+}
+
+class AccountFrozenError extends DomainError {
+  constructor(streamId) {
+    super("Account frozen");
+    this.name = "AccountFrozenError";
+    this.streamId = streamId;
+  }
+}
+
+// e.g. unfreezing an account that isn't frozen
+class InvalidTransitionError extends DomainError {
+  constructor(streamId, status, action) {
+    super(`Cannot ${action}: account is ${status}`);
+    this.name = "InvalidTransitionError";
+    this.streamId = streamId;
+    this.status = status;
+    this.action = action;
+  }
+}
+
+class InsufficientFundsError extends DomainError {
+  constructor(streamId, available, amount) {
+    super("Insufficient funds");
+    this.name = "InsufficientFundsError";
+    this.streamId = streamId;
+    this.available = available; // balance + overdraft limit
+    this.amount = amount;
+  }
+}
+
+class DailyLimitExceededError extends DomainError {
+  constructor(streamId, limit, remaining, currency) {
+    super(
+      `Daily withdrawal limit of ${format(limit, currency)} exceeded (${format(
+        remaining,
+        currency
+      )} left)`
+    );
+    this.name = "DailyLimitExceededError";
+    this.streamId = streamId;
+    this.limit = limit;
+    this.remaining = remaining;
+    this.currency = currency;
+  }
+}
+
+class NonZeroBalanceError extends DomainError {
+  constructor(streamId, balances) {
+    const left = formatBalances(balances);
+    super(`Balance must be zero to close the account (is ${left})`);
+    this.name = "NonZeroBalanceError";
+    this.streamId = streamId;
+    this.balances = balances; // Only the non-zero ones
+  }
+}
+
+// e.g. withdrawing EUR from an account that only holds USD
+class CurrencyMismatchError extends DomainError {
+  constructor(streamId, currency, heldCurrencies) {
+    super(`Account holds no ${currency} (holds: ${heldCurrencies.join(", ")})`);
+    this.name = "CurrencyMismatchError";
+    this.streamId = streamId;
+    this.currency = currency;
+    this.heldCurrencies = heldCurrencies;
+  }
+}
+
+module.exports = {
+  ConcurrencyError,
+  StreamDeletedError,
+  LogCorruptedError,
+  ValidationError,
+  DomainError,
+  AccountClosedError,
+  AccountFrozenError,
+  InvalidTransitionError,
+  InsufficientFundsError,
+  DailyLimitExceededError,
+  NonZeroBalanceError,
+  CurrencyMismatchError,
+};
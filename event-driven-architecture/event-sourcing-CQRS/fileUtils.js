@@ -0,0 +1,27 @@
+const fs = require("fs");
+const path = require("path");
+
+// --- CONCEPT: ATOMIC FILE WRITE ---
+// Write to a temp file, fsync it, then rename over the old one.
+// rename() is atomic, so a crash leaves either the old or the new file,
+// never a half-written one. Used for checkpoints.
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const tmpFile = `${file}.tmp`;
+  const fd = fs.openSync(tmpFile, "w");
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpFile, file);
+}
+
+function readJsonFile(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = { writeFileAtomic, readJsonFile };
@@ -0,0 +1,26 @@
+const Projection = require("./Projection");
+const readModel = require("../ReadModelDB");
+
+// The original Read Model (one row per account) hosted as a named projection.
+// ReadModelDB keeps its own per-account idempotency (lastProcessedSeq);
+// the projection adds the global checkpoint on top.
+class BalancesProjection extends Projection {
+  constructor() {
+    // v2: per-currency 'balances' rows (see ReadModelDB)
+    super("balances", {}, { version: 2 });
+  }
+
+  handle(event) {
+    readModel.applyUpdate(event.streamId, event.type, event.data, event.seqNum);
+  }
+
+  exportState() {
+    return readModel.exportRows();
+  }
+
+  importState(rows) {
+    readModel.importRows(rows);
+  }
+}
+
+module.exports = BalancesProjection;
@@ -0,0 +1,37 @@
+const Projection = require("./Projection");
+
+// Report: how much money came in per calendar day (UTC).
+// Structure: Map<"YYYY-MM-DD", { count, totals: { [currency]: minor units } }>
+class DailyDepositsProjection extends Projection {
+  constructor() {
+    super(
+      "daily-deposits",
+      {
+        MoneyDeposited: (event) => {
+          const day = new Date(event.timestamp).toISOString().slice(0, 10);
+          const row = this.days.get(day) || { count: 0, totals: {} };
+          const { amount, currency } = event.data;
+          row.count++;
+          row.totals[currency] = (row.totals[currency] || 0) + amount;
+          this.days.set(day, row);
+        },
+      },
+      { version: 2 } // v2: totals per currency
+    );
+    this.days = new Map();
+  }
+
+  getDay(day) {
+    return this.days.get(day) || { count: 0, totals: {} };
+  }
+
+  exportState() {
+    return [...this.days.entries()];
+  }
+
+  importState(entries) {
+    this.days = new Map(entries);
+  }
+}
+
+module.exports = DailyDepositsProjection;
@@ -0,0 +1,173 @@
+const path = require("path");
+const eventStore = require("../EventStore");
+const config = require("../config");
+const { writeFileAtomic, readJsonFile } = require("../fileUtils");
+
+// --- CONCEPT: NAMED PROJECTION ---
+// A projection is one independent "view" built from the same events.
+// Each one has:
+// - a NAME (used for its checkpoint file and for monitoring)
+// - its own HANDLERS: { EventType: (event) => void }. Unknown types are ignored.
+// - its own CHECKPOINT: the global position of the last event it applied.
+// - a VERSION: bump it when the shape of its state changes. A checkpoint
+//   saved by another version is ignored and the projection starts over.
+//
+// Because every projection tracks its own position, we can add a new one
+// later, let it catch up from position 1, and the others are not affected.
+class Projection {
+  constructor(name, handlers = {}, { version = 1 } = {}) {
+    this.name = name;
+    this.handlers = handlers;
+    this.version = version;
+    this.position = 0;
+
+    // Events applied since the last checkpoint write, and the pending
+    // timer that will write it (see scheduleCheckpoint)
+    this.unsavedEvents = 0;
+    this.checkpointTimer = null;
+
+    // Positions of ParkingLot events applied by a replay whose entry may
+    // still be in the lot (see apply)
+    this.replayed = new Set();
+
+    // The checkpoint only makes sense if the events themselves survive restarts.
+    this.checkpointFile =
+      config.EVENT_STORE_DRIVER === "file"
+        ? path.join(config.PROJECTIONS_DIR, `${name}.json`)
+        : null;
+  }
+
+  // --- Override these two to make the projection's state durable ---
+  exportState() {
+    return null;
+  }
+
+  importState(state) {}
+
+  loadCheckpoint() {
+    const checkpoint = this.checkpointFile
+      ? readJsonFile(this.checkpointFile)
+      : null;
+    if (!checkpoint) return;
+
+    // Checkpoints from before versioning existed count as v1.
+    const savedVersion = checkpoint.version || 1;
+    if (savedVersion !== this.version) {
+      console.log(
+        `[Projection] ${this.name}: checkpoint is v${savedVersion}, need v${this.version}. Starting over.`
+      );
+      return;
+    }
+
+    this.importState(checkpoint.state);
+    this.position = checkpoint.position;
+    this.replayed = new Set(checkpoint.replayed || []);
+  }
+
+  // State and position are saved TOGETHER in one atomic write.
+  // Saving them separately could leave a position that doesn't match the
+  // state after a crash (double-applied or skipped events).
+  saveCheckpoint() {
+    clearTimeout(this.checkpointTimer);
+    this.checkpointTimer = null;
+    this.unsavedEvents = 0;
+    if (!this.checkpointFile) return;
+    writeFileAtomic(
+      this.checkpointFile,
+      JSON.stringify({
+        version: this.version,
+        position: this.position,
+        replayed: [...this.replayed],
+        state: this.exportState(),
+      })
+    );
+  }
+
+  // --- CONCEPT: BATCHED CHECKPOINTS ---
+  // exportState() is the WHOLE state (e.g. every Read Model row), so
+  // writing it after each event would make a full replay O(N²) in I/O.
+  // Instead it is written every PROJECTION_CHECKPOINT_EVERY events, or
+  // PROJECTION_CHECKPOINT_INTERVAL_MS after the first unsaved one.
+  // A crash loses at most that much progress, never consistency (state and
+  // position still go together): the Projector replays the gap from the
+  // Event Store on startup (see startProjector).
+  scheduleCheckpoint() {
+    this.unsavedEvents++;
+    if (this.unsavedEvents >= config.PROJECTION_CHECKPOINT_EVERY) {
+      this.saveCheckpoint();
+      return;
+    }
+    if (this.checkpointTimer) return;
+
+    this.checkpointTimer = setTimeout(() => {
+      try {
+        this.saveCheckpoint();
+      } catch (err) {
+        // Retried with the next event (its state is still unsaved)
+        console.error(
+          `[Projection] ❌ ${this.name}: checkpoint failed: ${err.message}`
+        );
+      }
+    }, config.PROJECTION_CHECKPOINT_INTERVAL_MS);
+    this.checkpointTimer.unref();
+  }
+
+  // Writes what is pending now (e.g. at the end of a catch-up).
+  flushCheckpoint() {
+    if (this.unsavedEvents > 0) this.saveCheckpoint();
+  }
+
+  handle(event) {
+    const handler = this.handlers[event.type];
+    if (handler) handler(event);
+  }
+
+  // { replay: true } is for events coming back from the ParkingLot: they
+  // are older than our checkpoint (we moved on without them), but were
+  // never applied. The position check is skipped, and the checkpoint
+  // never moves backwards.
+  apply(event, { replay = false } = {}) {
+    // --- CONCEPT: POSITION-BASED IDEMPOTENCY ---
+    // Events arrive in global order, so anything at or below our checkpoint
+    // has already been applied (e.g. a RabbitMQ redelivery).
+    if (!replay && event.position <= this.position) return;
+
+    // --- CONCEPT: REPLAY MARKERS ---
+    // The position check can't protect a replay, so the replayed position
+    // is recorded in the SAME atomic write as the state it changed. A
+    // crash before the ParkingLot removed the entry replays it again,
+    // and this marker makes that a no-op.
+    if (replay && this.replayed.has(event.position)) return;
+
+    this.handle(event);
+    this.position = Math.max(this.position, event.position);
+
+    if (replay) {
+      this.replayed.add(event.position);
+      this.saveCheckpoint();
+    } else {
+      this.scheduleCheckpoint();
+    }
+  }
+
+  // Called once the ParkingLot no longer holds the event. The marker
+  // leaves the file with the next checkpoint; until then it is harmless.
+  forgetReplayed(position) {
+    this.replayed.delete(position);
+  }
+
+  // --- CONCEPT: PROJECTION LAG ---
+  // How many events exist in the store that this projection hasn't seen yet.
+  // 0 = up to date. A growing number = the projection can't keep up (or is stuck).
+  getStatus() {
+    const headPosition = eventStore.getHeadPosition();
+    return {
+      name: this.name,
+      position: this.position,
+      headPosition,
+      lag: Math.max(headPosition - this.position, 0),
+    };
+  }
+}
+
+module.exports = Projection;
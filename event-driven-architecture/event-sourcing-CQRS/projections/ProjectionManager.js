@@ -0,0 +1,82 @@
+const BalancesProjection = require("./BalancesProjection");
+const DailyDepositsProjection = require("./DailyDepositsProjection");
+const TopAccountsProjection = require("./TopAccountsProjection");
+
+// --- CONCEPT: PROJECTION HOST ---
+// One consumer (the Projector) feeds every event to ALL registered projections.
+// Each projection decides on its own whether it already saw the event.
+class ProjectionManager {
+  constructor() {
+    // Map<ProjectionName, Projection>
+    this.projections = new Map();
+  }
+
+  register(projection) {
+    if (this.projections.has(projection.name)) {
+      throw new Error(`Projection "${projection.name}" already registered`);
+    }
+    projection.loadCheckpoint();
+    this.projections.set(projection.name, projection);
+    return projection;
+  }
+
+  get(name) {
+    return this.projections.get(name);
+  }
+
+  getNames() {
+    return [...this.projections.keys()];
+  }
+
+  dispatch(event) {
+    const failures = this.tryDispatch(event);
+    if (failures.length > 0) throw failures[0].error;
+  }
+
+  // Applies the event to each named projection INDEPENDENTLY: one failing
+  // projection doesn't keep the others from the event.
+  // Returns [{ name, error }] for the ones that failed (see Projector.js).
+  tryDispatch(event, names = this.getNames(), options = {}) {
+    const failures = [];
+    for (const name of names) {
+      const projection = this.projections.get(name);
+      if (!projection) continue; // Removed since the event was parked
+      try {
+        projection.apply(event, options);
+      } catch (error) {
+        failures.push({ name, error });
+      }
+    }
+    return failures;
+  }
+
+  // Where a catch-up subscription must start so the slowest projection
+  // doesn't miss anything. Faster ones skip what they already have.
+  getLowestPosition() {
+    const positions = [...this.projections.values()].map((p) => p.position);
+    return positions.length > 0 ? Math.min(...positions) : 0;
+  }
+
+  getStatus() {
+    return [...this.projections.values()].map((p) => p.getStatus());
+  }
+
+  forgetReplayed(position) {
+    for (const projection of this.projections.values()) {
+      projection.forgetReplayed(position);
+    }
+  }
+
+  flushCheckpoints() {
+    for (const projection of this.projections.values()) {
+      projection.flushCheckpoint();
+    }
+  }
+}
+
+const projectionManager = new ProjectionManager();
+projectionManager.register(new BalancesProjection());
+projectionManager.register(new DailyDepositsProjection());
+projectionManager.register(new TopAccountsProjection());
+
+module.exports = projectionManager;
@@ -0,0 +1,61 @@
+const Projection = require("./Projection");
+const config = require("../config");
+
+// Leaderboard: the accounts with the highest balance, PER CURRENCY
+// (100 USD and 100 JPY can't be ranked against each other without a rate).
+// It keeps its OWN balances instead of reading ReadModelDB, so it never
+// depends on another projection's progress.
+// Structure: Map<Currency, Map<StreamId, balance in minor units>>
+class TopAccountsProjection extends Projection {
+  constructor() {
+    const add = (event, amount) => {
+      const { currency } = event.data;
+      if (!this.balances.has(currency)) this.balances.set(currency, new Map());
+      const accounts = this.balances.get(currency);
+      accounts.set(
+        event.streamId,
+        (accounts.get(event.streamId) || 0) + amount
+      );
+    };
+
+    super(
+      "top-accounts",
+      {
+        AccountOpened: (event) => add(event, event.data.initialAmount),
+        MoneyDeposited: (event) => add(event, event.data.amount),
+        ExchangeCredited: (event) => add(event, event.data.amount),
+        MoneyWithdrawn: (event) => add(event, -event.data.amount),
+        ExchangeDebited: (event) => add(event, -event.data.amount),
+        $StreamDeleted: (event) => {
+          for (const accounts of this.balances.values()) {
+            accounts.delete(event.streamId);
+          }
+        },
+      },
+      { version: 2 } // v2: one leaderboard per currency
+    );
+    this.balances = new Map();
+  }
+
+  getTop(limit = 10, currency = config.DEFAULT_CURRENCY) {
+    return [...(this.balances.get(currency) || new Map()).entries()]
+      .map(([id, balance]) => ({ id, balance }))
+      .sort((a, b) => b.balance - a.balance)
+      .slice(0, limit);
+  }
+
+  exportState() {
+    return [...this.balances.entries()].map(([currency, accounts]) => [
+      currency,
+      [...accounts.entries()],
+    ]);
+  }
+
+  importState(entries) {
+    this.balances = new Map(
+      entries.map(([currency, accounts]) => [currency, new Map(accounts)])
+    );
+  }
+}
+
+module.exports = TopAccountsProjection;
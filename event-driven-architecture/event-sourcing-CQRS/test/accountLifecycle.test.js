@@ -0,0 +1,129 @@
+const { startPipeline, stopPipeline, rejectionOf } = require("./helpers");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const config = require("../config");
+const commandBus = require("../commands");
+const {
+  openAccount,
+  deposit,
+  withdraw,
+  closeAccount,
+  freezeAccount,
+  unfreezeAccount,
+  setOverdraftLimit,
+  exchangeCurrency,
+} = require("../commands/accountCommands");
+const {
+  AccountClosedError,
+  AccountFrozenError,
+  CurrencyMismatchError,
+  DailyLimitExceededError,
+  InsufficientFundsError,
+  NonZeroBalanceError,
+} = require("../errors");
+
+before(startPipeline);
+after(stopPipeline);
+
+test("an overdraft lets the balance go negative, down to the limit", async () => {
+  await commandBus.dispatch(openAccount("overdraft", 0));
+  await commandBus.dispatch(setOverdraftLimit("overdraft", 5000));
+
+  const result = await commandBus.dispatch(withdraw("overdraft", 3000));
+  assert.equal(result.balances.USD, -3000);
+
+  const err = await rejectionOf(
+    commandBus.dispatch(withdraw("overdraft", 2001))
+  );
+  assert.ok(err instanceof InsufficientFundsError);
+});
+
+test("an account can only be closed at a zero balance", async () => {
+  await commandBus.dispatch(openAccount("closing", 0));
+  await commandBus.dispatch(setOverdraftLimit("closing", 5000));
+  await commandBus.dispatch(withdraw("closing", 3000));
+
+  const err = await rejectionOf(commandBus.dispatch(closeAccount("closing")));
+  assert.ok(err instanceof NonZeroBalanceError);
+
+  await commandBus.dispatch(deposit("closing", 3000));
+  const closed = await commandBus.dispatch(closeAccount("closing"));
+  assert.equal(closed.status, "Closed");
+
+  const afterClose = await rejectionOf(
+    commandBus.dispatch(deposit("closing", 500))
+  );
+  assert.ok(afterClose instanceof AccountClosedError);
+});
+
+test("a frozen account receives money but cannot send any", async () => {
+  await commandBus.dispatch(openAccount("frozen", 1000));
+  await commandBus.dispatch(freezeAccount("frozen", "Suspicious activity"));
+
+  const err = await rejectionOf(commandBus.dispatch(withdraw("frozen", 500)));
+  assert.ok(err instanceof AccountFrozenError);
+  const credited = await commandBus.dispatch(deposit("frozen", 500));
+  assert.equal(credited.balances.USD, 1500);
+
+  await commandBus.dispatch(unfreezeAccount("frozen"));
+  const debited = await commandBus.dispatch(withdraw("frozen", 500));
+  assert.equal(debited.balances.USD, 1000);
+});
+
+test("each currency has its own daily withdrawal cap", async () => {
+  await commandBus.dispatch(openAccount("capped", 1000000));
+  await commandBus.dispatch(deposit("capped", 1000000, { currency: "EUR" }));
+
+  // The whole USD cap, then the whole EUR cap: neither eats into the other
+  await commandBus.dispatch(withdraw("capped", 500000));
+  await commandBus.dispatch(withdraw("capped", 500000, { currency: "EUR" }));
+
+  const err = await rejectionOf(commandBus.dispatch(withdraw("capped", 1)));
+  assert.ok(err instanceof DailyLimitExceededError);
+  assert.equal(err.currency, "USD");
+  assert.equal(err.remaining, 0);
+});
+
+test("a currency without a configured daily cap can't be withdrawn at all", async () => {
+  await commandBus.dispatch(
+    openAccount("uncapped", 100000, { currency: "CHF" })
+  );
+
+  const limits = config.DAILY_WITHDRAWAL_LIMITS;
+  const withoutChf = { ...limits };
+  delete withoutChf.CHF;
+  config.DAILY_WITHDRAWAL_LIMITS = withoutChf;
+  try {
+    const err = await rejectionOf(
+      commandBus.dispatch(withdraw("uncapped", 1, { currency: "CHF" }))
+    );
+    assert.ok(err instanceof DailyLimitExceededError);
+
+    // ... and the Aggregate refuses to load with such a config
+    const modulePath = require.resolve("../BankAccount");
+    const loaded = require.cache[modulePath];
+    delete require.cache[modulePath];
+    try {
+      assert.throws(() => require("../BankAccount"), /no cap for: CHF/);
+    } finally {
+      require.cache[modulePath] = loaded;
+    }
+  } finally {
+    config.DAILY_WITHDRAWAL_LIMITS = limits;
+  }
+});
+
+test("an exchange debits one currency and credits another at the given rate", async () => {
+  await commandBus.dispatch(openAccount("fx", 10000));
+
+  const result = await commandBus.dispatch(
+    exchangeCurrency("fx", 5000, "USD", "EUR", "0.92")
+  );
+  assert.deepEqual(result.balances, { USD: 5000, EUR: 4600 });
+
+  const err = await rejectionOf(
+    commandBus.dispatch(withdraw("fx", 100, { currency: "GBP" }))
+  );
+  assert.ok(err instanceof CurrencyMismatchError);
+});
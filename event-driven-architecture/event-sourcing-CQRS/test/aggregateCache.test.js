@@ -0,0 +1,64 @@
+require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const BankAccount = require("../BankAccount");
+const aggregateCache = require("../AggregateCache");
+
+// A fresh cache per test (the module exports the app's singleton)
+const AggregateCache = aggregateCache.constructor;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Enough for the cache: streams that don't exist have version 0
+const fakeAggregate = (name) => ({ name, lastSeq: 0 });
+
+test("when full, the least recently USED entry is evicted, not the oldest", () => {
+  const cache = new AggregateCache({ maxSize: 2, ttlMs: 60000 });
+  cache.set("lru-a", fakeAggregate("a"));
+  cache.set("lru-b", fakeAggregate("b"));
+
+  cache.get("lru-a"); // a is now more recent than b
+  cache.set("lru-c", fakeAggregate("c"));
+
+  assert.equal(cache.get("lru-b"), undefined);
+  assert.equal(cache.get("lru-a").name, "a");
+  assert.equal(cache.get("lru-c").name, "c");
+  assert.equal(cache.getStats().size, 2);
+  assert.equal(cache.getStats().evictions, 1);
+});
+
+test("an entry expires after ttlMs without access, and each access extends it", async () => {
+  const cache = new AggregateCache({ maxSize: 10, ttlMs: 200 });
+  cache.set("ttl-kept", fakeAggregate("kept"));
+  cache.set("ttl-idle", fakeAggregate("idle"));
+
+  await sleep(120);
+  assert.ok(cache.get("ttl-kept")); // Sliding TTL
+  await sleep(120);
+
+  assert.ok(cache.get("ttl-kept"));
+  assert.equal(cache.get("ttl-idle"), undefined);
+});
+
+test("a cached aggregate behind the store is refreshed with the missing events only", async () => {
+  const cache = new AggregateCache({ maxSize: 10, ttlMs: 60000 });
+  const cached = new BankAccount("cache-stale");
+  await cached.load();
+  await cached.openAccount(1000, "USD", { name: "C", email: "c@x.io" });
+  cache.set("cache-stale", cached);
+
+  // Another writer appends behind the cache's back
+  const other = new BankAccount("cache-stale");
+  await other.load();
+  await other.deposit(500, "USD");
+
+  const account = cache.get("cache-stale");
+  assert.equal(account, cached); // Same instance, no full reload
+  assert.equal(account.lastSeq, 2);
+  assert.equal(account.getBalance("USD"), 1500);
+  assert.equal(cache.getStats().refreshes, 1);
+
+  // Writable again: the next commit doesn't hit a concurrency conflict
+  await account.deposit(100, "USD");
+  assert.equal(account.lastSeq, 3);
+});
@@ -0,0 +1,60 @@
+require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const eventStore = require("../EventStore");
+const CatchUpSubscription = require("../CatchUpSubscription");
+
+const waitForDone = (subscription) => subscription.done;
+
+test("replays history, then follows live events", async () => {
+  eventStore.save("sub-history", "Noted", { n: 1 }, 0);
+  const seen = [];
+  const subscription = new CatchUpSubscription(async (event) => {
+    if (event.streamId === "sub-history") seen.push(event.data.n);
+  }).start();
+
+  eventStore.save("sub-history", "Noted", { n: 2 }, 1);
+  await new Promise((r) => setTimeout(r, 20));
+  await subscription.stop();
+
+  assert.deepEqual(seen, [1, 2]);
+});
+
+test("a throwing handler stops the subscription and reaches onError", async () => {
+  const first = eventStore.save("sub-failing", "Noted", {}, 0);
+  eventStore.save("sub-failing", "Poison", {}, 1);
+
+  const errors = [];
+  const subscription = new CatchUpSubscription(
+    async (event) => {
+      if (event.type === "Poison") throw new Error("handler bug");
+    },
+    {
+      fromPosition: first.position,
+      onError: (err, sub) => errors.push([err.message, sub.lastPosition]),
+    }
+  ).start();
+  await waitForDone(subscription);
+
+  // Stopped right before the failed event, so it can be retried from there
+  assert.deepEqual(errors, [["handler bug", first.position]]);
+  assert.equal(subscription.isStopped, true);
+  assert.equal(subscription.error.message, "handler bug");
+  assert.equal(eventStore.listenerCount("appended"), 0);
+  await subscription.stop(); // Still safe to call
+});
+
+test("without onError the failure is logged, not an unhandled rejection", async () => {
+  const event = eventStore.save("sub-default", "Poison", {}, 0);
+  const subscription = new CatchUpSubscription(
+    async () => {
+      throw new Error("handler bug");
+    },
+    { fromPosition: event.position }
+  ).start();
+
+  // An unhandled rejection would fail this test file
+  await waitForDone(subscription);
+  assert.equal(subscription.isStopped, true);
+});
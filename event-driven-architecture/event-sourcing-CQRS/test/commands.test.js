@@ -0,0 +1,131 @@
+const {
+  startPipeline,
+  stopPipeline,
+  waitFor,
+  rejectionOf,
+} = require("./helpers");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const BankAccount = require("../BankAccount");
+const commandBus = require("../commands");
+const CommandBus = require("../commands/CommandBus");
+const { registerAccountCommands } = require("../commands/accountCommands");
+const accountRepository = require("../AccountRepository");
+const readModel = require("../ReadModelDB");
+const {
+  openAccount,
+  deposit,
+  withdraw,
+  requestTransfer,
+} = require("../commands/accountCommands");
+const { ConcurrencyError, ValidationError } = require("../errors");
+
+before(startPipeline);
+after(stopPipeline);
+
+test("a valid command is saved and projected to the Read Model", async () => {
+  await commandBus.dispatch(openAccount("alice", 10000));
+  const result = await commandBus.dispatch(deposit("alice", 5000));
+
+  assert.equal(result.balances.USD, 15000);
+  assert.equal(result.lastSeq, 2);
+  await waitFor(() => {
+    const row = readModel.getAccount("alice");
+    return row && row.lastProcessedSeq === 2;
+  });
+  assert.equal(readModel.getAccount("alice").balances.USD, 15000);
+});
+
+test("a malformed command is rejected before any Aggregate is loaded", async () => {
+  const err = await rejectionOf(commandBus.dispatch(deposit("alice", -1000)));
+  assert.ok(err instanceof ValidationError);
+
+  const fractional = await rejectionOf(
+    commandBus.dispatch(deposit("alice", 10.5))
+  );
+  assert.ok(fractional instanceof ValidationError);
+});
+
+test("a write from a stale Aggregate fails with a ConcurrencyError", async () => {
+  await commandBus.dispatch(openAccount("bob", 10000));
+  await commandBus.dispatch(deposit("bob", 100));
+
+  const stale = new BankAccount("bob");
+  await stale.load();
+  stale.lastSeq = 1; // Someone else wrote since
+
+  await assert.rejects(stale.withdraw(500, "USD"), ConcurrencyError);
+});
+
+test("a retried commandId returns the original result without a second write", async () => {
+  await commandBus.dispatch(openAccount("carol", 0));
+
+  const command = deposit("carol", 2500, { commandId: "deposit-carol-1" });
+  const first = await commandBus.dispatch(command);
+  const retry = await commandBus.dispatch(command);
+
+  assert.equal(retry.lastSeq, first.lastSeq);
+  assert.equal(retry.balances.USD, 2500);
+});
+
+test("a commandId reused for another command type is not a duplicate", async () => {
+  await commandBus.dispatch(openAccount("frank", 0));
+  await commandBus.dispatch(openAccount("grace", 0));
+
+  const options = { commandId: "frank-1" };
+  await commandBus.dispatch(deposit("frank", 2500, options));
+  const transfer = await commandBus.dispatch(
+    requestTransfer("frank", "grace", 1000, options)
+  );
+
+  assert.equal(typeof transfer.transferId, "string");
+});
+
+test("after a restart, the Aggregate tells a Withdraw from a Deposit with the same commandId", async () => {
+  await commandBus.dispatch(openAccount("heidi", 0));
+  const options = { commandId: "heidi-1" };
+  await commandBus.dispatch(deposit("heidi", 2500, options));
+
+  // Restart: a new bus (no remembered results) and no cached Aggregate,
+  // so only the commands recorded in the stream can catch a duplicate
+  const restarted = new CommandBus();
+  registerAccountCommands(restarted);
+  accountRepository.forget("heidi");
+
+  const retry = await restarted.dispatch(deposit("heidi", 2500, options));
+  assert.equal(retry.duplicate, true);
+  assert.equal(retry.balances.USD, 2500);
+
+  const withdrawal = await restarted.dispatch(withdraw("heidi", 1000, options));
+  assert.equal(withdrawal.duplicate, false);
+  assert.equal(withdrawal.balances.USD, 1500);
+  assert.equal(withdrawal.lastSeq, 3);
+});
+
+test("a pinned expectedSeq that is out of date is not retried", async () => {
+  await commandBus.dispatch(openAccount("dave", 1000));
+  await commandBus.dispatch(deposit("dave", 1000));
+
+  const err = await rejectionOf(
+    commandBus.dispatch(withdraw("dave", 100, { expectedSeq: 1 }))
+  );
+  assert.ok(err instanceof ConcurrencyError);
+});
+
+test("the Read Model ignores a redelivered (older) event", async () => {
+  await commandBus.dispatch(openAccount("erin", 1000));
+  await commandBus.dispatch(deposit("erin", 1000));
+  await waitFor(() => {
+    const row = readModel.getAccount("erin");
+    return row && row.lastProcessedSeq === 2;
+  });
+
+  readModel.applyUpdate(
+    "erin",
+    "MoneyDeposited",
+    { amount: 999999, currency: "USD" },
+    2
+  );
+  assert.equal(readModel.getAccount("erin").balances.USD, 2000);
+});
@@ -0,0 +1,146 @@
+const {
+  startPipeline,
+  stopPipeline,
+  waitFor,
+  rejectionOf,
+} = require("./helpers");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const BankAccount = require("../BankAccount");
+const broker = require("../broker");
+const config = require("../config");
+const commandBus = require("../commands");
+const eventStore = require("../EventStore");
+const parkingLot = require("../ParkingLot");
+const piiVault = require("../PiiVault");
+const readModel = require("../ReadModelDB");
+const projectionManager = require("../projections/ProjectionManager");
+const streamLifecycle = require("../StreamLifecycle");
+const { openAccount, deposit } = require("../commands/accountCommands");
+const { StreamDeletedError } = require("../errors");
+
+before(startPipeline);
+after(stopPipeline);
+
+test("archiving moves snapshot-covered events to cold storage, state unchanged", async () => {
+  await commandBus.dispatch(openAccount("archived", 1000));
+  for (let i = 0; i < 5; i++) {
+    await commandBus.dispatch(deposit("archived", 100)); // Seq 5 snapshots
+  }
+
+  const before = new BankAccount("archived");
+  await before.load();
+  const archived = streamLifecycle.archive(Date.now() + 1);
+  const after = new BankAccount("archived");
+  await after.load();
+
+  assert.ok(archived >= 5, `archived ${archived} events`);
+  assert.equal(after.state.balances.USD, before.state.balances.USD);
+  // A full read still sees the cold events
+  assert.equal(eventStore.getStream("archived").length, 6);
+});
+
+test("crypto-shredding erases the holder but keeps the money history", async () => {
+  const holder = { name: "Grace Hopper", email: "grace@example.com" };
+  await commandBus.dispatch(openAccount("shredded", 500, { holder }));
+  assert.deepEqual(eventStore.getStream("shredded")[0].data.holder, holder);
+
+  streamLifecycle.shredPii("shredded");
+
+  const [opened] = eventStore.getStream("shredded");
+  assert.equal(opened.data.holder, null);
+  assert.equal(opened.data.initialAmount, 500);
+});
+
+test("projection checkpoints hold the holder sealed, so shredding erases it too", async () => {
+  const holder = { name: "Ada Lovelace", email: "ada@example.com" };
+  await commandBus.dispatch(openAccount("sealed", 500, { holder }));
+  await waitFor(() => readModel.getAccount("sealed"), {
+    description: "the account to be projected",
+  });
+  assert.deepEqual(readModel.getAccount("sealed").holder, holder);
+
+  const balances = projectionManager.get("balances");
+  balances.saveCheckpoint();
+  const file = fs.readFileSync(balances.checkpointFile, "utf8");
+  assert.ok(!file.includes("Ada Lovelace"), "plain holder in the checkpoint");
+
+  // The key goes away; the checkpoint's copy becomes unreadable with it
+  piiVault.shred("sealed");
+  const restored = readModel.createShadow();
+  restored.importRows(JSON.parse(file).state);
+  assert.equal(restored.getAccount("sealed").holder, null);
+  assert.equal(restored.getAccount("sealed").balances.USD, 500);
+});
+
+test("broker messages carry the holder sealed; the Read Model still gets it", async () => {
+  // A second queue on the exchange sees what RabbitMQ stores
+  const channel = await broker.createChannel();
+  await channel.assertQueue("pii-spy", { durable: true });
+  await channel.bindQueue("pii-spy", config.EXCHANGE, "#");
+  const messages = [];
+  await channel.consume("pii-spy", (msg) => {
+    messages.push(msg.content.toString());
+    channel.ack(msg);
+  });
+
+  const holder = { name: "Jane Doe", email: "jane@x.io" };
+  await commandBus.dispatch(openAccount("sealed-wire", 1000, { holder }));
+  await waitFor(() => messages.some((m) => m.includes("sealed-wire")), {
+    description: "the message",
+  });
+  await waitFor(() => {
+    const row = readModel.getAccount("sealed-wire");
+    return row && row.holder;
+  });
+
+  const message = messages.find((m) => m.includes("sealed-wire"));
+  assert.ok(!message.includes("Jane Doe"), message);
+  assert.ok(JSON.parse(message).data.holder.$pii);
+  assert.deepEqual(readModel.getAccount("sealed-wire").holder, holder);
+});
+
+test("a hard-deleted stream reads as empty and can never be reopened", async () => {
+  await commandBus.dispatch(openAccount("forgotten", 0));
+
+  streamLifecycle.hardDelete("forgotten", "Right to be forgotten");
+
+  assert.equal(eventStore.getStream("forgotten").length, 0);
+  const err = await rejectionOf(
+    commandBus.dispatch(openAccount("forgotten", 0))
+  );
+  assert.ok(err instanceof StreamDeletedError);
+});
+
+test("parked events keep the holder sealed on disk and go with a hard delete", async () => {
+  const applyUpdate = readModel.applyUpdate;
+  readModel.applyUpdate = function (id, ...rest) {
+    if (id === "parked-pii") throw new Error("Simulated projection bug");
+    return applyUpdate.call(this, id, ...rest);
+  };
+
+  const holder = { name: "Marie Curie", email: "marie@example.com" };
+  try {
+    await commandBus.dispatch(openAccount("parked-pii", 100, { holder }));
+    await waitFor(() => parkingLot.isBlocked("parked-pii"), {
+      description: "the account to be parked",
+    });
+  } finally {
+    readModel.applyUpdate = applyUpdate;
+  }
+
+  const file = fs.readFileSync(config.PARKING_LOT_FILE, "utf8");
+  assert.ok(!file.includes("Marie Curie"), "plain holder in the parking lot");
+  // Restart: the lot unseals what it reads back
+  const reloaded = new parkingLot.constructor(config.PARKING_LOT_FILE);
+  const [entry] = reloaded.list({ streamId: "parked-pii" });
+  assert.deepEqual(entry.event.data.holder, holder);
+
+  streamLifecycle.hardDelete("parked-pii", "Right to be forgotten");
+
+  assert.equal(parkingLot.isBlocked("parked-pii"), false);
+  const after = fs.readFileSync(config.PARKING_LOT_FILE, "utf8");
+  assert.ok(!after.includes("parked-pii"), "parked entry left behind");
+});
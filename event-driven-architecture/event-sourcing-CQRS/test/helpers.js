@@ -0,0 +1,70 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// =========================================================
+// --- TEST ENVIRONMENT ---
+// Required FIRST by every test file, before any app module: config.js reads
+// these variables once, when it is loaded.
+// - No network: the in-process broker stands in for RabbitMQ.
+// - A throwaway data folder, so tests never see (or touch) data/ of the demo.
+// node --test runs every file in its own process, so the singletons
+// (EventStore, Read Model, ...) start empty in each file.
+// =========================================================
+process.env.BROKER_DRIVER = "memory";
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "es-cqrs-test-"));
+
+// The app logs a lot. The test runner of Node 20 reads its results from the
+// child's stdout and sometimes fails to parse them when they are interleaved
+// with that much other output ("Unable to deserialize cloned data"), so
+// the logs go to stderr, which it only prints.
+console.log = console.error;
+console.info = console.error;
+
+process.on("exit", () => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// The whole pipeline of Controller.js:
+// Command -> Event Store -> Outbox -> Broker -> Projector -> Read Model
+async function startPipeline() {
+  const eventPublisher = require("../EventPublisher");
+  const outbox = require("../Outbox");
+  const { startProjector } = require("../Projector");
+  const transferManager = require("../TransferProcessManager");
+
+  await eventPublisher.init();
+  await startProjector();
+  await outbox.start();
+  transferManager.start();
+}
+
+async function stopPipeline() {
+  const outbox = require("../Outbox");
+  const transferManager = require("../TransferProcessManager");
+  const broker = require("../broker");
+
+  outbox.stop();
+  await transferManager.stop();
+  await broker.close();
+}
+
+// The read side is eventually consistent: poll until it caught up.
+async function waitFor(predicate, { timeoutMs = 2000, description } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${description || "condition"}`);
+    }
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
+
+// The error a promise rejects with (or null if it resolves).
+const rejectionOf = (promise) =>
+  promise.then(
+    () => null,
+    (err) => err
+  );
+
+module.exports = { startPipeline, stopPipeline, waitFor, rejectionOf };
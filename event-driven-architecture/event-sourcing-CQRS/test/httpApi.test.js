@@ -0,0 +1,76 @@
+const { startPipeline, stopPipeline } = require("./helpers");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const commandBus = require("../commands");
+const streamLifecycle = require("../StreamLifecycle");
+const { createHttpServer } = require("../HttpApi");
+const { openAccount } = require("../commands/accountCommands");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await startPipeline();
+  server = createHttpServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await stopPipeline();
+});
+
+const post = (path, body) =>
+  fetch(baseUrl + path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body,
+  });
+
+test("a command is accepted with 201 and the new version as ETag", async () => {
+  const res = await post(
+    "/accounts/http-ok/open",
+    JSON.stringify({ amount: 1000 })
+  );
+
+  assert.equal(res.status, 201);
+  assert.equal(res.headers.get("etag"), '"1"');
+});
+
+test("a body that is valid JSON but not an object is a 400, not a 500", async () => {
+  for (const body of ["null", "42", '"text"', "[1000]"]) {
+    const res = await post("/accounts/http-body/open", body);
+    assert.equal(res.status, 400, body);
+    assert.deepEqual(await res.json(), {
+      error: "Body must be a JSON object",
+    });
+  }
+});
+
+test("a body over the size limit gets a 413 answer, not a dropped connection", async () => {
+  const body = JSON.stringify({ amount: 1000, padding: "x".repeat(70 * 1024) });
+  const res = await post("/accounts/http-large/open", body);
+
+  assert.equal(res.status, 413);
+  assert.deepEqual(await res.json(), { error: "Request body too large" });
+});
+
+test("a malformed percent-encoding in the path is a 400, not a 500", async () => {
+  const res = await fetch(`${baseUrl}/accounts/%E0%A4%A`);
+
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /Malformed URL encoding/);
+});
+
+test("the history of a deleted account is gone (410), like the account", async () => {
+  await commandBus.dispatch(openAccount("http-deleted", 1000));
+  streamLifecycle.softDelete("http-deleted", "Closed by the customer");
+
+  const events = await fetch(`${baseUrl}/accounts/http-deleted/events`);
+  assert.equal(events.status, 410);
+
+  const missing = await fetch(`${baseUrl}/accounts/http-never/events`);
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,79 @@
+require("./helpers");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const config = require("../config");
+const eventStore = require("../EventStore");
+const eventPublisher = require("../EventPublisher");
+const outbox = require("../Outbox");
+const broker = require("../broker");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+before(async () => {
+  config.OUTBOX_RETRY_BASE_MS = 5;
+  await eventPublisher.init();
+  await outbox.start();
+});
+
+after(async () => {
+  outbox.stop();
+  await broker.close();
+});
+
+// Counts the atomic writes (temp file + rename) of the outbox checkpoint
+function countCheckpointWrites() {
+  const renameSync = fs.renameSync;
+  const counter = { writes: 0, restore: () => (fs.renameSync = renameSync) };
+  fs.renameSync = (from, to) => {
+    if (to === config.OUTBOX_CHECKPOINT_FILE) counter.writes++;
+    return renameSync(from, to);
+  };
+  return counter;
+}
+
+test("the checkpoint is written once per batch, not once per event", async () => {
+  outbox.stop(); // Drain by hand, in one go
+  const counter = countCheckpointWrites();
+  try {
+    for (let i = 0; i < 7; i++) eventStore.save(`batched-${i}`, "Noted", {}, 0);
+    const previousBatchSize = config.OUTBOX_BATCH_SIZE;
+    config.OUTBOX_BATCH_SIZE = 3;
+    await outbox.drain();
+    config.OUTBOX_BATCH_SIZE = previousBatchSize;
+  } finally {
+    counter.restore();
+    await outbox.start();
+  }
+
+  assert.equal(counter.writes, 3); // 3 + 3 + 1 events
+  assert.equal(outbox.dispatchedPosition, eventStore.getHeadPosition());
+  assert.deepEqual(JSON.parse(fs.readFileSync(config.OUTBOX_CHECKPOINT_FILE)), {
+    dispatchedPosition: eventStore.getHeadPosition(),
+  });
+});
+
+test("a failing drain is retried with backoff instead of crashing", async () => {
+  const saveCheckpoint = outbox.saveCheckpoint;
+  let failuresLeft = 2;
+  outbox.saveCheckpoint = function () {
+    if (failuresLeft > 0 && this.dispatchedPosition !== this.savedPosition) {
+      failuresLeft--;
+      throw new Error("Disk full");
+    }
+    return saveCheckpoint.call(this);
+  };
+
+  try {
+    eventStore.save("retried", "Noted", {}, 0); // Triggers a drain
+    await sleep(100); // 5ms, then 10ms of backoff
+  } finally {
+    outbox.saveCheckpoint = saveCheckpoint;
+  }
+
+  // An unhandled rejection would have failed this file
+  assert.equal(failuresLeft, 0);
+  assert.equal(outbox.consecutiveFailures, 0);
+  assert.equal(outbox.savedPosition, eventStore.getHeadPosition());
+});
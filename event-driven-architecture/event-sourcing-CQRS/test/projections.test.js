@@ -0,0 +1,214 @@
+const { startPipeline, stopPipeline, waitFor } = require("./helpers");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const commandBus = require("../commands");
+const config = require("../config");
+const readModel = require("../ReadModelDB");
+const Projection = require("../projections/Projection");
+const projectionManager = require("../projections/ProjectionManager");
+const parkingLot = require("../ParkingLot");
+const projectionRebuilder = require("../ProjectionRebuilder");
+const statementQuery = require("../AccountStatementQuery");
+const {
+  openAccount,
+  deposit,
+  withdraw,
+} = require("../commands/accountCommands");
+
+before(startPipeline);
+after(stopPipeline);
+
+const projectedSeq = (accountId) => {
+  const row = readModel.getAccount(accountId);
+  return row ? row.lastProcessedSeq : 0;
+};
+
+test("a poison event is parked with the ones behind it; other streams keep flowing", async () => {
+  const applyUpdate = readModel.applyUpdate;
+  readModel.applyUpdate = function (id, ...rest) {
+    if (id === "poison") throw new Error("Simulated projection bug");
+    return applyUpdate.call(this, id, ...rest);
+  };
+
+  try {
+    await commandBus.dispatch(openAccount("poison", 1000));
+    await commandBus.dispatch(deposit("poison", 500));
+    await commandBus.dispatch(openAccount("flowing", 700));
+
+    await waitFor(() => parkingLot.list({ streamId: "poison" }).length === 2, {
+      description: "both poison events to be parked",
+    });
+    await waitFor(() => projectedSeq("flowing") === 1);
+
+    const [failed, blocked] = parkingLot.list({ streamId: "poison" });
+    assert.equal(failed.reason, "failed");
+    assert.equal(blocked.reason, "blocked");
+  } finally {
+    readModel.applyUpdate = applyUpdate; // "Deploy the fix"
+  }
+
+  const result = parkingLot.replay({ streamId: "poison" });
+
+  assert.deepEqual(result, { replayed: 2, failed: 0 });
+  assert.equal(readModel.getAccount("poison").balances.USD, 1500);
+  assert.equal(parkingLot.isBlocked("poison"), false);
+});
+
+test("a replay cut short before the lot dropped the entry is not applied twice", async () => {
+  const dailyDeposits = projectionManager.get("daily-deposits");
+  const today = new Date().toISOString().slice(0, 10);
+  const { MoneyDeposited } = dailyDeposits.handlers;
+  dailyDeposits.handlers.MoneyDeposited = (event) => {
+    if (event.streamId === "interrupted") throw new Error("Simulated bug");
+    MoneyDeposited(event);
+  };
+
+  try {
+    await commandBus.dispatch(openAccount("interrupted", 0));
+    await commandBus.dispatch(deposit("interrupted", 500));
+    await waitFor(() => parkingLot.isBlocked("interrupted"), {
+      description: "the deposit to be parked",
+    });
+  } finally {
+    dailyDeposits.handlers.MoneyDeposited = MoneyDeposited;
+  }
+
+  const parked = parkingLot.list({ streamId: "interrupted" });
+  const before = dailyDeposits.getDay(today).totals.USD || 0;
+
+  // Crash right after the projection's checkpoint, before the lot's write
+  const persist = parkingLot.persist;
+  parkingLot.persist = () => {
+    throw new Error("Simulated crash");
+  };
+  try {
+    assert.throws(
+      () => parkingLot.replay({ streamId: "interrupted" }),
+      /Simulated crash/
+    );
+  } finally {
+    parkingLot.persist = persist;
+  }
+  assert.equal(dailyDeposits.getDay(today).totals.USD, before + 500);
+
+  // Restart: the lot on disk still holds the entry
+  parkingLot.entries.push(...parked);
+  const result = parkingLot.replay({ streamId: "interrupted" });
+
+  assert.deepEqual(result, { replayed: 1, failed: 0 });
+  assert.equal(dailyDeposits.getDay(today).totals.USD, before + 500);
+  assert.equal(dailyDeposits.replayed.size, 0); // Forgotten once dropped
+});
+
+test("a rebuild from the history gives the same Read Model", async () => {
+  await commandBus.dispatch(openAccount("rebuilt", 1000));
+  await commandBus.dispatch(deposit("rebuilt", 250));
+  await waitFor(() => projectedSeq("rebuilt") === 2);
+
+  const live = readModel.getAccount("rebuilt").balances.USD;
+  await projectionRebuilder.rebuild();
+
+  assert.equal(readModel.getAccount("rebuilt").balances.USD, live);
+});
+
+test("a poison event during a rebuild is parked; the rebuild still completes", async () => {
+  await commandBus.dispatch(openAccount("rebuild-poison", 1000));
+  await commandBus.dispatch(deposit("rebuild-poison", 250));
+  await waitFor(() => projectedSeq("rebuild-poison") === 2);
+
+  const createShadow = readModel.createShadow;
+  readModel.createShadow = function () {
+    const shadow = createShadow.call(this);
+    const applyUpdate = shadow.applyUpdate;
+    shadow.applyUpdate = function (id, ...rest) {
+      if (id === "rebuild-poison") throw new Error("Simulated projection bug");
+      return applyUpdate.call(this, id, ...rest);
+    };
+    return shadow;
+  };
+  try {
+    await projectionRebuilder.rebuild();
+  } finally {
+    readModel.createShadow = createShadow;
+  }
+
+  const [failed, blocked] = parkingLot.list({ streamId: "rebuild-poison" });
+  assert.equal(failed.reason, "failed");
+  assert.equal(blocked.reason, "blocked");
+  assert.deepEqual(failed.projections, ["balances"]);
+  assert.equal(readModel.getAccount("rebuild-poison"), null);
+  assert.ok(readModel.getAccount("rebuilt"), "the other streams were rebuilt");
+
+  const result = parkingLot.replay({ streamId: "rebuild-poison" });
+
+  assert.deepEqual(result, { replayed: 2, failed: 0 });
+  assert.equal(readModel.getAccount("rebuild-poison").balances.USD, 1250);
+});
+
+test("an event that can't even be parked goes back to the queue", async () => {
+  const isBlocked = parkingLot.isBlocked;
+  let failures = 0;
+  parkingLot.isBlocked = function (streamId) {
+    if (streamId === "requeued" && failures++ === 0) {
+      throw new Error("Simulated disk failure");
+    }
+    return isBlocked.call(this, streamId);
+  };
+
+  try {
+    await commandBus.dispatch(openAccount("requeued", 300));
+    await waitFor(() => projectedSeq("requeued") === 1, {
+      description: "the redelivered event to be projected",
+    });
+  } finally {
+    parkingLot.isBlocked = isBlocked;
+  }
+  assert.equal(failures, 2);
+});
+
+test("as-of queries rebuild the balance at an earlier version", async () => {
+  await commandBus.dispatch(openAccount("history", 1000));
+  await commandBus.dispatch(deposit("history", 500));
+  await commandBus.dispatch(withdraw("history", 200));
+
+  const asOf = await statementQuery.getBalanceAsOf("history", { seqNum: 2 });
+  assert.equal(asOf.balances.USD, 1500);
+
+  const statement = await statementQuery.getStatement("history", {
+    from: Date.now() - 60 * 1000,
+  });
+  assert.equal(statement.entries.length, 3);
+  assert.equal(statement.closingBalances.USD, 1300);
+});
+
+test("checkpoints are written every N events, not after each one", () => {
+  const projection = new Projection("batched", { Noted: () => {} });
+  const renameSync = fs.renameSync;
+  let writes = 0;
+  fs.renameSync = (from, to) => {
+    if (to === projection.checkpointFile) writes++;
+    return renameSync(from, to);
+  };
+
+  const previousEvery = config.PROJECTION_CHECKPOINT_EVERY;
+  config.PROJECTION_CHECKPOINT_EVERY = 3;
+  try {
+    for (let position = 1; position <= 7; position++) {
+      projection.apply({ type: "Noted", position });
+    }
+    assert.equal(writes, 2); // After events 3 and 6
+
+    projection.flushCheckpoint(); // The 7th, e.g. at the end of a catch-up
+    assert.equal(writes, 3);
+    projection.flushCheckpoint(); // Nothing left to write
+    assert.equal(writes, 3);
+  } finally {
+    config.PROJECTION_CHECKPOINT_EVERY = previousEvery;
+    fs.renameSync = renameSync;
+  }
+
+  const saved = JSON.parse(fs.readFileSync(projection.checkpointFile));
+  assert.equal(saved.position, 7);
+});
@@ -0,0 +1,103 @@
+require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const SegmentLog = require("../SegmentLog");
+const { LogCorruptedError } = require("../errors");
+
+let dirCount = 0;
+function newLogDir() {
+  const dir = path.join(process.env.DATA_DIR, `log-${++dirCount}`);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function writeSegment(dir, segmentNo, content) {
+  const log = new SegmentLog(dir, { maxSegmentBytes: 1024 });
+  fs.writeFileSync(log.segmentPath(segmentNo), content);
+  return log.segmentPath(segmentNo);
+}
+
+test("records survive a reopen, in commit order", () => {
+  const dir = newLogDir();
+  const log = new SegmentLog(dir, { maxSegmentBytes: 1024 });
+  log.readAll();
+  log.append({ n: 1 });
+  log.append({ n: 2 });
+  log.close();
+
+  const reopened = new SegmentLog(dir, { maxSegmentBytes: 1024 });
+  assert.deepEqual(reopened.readAll(), [{ n: 1 }, { n: 2 }]);
+  reopened.close();
+});
+
+test("a partial last record (crash mid-write, no newline) is cut off", () => {
+  const dir = newLogDir();
+  const file = writeSegment(dir, 1, '{"n":1}\n{"n":2}\n{"n":');
+
+  const log = new SegmentLog(dir, { maxSegmentBytes: 1024 });
+  assert.deepEqual(log.readAll(), [{ n: 1 }, { n: 2 }]);
+  assert.equal(fs.readFileSync(file, "utf8"), '{"n":1}\n{"n":2}\n');
+
+  // The next append starts on a clean boundary
+  log.append({ n: 3 });
+  log.close();
+  const reopened = new SegmentLog(dir, { maxSegmentBytes: 1024 });
+  assert.deepEqual(reopened.readAll(), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+  reopened.close();
+});
+
+test("a broken complete line in the last segment is corruption, nothing is discarded", () => {
+  const dir = newLogDir();
+  const content = '{"n":1}\nnot json\n{"n":3}\n';
+  const file = writeSegment(dir, 1, content);
+
+  const log = new SegmentLog(dir, { maxSegmentBytes: 1024 });
+  assert.throws(
+    () => log.readAll(),
+    (err) => err instanceof LogCorruptedError && err.offset === 8
+  );
+  // The committed record after the bad line is still on disk
+  assert.equal(fs.readFileSync(file, "utf8"), content);
+});
+
+test("a broken record in a sealed segment is corruption", () => {
+  const dir = newLogDir();
+  writeSegment(dir, 1, '{"n":1}\n{"n":');
+  writeSegment(dir, 2, '{"n":2}\n');
+
+  const log = new SegmentLog(dir, { maxSegmentBytes: 1024 });
+  assert.throws(() => log.readAll(), LogCorruptedError);
+});
+
+test("a short write is completed, a failed one leaves no partial record behind", () => {
+  const dir = newLogDir();
+  const log = new SegmentLog(dir, { maxSegmentBytes: 1024 });
+  log.readAll();
+
+  const writeSync = fs.writeSync;
+  let calls = 0;
+  fs.writeSync = (fd, buffer, offset) => {
+    calls++;
+    if (calls === 1) return writeSync(fd, buffer, offset, 3); // Short write
+    if (calls === 3) {
+      writeSync(fd, buffer, offset, 4); // Partial bytes, then the disk fails
+      throw new Error("EIO");
+    }
+    return writeSync(fd, buffer, offset);
+  };
+  try {
+    log.append({ n: 1 });
+    assert.throws(() => log.append({ n: 2 }), /EIO/);
+  } finally {
+    fs.writeSync = writeSync;
+  }
+  log.append({ n: 3 });
+  log.close();
+
+  const reopened = new SegmentLog(dir, { maxSegmentBytes: 1024 });
+  assert.deepEqual(reopened.readAll(), [{ n: 1 }, { n: 3 }]);
+  reopened.close();
+});
@@ -0,0 +1,126 @@
+require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const BankAccount = require("../BankAccount");
+const snapshotManager = require("../SnapshotManager");
+const {
+  everyNEvents,
+  timeSinceLastSnapshot,
+  onEventTypes,
+  anyOf,
+} = require("../SnapshotStrategies");
+
+const HOLDER = { name: "Snap Shot", email: "snap@example.com" };
+
+async function openWithDeposits(streamId, deposits) {
+  const account = new BankAccount(streamId);
+  await account.load();
+  await account.openAccount(1000, "USD", HOLDER);
+  for (let i = 0; i < deposits; i++) await account.deposit(100, "USD");
+  return account;
+}
+
+test("every-N snapshots when a commit crosses a multiple of N, even by jumping over it", () => {
+  const strategy = everyNEvents(5);
+
+  assert.equal(strategy.shouldSnapshot({ previousSeq: 3, lastSeq: 4 }), false);
+  assert.equal(strategy.shouldSnapshot({ previousSeq: 4, lastSeq: 5 }), true);
+  assert.equal(strategy.shouldSnapshot({ previousSeq: 4, lastSeq: 6 }), true);
+  assert.equal(strategy.shouldSnapshot({ previousSeq: 5, lastSeq: 9 }), false);
+});
+
+test("time, milestone and combined strategies", () => {
+  const byAge = timeSinceLastSnapshot(1000);
+  assert.equal(byAge.shouldSnapshot({ lastSnapshotAt: null, now: 0 }), true);
+  assert.equal(byAge.shouldSnapshot({ lastSnapshotAt: 500, now: 1000 }), false);
+  assert.equal(byAge.shouldSnapshot({ lastSnapshotAt: 0, now: 1000 }), true);
+
+  const onOpen = onEventTypes(["AccountOpened"]);
+  assert.equal(
+    onOpen.shouldSnapshot({ events: [{ type: "MoneyDeposited" }] }),
+    false
+  );
+
+  const combined = anyOf(everyNEvents(100), onOpen);
+  assert.equal(combined.name, "every-100-events OR on-AccountOpened");
+  assert.equal(
+    combined.shouldSnapshot({
+      previousSeq: 0,
+      lastSeq: 1,
+      events: [{ type: "AccountOpened" }],
+    }),
+    true
+  );
+});
+
+test("a snapshot of an older version is discarded: the account replays its events", async () => {
+  const account = await openWithDeposits("snap-old", 2);
+
+  // Taken before the state shape changed: loading it as-is would be garbage
+  snapshotManager.deleteSnapshots("snap-old");
+  snapshotManager.saveSnapshot(
+    "snap-old",
+    { balance: 999999 },
+    account.lastSeq,
+    BankAccount.SNAPSHOT_VERSION - 1
+  );
+
+  const reloaded = new BankAccount("snap-old");
+  await reloaded.load();
+
+  assert.equal(reloaded.getBalance("USD"), 1200);
+  assert.equal(reloaded.lastSeq, 3);
+  // ... and replaced by one in the current shape
+  const snapshot = snapshotManager.getSnapshot(
+    "snap-old",
+    BankAccount.SNAPSHOT_VERSION
+  );
+  assert.equal(snapshot.lastSeqNum, 3);
+  assert.equal(snapshot.state.balances.USD, 1200);
+  assert.equal(
+    snapshotManager.getSnapshot("snap-old", BankAccount.SNAPSHOT_VERSION - 1),
+    null
+  );
+});
+
+test("a load from a snapshot applies only the events after it", async () => {
+  // Seq 5 crosses the every-5 threshold: one snapshot
+  const account = await openWithDeposits("snap-delta", 6);
+  assert.equal(account.lastSeq, 7);
+  assert.equal(
+    snapshotManager.getSnapshot("snap-delta", BankAccount.SNAPSHOT_VERSION)
+      .lastSeqNum,
+    5
+  );
+
+  const reloaded = new BankAccount("snap-delta");
+  await reloaded.load();
+  assert.equal(reloaded.lastSeq, 7);
+  assert.equal(reloaded.getBalance("USD"), 1600);
+});
+
+test("retention keeps the newest snapshots; as-of reads pick the nearest earlier one", () => {
+  for (let seq = 1; seq <= 5; seq++) {
+    snapshotManager.saveSnapshot("snap-kept", { seq }, seq, 1);
+  }
+
+  const kept = snapshotManager.snapshots.get("snap-kept");
+  assert.deepEqual(
+    kept.map((s) => s.lastSeqNum),
+    [3, 4, 5]
+  );
+  assert.equal(
+    snapshotManager.getSnapshotAsOf("snap-kept", { seqNum: 4 }, 1).lastSeqNum,
+    4
+  );
+  // Older than every kept snapshot: replay from the events
+  assert.equal(
+    snapshotManager.getSnapshotAsOf("snap-kept", { seqNum: 2 }, 1),
+    null
+  );
+
+  // A copy: a caller mutating it never changes the stored snapshot
+  snapshotManager.getSnapshot("snap-kept", 1).state.seq = 42;
+  assert.equal(snapshotManager.getSnapshot("snap-kept", 1).state.seq, 5);
+});
@@ -0,0 +1,257 @@
+const {
+  startPipeline,
+  stopPipeline,
+  waitFor,
+  rejectionOf,
+} = require("./helpers");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const commandBus = require("../commands");
+const accountRepository = require("../AccountRepository");
+const eventStore = require("../EventStore");
+const readModel = require("../ReadModelDB");
+const projectionManager = require("../projections/ProjectionManager");
+const transferManager = require("../TransferProcessManager");
+const {
+  openAccount,
+  withdraw,
+  requestTransfer,
+} = require("../commands/accountCommands");
+const { ConcurrencyError, DailyLimitExceededError } = require("../errors");
+
+before(startPipeline);
+after(stopPipeline);
+
+const statusOf = (transferId) => {
+  const transfer = transferManager.getTransfer(transferId);
+  return transfer && transfer.status;
+};
+
+const balanceOf = async (accountId) =>
+  (await accountRepository.getAccount(accountId)).state.balances.USD;
+
+test("a transfer debits the source and credits the destination", async () => {
+  await commandBus.dispatch(openAccount("source", 10000));
+  await commandBus.dispatch(openAccount("destination", 0));
+
+  const { transferId } = await commandBus.dispatch(
+    requestTransfer("source", "destination", 3000, {
+      correlationId: "transfer-ok",
+    })
+  );
+  await waitFor(() => statusOf(transferId) === "COMPLETED", {
+    description: "the transfer to complete",
+  });
+
+  assert.equal(await balanceOf("source"), 7000);
+  assert.equal(await balanceOf("destination"), 3000);
+
+  // The transfer's own stream is not an account of the Read Model
+  const balances = projectionManager.get("balances");
+  await waitFor(() => balances.position === eventStore.getHeadPosition());
+  assert.equal(readModel.getAccount(`transfer-${transferId}`), null);
+
+  // One correlation ID traces the flow across all three streams
+  const streams = new Set(
+    eventStore.getByCorrelationId("transfer-ok").map((e) => e.streamId)
+  );
+  assert.deepEqual(
+    [...streams].sort(),
+    ["destination", "source", `transfer-${transferId}`].sort()
+  );
+});
+
+test("a retried request (same commandId) after a restart starts no second transfer", async () => {
+  await commandBus.dispatch(openAccount("retry-source", 10000));
+  await commandBus.dispatch(openAccount("retry-destination", 0));
+
+  const command = requestTransfer("retry-source", "retry-destination", 1500, {
+    commandId: "transfer-retry-1",
+  });
+  const { transferId } = await commandBus.dispatch(command);
+
+  // After a restart the command bus has forgotten the first attempt:
+  // the retry reaches the process manager again
+  const retriedId = transferManager.requestTransfer(
+    command.accountId,
+    command.toAccountId,
+    command.amount,
+    command.currency,
+    { commandId: command.commandId }
+  );
+
+  assert.equal(retriedId, transferId);
+  await waitFor(() => statusOf(transferId) === "COMPLETED", {
+    description: "the transfer to complete",
+  });
+  assert.equal(
+    eventStore
+      .getStream(`transfer-${transferId}`)
+      .filter((e) => e.type === "TransferRequested").length,
+    1
+  );
+  assert.equal(await balanceOf("retry-source"), 8500);
+});
+
+test("a rejected credit refunds the source (compensation)", async () => {
+  await commandBus.dispatch(openAccount("refunded", 10000));
+
+  const { transferId } = await commandBus.dispatch(
+    requestTransfer("refunded", "never-opened", 1000)
+  );
+  await waitFor(() => statusOf(transferId) === "REFUNDED", {
+    description: "the refund",
+  });
+
+  assert.equal(await balanceOf("refunded"), 10000);
+});
+
+test("a refunded transfer no longer counts toward the daily cap", async () => {
+  await commandBus.dispatch(openAccount("cap-refunded", 600000));
+
+  const { transferId } = await commandBus.dispatch(
+    requestTransfer("cap-refunded", "never-opened", 500000)
+  );
+  await waitFor(() => statusOf(transferId) === "REFUNDED", {
+    description: "the refund",
+  });
+
+  // The whole cap is still available
+  const result = await commandBus.dispatch(withdraw("cap-refunded", 500000));
+  assert.equal(result.balances.USD, 100000);
+  const err = await rejectionOf(
+    commandBus.dispatch(withdraw("cap-refunded", 1))
+  );
+  assert.ok(err instanceof DailyLimitExceededError);
+});
+
+test("a rejected debit fails the transfer with nothing to undo", async () => {
+  await commandBus.dispatch(openAccount("poor", 100));
+  await commandBus.dispatch(openAccount("rich", 0));
+
+  const { transferId } = await commandBus.dispatch(
+    requestTransfer("poor", "rich", 5000)
+  );
+  await waitFor(() => statusOf(transferId) === "FAILED", {
+    description: "the failure",
+  });
+
+  assert.equal(await balanceOf("poor"), 100);
+  assert.equal(await balanceOf("rich"), 0);
+});
+
+test("a transfer resumed after a crash right after the debit is not debited twice", async () => {
+  await commandBus.dispatch(openAccount("crash-source", 10000));
+  await commandBus.dispatch(openAccount("crash-destination", 0));
+
+  // The manager is down: the request is only recorded
+  await transferManager.stop();
+  const { transferId } = await commandBus.dispatch(
+    requestTransfer("crash-source", "crash-destination", 4000)
+  );
+
+  // What a run that crashed mid-step leaves behind: the step marker and
+  // the debit, but no 'TransferSourceDebited' in the transfer stream
+  const transfer = transferManager.getTransfer(transferId);
+  const source = await accountRepository.getAccount("crash-source");
+  eventStore.save(
+    `transfer-${transferId}`,
+    "TransferStepStarted",
+    { transferId, step: "debit", accountSeq: source.lastSeq },
+    transfer.lastSeq
+  );
+  await source.transferOut(4000, "USD", "crash-destination", transferId, {});
+
+  transferManager.start(); // Restart: catch-up from position 1
+  await waitFor(() => statusOf(transferId) === "COMPLETED", {
+    description: "the resumed transfer",
+  });
+
+  assert.equal(await balanceOf("crash-source"), 6000);
+  assert.equal(await balanceOf("crash-destination"), 4000);
+});
+
+test("a stuck transfer is driven again on the next event", async () => {
+  await commandBus.dispatch(openAccount("busy-source", 10000));
+  await commandBus.dispatch(openAccount("busy-destination", 0));
+
+  // Every conflict retry of the first run loses
+  const process = transferManager.process;
+  transferManager.process = async function () {
+    transferManager.process = process;
+    throw new ConcurrencyError("busy-source", 1, 2);
+  };
+
+  const { transferId } = await commandBus.dispatch(
+    requestTransfer("busy-source", "busy-destination", 2500)
+  );
+  await waitFor(() => transferManager.stuck.has(transferId), {
+    description: "the transfer to be stuck",
+  });
+  assert.equal(statusOf(transferId), "REQUESTED");
+
+  await commandBus.dispatch(openAccount("unrelated", 0)); // Any next event
+  await waitFor(() => statusOf(transferId) === "COMPLETED", {
+    description: "the re-driven transfer",
+  });
+
+  assert.equal(transferManager.stuck.size, 0);
+  assert.equal(await balanceOf("busy-destination"), 2500);
+});
+
+test("a crash after the refund never retries the credit", async () => {
+  await commandBus.dispatch(openAccount("rejected-source", 10000));
+
+  // Driven by hand: the process dies right after the refund, before it
+  // is recorded
+  await transferManager.stop();
+  const { transferId } = await commandBus.dispatch(
+    requestTransfer("rejected-source", "opened-too-late", 4000)
+  );
+  const record = transferManager.record;
+  transferManager.record = function (transfer, type, data) {
+    if (type === "TransferCompensated") throw new Error("Crash");
+    return record.call(this, transfer, type, data);
+  };
+  try {
+    await assert.rejects(transferManager.process(transferId), /Crash/);
+  } finally {
+    transferManager.record = record;
+  }
+
+  // The destination would now accept the credit
+  await commandBus.dispatch(openAccount("opened-too-late", 0));
+  await transferManager.process(transferId); // Restart
+  transferManager.start();
+
+  assert.equal(statusOf(transferId), "REFUNDED");
+  assert.equal(await balanceOf("rejected-source"), 10000);
+  assert.equal(await balanceOf("opened-too-late"), 0);
+});
+
+test("a stuck transfer is re-driven once per page of a catch-up, not per event", async () => {
+  await transferManager.stop();
+  const process = transferManager.process;
+  let retries = 0;
+  transferManager.process = async function (transferId) {
+    if (transferId !== "never-unstuck") return process.call(this, transferId);
+    retries++;
+    throw new ConcurrencyError("busy", 1, 2);
+  };
+  transferManager.stuck.add("never-unstuck");
+
+  try {
+    transferManager.start(); // Catch-up from position 1
+    await waitFor(() => transferManager.subscription.isLive, {
+      description: "the catch-up",
+    });
+  } finally {
+    transferManager.stuck.delete("never-unstuck");
+    transferManager.process = process;
+  }
+
+  const pages = Math.ceil(eventStore.getHeadPosition() / 100);
+  assert.ok(eventStore.getHeadPosition() > pages + 1);
+  assert.ok(retries <= pages + 1, `${retries} retries for ${pages} pages`);
+});
@@ -0,0 +1,114 @@
+require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const upcasterRegistry = require("../UpcasterRegistry");
+const { UpcasterRegistry } = require("../UpcasterRegistry");
+
+// v1: { name }  ->  v2: { firstName, lastName }  ->  v3: + { country }
+// Each step only knows its own input shape, so a wrong order would fail.
+function customerRegistry() {
+  return new UpcasterRegistry()
+    .register("CustomerRegistered", 1, (data) => {
+      const [firstName, lastName] = data.name.split(" ");
+      return { firstName, lastName };
+    })
+    .register("CustomerRegistered", 2, (data) => ({
+      ...data,
+      country: data.country || "unknown",
+    }));
+}
+
+const event = (schemaVersion, data) => ({
+  streamId: "customer-1",
+  type: "CustomerRegistered",
+  seqNum: 1,
+  schemaVersion,
+  data,
+});
+
+test("a v1 event runs through the whole chain, v1 -> v2 -> v3, in order", () => {
+  const registry = customerRegistry();
+  assert.equal(registry.getCurrentVersion("CustomerRegistered"), 3);
+
+  const upcast = registry.upcast(event(1, { name: "Ada Lovelace" }));
+
+  assert.equal(upcast.schemaVersion, 3);
+  assert.deepEqual(upcast.data, {
+    firstName: "Ada",
+    lastName: "Lovelace",
+    country: "unknown",
+  });
+});
+
+test("an event from the middle of the chain only runs the remaining steps", () => {
+  const upcast = customerRegistry().upcast(
+    event(2, { firstName: "Alan", lastName: "Turing", country: "UK" })
+  );
+
+  assert.equal(upcast.schemaVersion, 3);
+  assert.deepEqual(upcast.data, {
+    firstName: "Alan",
+    lastName: "Turing",
+    country: "UK",
+  });
+});
+
+test("an event without schemaVersion (written before versioning) counts as v1", () => {
+  const upcast = customerRegistry().upcast(event(undefined, { name: "A B" }));
+  assert.equal(upcast.schemaVersion, 3);
+  assert.equal(upcast.data.firstName, "A");
+});
+
+test("an event that is already current is returned as is", () => {
+  const current = event(3, { firstName: "A", lastName: "B", country: "FR" });
+  assert.equal(customerRegistry().upcast(current), current);
+
+  // Types without upcasters are at v1
+  const plain = { type: "SomethingElse", schemaVersion: 1, data: {} };
+  assert.equal(customerRegistry().upcast(plain), plain);
+});
+
+test("upcasting never mutates the stored event", () => {
+  const stored = event(1, { name: "Grace Hopper" });
+  const copy = structuredClone(stored);
+
+  customerRegistry().upcast(stored);
+
+  assert.deepEqual(stored, copy);
+});
+
+test("a chain with a missing intermediate step is rejected at registration", () => {
+  const registry = new UpcasterRegistry().register("Gap", 1, (d) => d);
+
+  assert.throws(
+    () => registry.register("Gap", 3, (d) => d),
+    /must start at v2, got v3/
+  );
+  // The bad step was not registered: the chain is still v1 -> v2
+  assert.equal(registry.getCurrentVersion("Gap"), 2);
+});
+
+test("a chain must start at v1", () => {
+  assert.throws(
+    () => new UpcasterRegistry().register("Late", 2, (d) => d),
+    /must start at v1, got v2/
+  );
+});
+
+test("an event newer than the code understands is rejected", () => {
+  assert.throws(
+    () => customerRegistry().upcast(event(4, {})),
+    /v4 is newer than this code understands \(v3\)/
+  );
+});
+
+test("the registered v1 money events are upcast to minor units and a currency", () => {
+  const upcast = upcasterRegistry.upcast({
+    type: "MoneyDeposited",
+    data: { amount: 10.5 },
+  });
+
+  assert.equal(upcast.schemaVersion, 2);
+  assert.deepEqual(upcast.data, { amount: 1050, currency: "USD" });
+});